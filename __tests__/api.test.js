@@ -1,16 +1,184 @@
-const axios = require('axios');
-const { expect } = require('chai');
-
-describe('API Tests for Local Dummy Messages', () => {
-    it('should return a success response for dummy message 1', async () => {
-        const response = await axios.post('http://localhost:3000/api/messages', { message: 'dummy message 1' });
-        expect(response.status).to.equal(200);
-        expect(response.data).to.have.property('success', true);
-    });
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// The whole API against the in-memory WhatsApp driver: no browser, no phone
+// and no network. Settings are read when app.js is imported, so they are
+// set first.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-test-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_UNREGISTERED: "+919800000001",
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+  RECONNECT_BASE_MS: "20",
+  RECONNECT_MAX_MS: "20",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const sessionState = async () => {
+  const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+  return res.body.data.state;
+};
+
+const jobStatus = async (jobId, status) => {
+  const res = await request(app).get(`/queue/jobs/${jobId}`).set(ADMIN);
+  return res.body.data.status === status && res.body.data;
+};
+
+const send = (body) => request(app).post("/send-whatsapp").set(ADMIN).send(body);
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => (await sessionState()) === "ready");
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("health", () => {
+  it("reports the connected fake session", async () => {
+    const res = await request(app).get("/health");
+
+    expect(res.status).toBe(200);
+    expect(res.body.checks.whatsapp).toBe("ok");
+  });
+});
+
+describe("POST /send-whatsapp", () => {
+  it("requires an API key", async () => {
+    const res = await request(app).post("/send-whatsapp").send({ number: CUSTOMER });
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  it("rejects a request without a number", async () => {
+    const res = await send({ message: "Hello" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/"number"/);
+  });
+
+  it("rejects a number that cannot exist with invalid_number", async () => {
+    const res = await send({ number: "12345", message: "Hello" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_number");
+    expect(res.body.defaultRegion).toBe("IN");
+  });
 
-    it('should return a success response for dummy message 2', async () => {
-        const response = await axios.post('http://localhost:3000/api/messages', { message: 'dummy message 2' });
-        expect(response.status).to.equal(200);
-        expect(response.data).to.have.property('success', true);
+  it("queues, sends and tracks receipts for a text message", async () => {
+    const res = await send({ number: CUSTOMER, message: "Your order has shipped" });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.chatId).toBe("919876543210@c.us");
+
+    const job = await waitFor(() => jobStatus(res.body.data.jobId, "sent"));
+    const sent = transport.sent.find((message) => message.id === job.result.messageId);
+    expect(sent.content).toEqual({ text: "Your order has shipped" });
+
+    const status = await waitFor(async () => {
+      const lookup = await request(app).get(`/messages/${sent.id}`).set(ADMIN);
+      return lookup.body.data?.status === "read" && lookup.body.data;
     });
-});
\ No newline at end of file
+    expect(status.history.map((entry) => entry.status)).toEqual(
+      expect.arrayContaining(["sent", "delivered", "read"])
+    );
+  });
+
+  it("sends typed messages through the transport", async () => {
+    const poll = { question: "When should we deliver?", options: ["Morning", "Evening"] };
+    const res = await send({ number: CUSTOMER, type: "poll", poll });
+
+    const job = await waitFor(() => jobStatus(res.body.data.jobId, "sent"));
+    const sent = transport.sent.find((message) => message.id === job.result.messageId);
+    expect(sent.content.interactive).toEqual({ ...poll, type: "poll" });
+  });
+
+  it("fails permanently for a number without WhatsApp", async () => {
+    const res = await send({ number: "+919800000001", message: "Hello" });
+
+    const job = await waitFor(() => jobStatus(res.body.data.jobId, "dead"));
+    expect(job.lastErrorCode).toBe("not_registered");
+  });
+
+  it("holds messages while disconnected and sends them after reconnecting", async () => {
+    transport.client(DEFAULT_SESSION_ID).disconnect("NAVIGATION");
+    expect(await sessionState()).not.toBe("ready");
+
+    const res = await send({ number: CUSTOMER, message: "Sent after reconnect" });
+    expect(res.status).toBe(202);
+
+    await waitFor(async () => (await sessionState()) === "ready");
+    await waitFor(() => jobStatus(res.body.data.jobId, "sent"));
+  });
+});
+
+describe("incoming messages", () => {
+  it("records customer messages in the inbox and history", async () => {
+    const incoming = transport
+      .client(DEFAULT_SESSION_ID)
+      .receive({ from: "+919811111111", body: "Is my order on the way?", name: "Asha" });
+
+    const res = await request(app).get("/inbox").set(ADMIN);
+    const entry = res.body.data.find((message) => message.id === incoming.id);
+    expect(entry).toMatchObject({ from: "919811111111@c.us", name: "Asha" });
+
+    const history = await request(app)
+      .get("/messages")
+      .query({ direction: "inbound", q: "order on the way" })
+      .set(ADMIN);
+    expect(history.body.data.map((message) => message.messageId)).toContain(incoming.id);
+  });
+
+  it("stops sending to a customer who replies STOP", async () => {
+    transport.client(DEFAULT_SESSION_ID).receive({ from: "+919822222222", body: "STOP" });
+
+    const res = await send({ number: "+919822222222", message: "Weekend sale!" });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("recipient_opted_out");
+  });
+
+  it("does not opt out a customer who taps a Cancel button", async () => {
+    const client = transport.client(DEFAULT_SESSION_ID);
+    client.receive({ from: "+919833333333", body: "Cancel", type: "buttons_response" });
+    client.receive({ from: "+919844444444", body: "Cancel" });
+
+    for (const number of ["+919833333333", "+919844444444"]) {
+      const res = await send({ number, message: "Your order #1042 is confirmed" });
+      expect(res.status).toBe(202);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// API key authentication, scopes, rotation and per-key rate limits. The
+// WhatsApp session is never started; these routes do not need it.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-auth-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  QUIET_HOURS: "off",
+});
+
+const { default: app, stopServices } = await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+
+const issueKey = async (body) => {
+  const res = await request(app).post("/admin/api-keys").set(ADMIN).send(body);
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("authentication", () => {
+  it("rejects a request without a key", async () => {
+    const res = await request(app).get("/queue");
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatch(/API key required/);
+  });
+
+  it("rejects an unknown key", async () => {
+    const res = await request(app).get("/queue").set("X-API-Key", "wa_not-a-real-key");
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatch(/Invalid, revoked or expired/);
+  });
+
+  it("accepts a key as a Bearer token", async () => {
+    const { key } = await issueKey({ client: "dashboard", scopes: ["read-status"] });
+
+    const res = await request(app).get("/queue").set("Authorization", `Bearer ${key}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("rejects a revoked key", async () => {
+    const { id, key } = await issueKey({ client: "old-app", scopes: ["read-status"] });
+    await request(app).delete(`/admin/api-keys/${id}`).set(ADMIN);
+
+    const res = await request(app).get("/queue").set("X-API-Key", key);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("scopes", () => {
+  it("refuses a route the key has no scope for", async () => {
+    const { key } = await issueKey({ client: "storefront", scopes: ["send"] });
+
+    const res = await request(app).get("/admin/api-keys").set("X-API-Key", key);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toMatch(/"admin" scope/);
+  });
+
+  it("lets admin keys through every scope", async () => {
+    const res = await request(app).get("/queue").set(ADMIN);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe("rotation", () => {
+  it("keeps the old key working only during the grace period", async () => {
+    const { id, key: oldKey } = await issueKey({ client: "erp", scopes: ["read-status"] });
+
+    const rotated = await request(app)
+      .post(`/admin/api-keys/${id}/rotate`)
+      .set(ADMIN)
+      .send({ graceMs: 300 });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.rotatedFrom).toBe(id);
+
+    expect((await request(app).get("/queue").set("X-API-Key", oldKey)).status).toBe(200);
+    expect(
+      (await request(app).get("/queue").set("X-API-Key", rotated.body.data.key)).status
+    ).toBe(200);
+
+    await sleep(350);
+    expect((await request(app).get("/queue").set("X-API-Key", oldKey)).status).toBe(401);
+    expect(
+      (await request(app).get("/queue").set("X-API-Key", rotated.body.data.key)).status
+    ).toBe(200);
+  });
+
+  it("revokes the old key at once without a grace period", async () => {
+    const { id, key: oldKey } = await issueKey({ client: "crm", scopes: ["read-status"] });
+
+    await request(app).post(`/admin/api-keys/${id}/rotate`).set(ADMIN).send({ graceMs: 0 });
+
+    expect((await request(app).get("/queue").set("X-API-Key", oldKey)).status).toBe(401);
+  });
+});
+
+describe("rate limiting", () => {
+  it("applies a key's own request limit", async () => {
+    const { key } = await issueKey({ client: "poller", scopes: ["read-status"], rateLimit: 2 });
+    const { key: otherKey } = await issueKey({ client: "other", scopes: ["read-status"] });
+
+    expect((await request(app).get("/queue").set("X-API-Key", key)).status).toBe(200);
+    expect((await request(app).get("/queue").set("X-API-Key", key)).status).toBe(200);
+
+    const limited = await request(app).get("/queue").set("X-API-Key", key);
+    expect(limited.status).toBe(429);
+    expect(limited.body.success).toBe(false);
+
+    // Counted per key, so other clients are unaffected
+    expect((await request(app).get("/queue").set("X-API-Key", otherKey)).status).toBe(200);
+  });
+});
@@ -0,0 +1,90 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { createAutoReplyEngine, validateRule } from "../lib/autoReply.js";
+
+// Auto-reply rules on their own, with a stub in place of the queue
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-auto-reply-"));
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const afterHours = {
+  name: "After hours",
+  conditions: { timeWindow: { start: "00:00", end: "23:59" } },
+  action: { type: "reply", message: "We are closed, we will reply in the morning" },
+};
+
+let engineFile = 0;
+const createEngine = ({ throttled = () => false } = {}) => {
+  const sent = [];
+  const engine = createAutoReplyEngine({
+    filePath: path.join(dir, `auto-replies-${(engineFile += 1)}.json`),
+    logger,
+    sendReply: (message, text) => {
+      if (throttled()) {
+        return null;
+      }
+      sent.push(text);
+      return { id: `job_${sent.length}` };
+    },
+  });
+  return { engine, sent };
+};
+
+const incoming = (body) => ({ id: "msg", from: "919876543210@c.us", body });
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("auto-reply cooldown", () => {
+  it("refuses a time-window-only rule without a cooldown", () => {
+    expect(validateRule({ ...afterHours, cooldownMinutes: 0 })).toMatch(/cooldownMinutes/);
+    expect(
+      validateRule({ ...afterHours, conditions: { keywords: ["hours"] }, cooldownMinutes: 0 })
+    ).toBeNull();
+  });
+
+  it("answers a chatty customer once per cooldown by default", async () => {
+    const { engine, sent } = createEngine();
+    const rule = engine.create(afterHours);
+
+    expect(rule.cooldownMinutes).toBe(60);
+    await engine.handle(incoming("Hello?"));
+    await engine.handle(incoming("Anyone there?"));
+    await engine.handle(incoming("Please reply"));
+
+    expect(sent).toHaveLength(1);
+  });
+
+  it("answers again once the cooldown has run out", async () => {
+    const { engine, sent } = createEngine();
+    engine.create({ ...afterHours, cooldownMinutes: 5 });
+    const now = jest.spyOn(Date, "now");
+
+    try {
+      now.mockReturnValue(Date.parse("2024-05-01T10:00:00Z"));
+      await engine.handle(incoming("Hello?"));
+      now.mockReturnValue(Date.parse("2024-05-01T10:04:00Z"));
+      await engine.handle(incoming("Anyone there?"));
+      now.mockReturnValue(Date.parse("2024-05-01T10:05:00Z"));
+      await engine.handle(incoming("Please reply"));
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(sent).toHaveLength(2);
+  });
+
+  it("does not start the cooldown when the send limits refuse the reply", async () => {
+    let throttled = true;
+    const { engine, sent } = createEngine({ throttled: () => throttled });
+    engine.create(afterHours);
+
+    expect(await engine.handle(incoming("Hello?"))).toBeNull();
+    throttled = false;
+    await engine.handle(incoming("Anyone there?"));
+
+    expect(sent).toHaveLength(1);
+  });
+});
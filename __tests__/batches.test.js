@@ -0,0 +1,115 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { createBatchRunner } from "../lib/batches.js";
+
+// Broadcast batches through the API, and the runner's retention on its own
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-batches-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+  BATCH_SEND_INTERVAL_MS: "1",
+  BATCH_SEND_JITTER_MS: "1",
+  BATCH_MIN_INTERVAL_MS: "1",
+});
+
+const { default: app, startServices, stopServices, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("POST /v1/batches", () => {
+  it("points statusUrl at the versioned route", async () => {
+    const res = await request(app)
+      .post("/v1/batches")
+      .set(ADMIN)
+      .send({
+        name: "Restock",
+        message: "Your size is back in stock",
+        recipients: [{ number: "+919876543210" }],
+      });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.statusUrl).toBe(`/v1/batches/${res.body.data.id}`);
+
+    const finished = await waitFor(async () => {
+      const batch = await request(app).get(res.body.data.statusUrl).set(ADMIN);
+      return batch.body.data.status === "completed" && batch;
+    });
+    expect(finished.body.data.counts).toEqual({ sent: 1 });
+  });
+});
+
+describe("batch retention", () => {
+  const finishedBatch = (id, completedAt) => ({
+    id,
+    status: "completed",
+    createdAt: completedAt,
+    completedAt,
+    recipients: [],
+  });
+
+  it("drops finished batches older than the retention on start", () => {
+    const filePath = path.join(dataDir, "retention.json");
+    const now = Date.now();
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        batches: [
+          finishedBatch("batch_old", new Date(now - 3 * 60 * 60 * 1000).toISOString()),
+          finishedBatch("batch_recent", new Date(now - 60 * 1000).toISOString()),
+          { ...finishedBatch("batch_running", undefined), status: "paused" },
+        ],
+      })
+    );
+
+    const runner = createBatchRunner({
+      filePath,
+      queue: {},
+      logger,
+      retentionMs: 60 * 60 * 1000,
+    });
+
+    expect(runner.list().map((batch) => batch.id)).toEqual(["batch_running", "batch_recent"]);
+    expect(JSON.parse(fs.readFileSync(filePath, "utf8")).batches).toHaveLength(2);
+  });
+});
@@ -0,0 +1,154 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// Group listing, group management and sending to a group by name, against
+// the fake driver. Lookups are not cached here, so groups added through the
+// driver show up at once.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-groups-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_UNREGISTERED: "+919800000001",
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+  LOOKUP_CACHE_TTL_MS: "0",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const RIDER = "+919876543210";
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const jobStatus = async (jobId, status) => {
+  const res = await request(app).get(`/queue/jobs/${jobId}`).set(ADMIN);
+  return res.body.data.status === status && res.body.data;
+};
+
+let warehouseId;
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("group management", () => {
+  it("creates a group and reports who could not be added", async () => {
+    const res = await request(app)
+      .post("/groups")
+      .set(ADMIN)
+      .send({ name: "Warehouse alerts", participants: [RIDER, "+919800000001"] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.name).toBe("Warehouse alerts");
+    expect(res.body.data.participants.map((participant) => participant.added)).toEqual([
+      true,
+      false,
+    ]);
+    warehouseId = res.body.data.id;
+
+    const list = await request(app).get("/groups").set(ADMIN);
+    expect(list.body.data).toEqual([
+      expect.objectContaining({ id: warehouseId, participantCount: 2, isAdmin: true }),
+    ]);
+  });
+
+  it("adds and removes participants by group name", async () => {
+    const added = await request(app)
+      .post("/groups/warehouse%20alerts/participants")
+      .set(ADMIN)
+      .send({ participants: ["+919876543211", RIDER] });
+    expect(added.status).toBe(200);
+    expect(added.body.summary).toEqual({ added: 1, failed: 1 });
+    expect(added.body.data[1]).toMatchObject({ added: false, code: 409 });
+
+    const removed = await request(app)
+      .delete(`/groups/${warehouseId}/participants/${RIDER}`)
+      .set(ADMIN);
+    expect(removed.status).toBe(200);
+
+    const again = await request(app)
+      .delete(`/groups/${warehouseId}/participants/${RIDER}`)
+      .set(ADMIN);
+    expect(again.status).toBe(404);
+  });
+
+  it("explains when the account is not a group admin", async () => {
+    transport.addGroup(DEFAULT_SESSION_ID, { name: "Delivery riders", isAdmin: false });
+
+    const res = await request(app)
+      .post("/groups/Delivery%20riders/participants")
+      .set(ADMIN)
+      .send({ participants: [RIDER] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("not_group_admin");
+    expect(res.body.error).toMatch(/not an admin of the group "Delivery riders"/);
+  });
+});
+
+describe("sending to a group", () => {
+  it("sends to a group by name", async () => {
+    const res = await request(app)
+      .post("/send-whatsapp")
+      .set(ADMIN)
+      .send({ group: "Warehouse Alerts", message: "Order #1042 is ready for pickup" });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.chatId).toBe(warehouseId);
+    const job = await waitFor(() => jobStatus(res.body.data.jobId, "sent"));
+    expect(transport.sent.find((message) => message.id === job.result.messageId).to).toBe(
+      warehouseId
+    );
+  });
+
+  it("rejects unknown and ambiguous group names", async () => {
+    transport.addGroup(DEFAULT_SESSION_ID, { name: "Dispatch" });
+    transport.addGroup(DEFAULT_SESSION_ID, { name: "dispatch" });
+
+    const unknown = await request(app)
+      .post("/send-whatsapp")
+      .set(ADMIN)
+      .send({ group: "Nobody", message: "Hello" });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe("group_not_found");
+
+    const ambiguous = await request(app)
+      .post("/send-whatsapp")
+      .set(ADMIN)
+      .send({ group: "Dispatch", message: "Hello" });
+    expect(ambiguous.status).toBe(409);
+    expect(ambiguous.body.matches).toHaveLength(2);
+  });
+});
@@ -0,0 +1,156 @@
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { createIdempotencyStore } from "../lib/idempotency.js";
+
+// Idempotency-Key handling on its own, in front of a stub send route that
+// counts how often it really runs
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-idempotency-"));
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+let storeFile = 0;
+const createApp = ({ ttlMs } = {}) => {
+  const idempotency = createIdempotencyStore({
+    filePath: path.join(dir, `idempotency-${(storeFile += 1)}.json`),
+    logger,
+    ttlMs,
+  });
+  const sent = [];
+  let hold = null;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.apiClient = { client: req.get("X-Client") || "shop" };
+    next();
+  });
+  app.post("/send", idempotency.middleware, async (req, res) => {
+    if (hold) {
+      await hold;
+    }
+    if (req.body.fail) {
+      return res.status(503).json({ success: false, error: "Not connected" });
+    }
+    sent.push(req.body);
+    res.status(202).json({ success: true, data: { jobId: `job_${sent.length}` } });
+  });
+
+  // Keep requests inside the route until the returned function is called
+  const holdRequests = () => {
+    let release;
+    hold = new Promise((resolve) => {
+      release = resolve;
+    });
+    return () => {
+      hold = null;
+      release();
+    };
+  };
+
+  return { app, sent, holdRequests };
+};
+
+const send = (app, key, body, client) => {
+  const req = request(app).post("/send").set("Idempotency-Key", key);
+  if (client) {
+    req.set("X-Client", client);
+  }
+  return req.send(body);
+};
+
+const ORDER = { number: "+919876543210", message: "Order #1042 is ready" };
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("Idempotency-Key", () => {
+  it("replays the original response instead of sending again", async () => {
+    const { app, sent } = createApp();
+
+    const first = await send(app, "order-1042", ORDER);
+    const retry = await send(app, "order-1042", ORDER);
+
+    expect(first.status).toBe(202);
+    expect(first.headers["idempotent-replayed"]).toBeUndefined();
+    expect(retry.status).toBe(202);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(retry.body).toEqual(first.body);
+    expect(sent).toHaveLength(1);
+  });
+
+  it("answers 409 while the first request is still being handled", async () => {
+    const { app, sent, holdRequests } = createApp();
+    const release = holdRequests();
+
+    // supertest only starts the request once it is awaited or then()'d
+    const first = send(app, "order-1042", ORDER).then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const duplicate = await send(app, "order-1042", ORDER);
+    release();
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe("idempotency_key_in_progress");
+    expect(duplicate.headers["retry-after"]).toBe("1");
+    expect((await first).status).toBe(202);
+    expect(sent).toHaveLength(1);
+  });
+
+  it("answers 422 when a key is reused for a different body", async () => {
+    const { app, sent } = createApp();
+
+    await send(app, "order-1042", ORDER);
+    const res = await send(app, "order-1042", { ...ORDER, message: "Order #1043 is ready" });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("idempotency_key_reused");
+    expect(sent).toHaveLength(1);
+  });
+
+  it("releases the key when the request fails", async () => {
+    const { app, sent } = createApp();
+
+    const failed = await send(app, "order-1042", { ...ORDER, fail: true });
+    const retry = await send(app, "order-1042", ORDER);
+
+    expect(failed.status).toBe(503);
+    expect(retry.status).toBe(202);
+    expect(retry.headers["idempotent-replayed"]).toBeUndefined();
+    expect(sent).toHaveLength(1);
+  });
+
+  it("forgets keys after the TTL", async () => {
+    const { app, sent } = createApp({ ttlMs: 30 });
+
+    await send(app, "order-1042", ORDER);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const res = await send(app, "order-1042", ORDER);
+
+    expect(res.headers["idempotent-replayed"]).toBeUndefined();
+    expect(sent).toHaveLength(2);
+  });
+
+  it("keeps each client's keys apart", async () => {
+    const { app, sent } = createApp();
+
+    const shop = await send(app, "order-1042", ORDER, "shop");
+    const warehouse = await send(app, "order-1042", ORDER, "warehouse");
+
+    expect(warehouse.status).toBe(202);
+    expect(warehouse.headers["idempotent-replayed"]).toBeUndefined();
+    expect(warehouse.body.data.jobId).not.toBe(shop.body.data.jobId);
+    expect(sent).toHaveLength(2);
+  });
+
+  it("rejects a key that is not printable ASCII", async () => {
+    const { app, sent } = createApp();
+
+    const res = await send(app, "x".repeat(256), ORDER);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_idempotency_key");
+    expect(sent).toHaveLength(0);
+  });
+});
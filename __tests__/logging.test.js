@@ -0,0 +1,190 @@
+import express from "express";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import winston from "winston";
+import { currentRequestId, requestContext, runWithRequestId } from "../lib/requestContext.js";
+
+// X-Request-Id from the request through the queue into the log files, and
+// the rotation settings the log files are opened with
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-logging-"));
+const logDir = path.join(dataDir, "logs");
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: logDir,
+  LOG_LEVEL: "info",
+  LOG_MAX_SIZE: "5m",
+  LOG_RETENTION_DAYS: "3",
+  LOG_ZIP_ARCHIVES: "true",
+  // Keeps the console quiet; lines still go to the files
+  NODE_ENV: "production",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+});
+
+const { default: logger } = await import("../lib/logger.js");
+const { default: app, startServices, stopServices, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// Every JSON line written to today's app log so far
+const appLogLines = () =>
+  fs
+    .readdirSync(logDir)
+    .filter((name) => /^app-\d{4}-\d{2}-\d{2}\.log$/.test(name))
+    .flatMap((name) => fs.readFileSync(path.join(logDir, name), "utf8").split("\n"))
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("request context", () => {
+  const echo = express();
+  echo.use(requestContext);
+  echo.get("/", async (req, res) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    res.json({ id: req.id, current: currentRequestId() });
+  });
+
+  it("keeps a safe X-Request-Id from the caller and returns it", async () => {
+    const res = await request(echo).get("/").set("X-Request-Id", "order-1042:retry.2");
+
+    expect(res.headers["x-request-id"]).toBe("order-1042:retry.2");
+    expect(res.body).toEqual({ id: "order-1042:retry.2", current: "order-1042:retry.2" });
+  });
+
+  it.each([
+    ["missing", undefined],
+    ["unsafe to log", "order 1042 <script>"],
+    ["too long", "x".repeat(129)],
+  ])("creates a UUID when the caller's id is %s", async (_, incoming) => {
+    const req = request(echo).get("/");
+    if (incoming !== undefined) {
+      req.set("X-Request-Id", incoming);
+    }
+    const res = await req;
+
+    expect(res.headers["x-request-id"]).toMatch(UUID);
+    expect(res.body.current).toBe(res.headers["x-request-id"]);
+  });
+
+  it("keeps the id across awaits and timers, and only inside the call", async () => {
+    const seen = await runWithRequestId("req_1", async () => {
+      await Promise.resolve();
+      return new Promise((resolve) => setTimeout(() => resolve(currentRequestId()), 1));
+    });
+
+    expect(seen).toBe("req_1");
+    expect(currentRequestId()).toBeUndefined();
+  });
+});
+
+describe("request id propagation", () => {
+  it("logs the delivery of a queued message under the id of the request", async () => {
+    const res = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .set("X-Request-Id", "checkout-7781")
+      .send({ number: CUSTOMER, message: "Order #1042 is ready" });
+
+    expect(res.status).toBe(202);
+    expect(res.headers["x-request-id"]).toBe("checkout-7781");
+    const { jobId } = res.body.data;
+
+    const job = await request(app).get(`/v1/queue/jobs/${jobId}`).set(ADMIN);
+    expect(job.body.data.requestId).toBe("checkout-7781");
+
+    // The worker sends after the request has been answered
+    const sent = await waitFor(() =>
+      appLogLines().find((line) => line.jobId === jobId && /sent successfully/.test(line.message))
+    );
+    expect(sent.requestId).toBe("checkout-7781");
+
+    const access = appLogLines().find(
+      (line) => line.message === "POST /v1/messages 202" && line.requestId === "checkout-7781"
+    );
+    expect(access).toBeDefined();
+  });
+
+  it("hands a generated id to the job when the caller sent none", async () => {
+    const res = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, message: "Order #1043 is ready" });
+
+    const job = await request(app).get(`/v1/queue/jobs/${res.body.data.jobId}`).set(ADMIN);
+
+    expect(res.headers["x-request-id"]).toMatch(UUID);
+    expect(job.body.data.requestId).toBe(res.headers["x-request-id"]);
+  });
+});
+
+describe("log rotation", () => {
+  const rotating = () =>
+    logger.transports.filter(
+      (transport) => transport instanceof winston.transports.DailyRotateFile
+    );
+
+  it("opens a dated app and error log with the configured limits", () => {
+    const files = rotating();
+
+    expect(files.map((transport) => transport.filename)).toEqual([
+      "error-%DATE%.log",
+      "app-%DATE%.log",
+    ]);
+    files.forEach((transport) => {
+      expect(transport.dirname).toBe(logDir);
+      expect(transport.options).toMatchObject({
+        datePattern: "YYYY-MM-DD",
+        maxSize: "5m",
+        maxFiles: "3d",
+        zippedArchive: true,
+        createSymlink: true,
+      });
+    });
+    expect(files[0].level).toBe("error");
+  });
+
+  it("links app.log to the current file", async () => {
+    const link = path.join(logDir, "app.log");
+    await waitFor(() => fs.existsSync(link));
+
+    expect(fs.lstatSync(link).isSymbolicLink()).toBe(true);
+    expect(fs.readlinkSync(link)).toMatch(/^app-\d{4}-\d{2}-\d{2}\.log$/);
+  });
+});
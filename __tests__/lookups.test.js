@@ -0,0 +1,152 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// Contact and chat lookups, answered by the fake driver's contacts and the
+// messages sent and received through it
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-lookups-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_UNREGISTERED: "+919800000001",
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+  RECONNECT_BASE_MS: "500",
+  RECONNECT_MAX_MS: "500",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const sessionState = async () => {
+  const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+  return res.body.data.state;
+};
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => (await sessionState()) === "ready");
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("contacts", () => {
+  it("checks the registration of many numbers", async () => {
+    const res = await request(app)
+      .post("/contacts/check")
+      .set(ADMIN)
+      .send({ numbers: [CUSTOMER, "+919800000001", "not a number"] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((result) => result.registered)).toEqual([true, false, undefined]);
+    expect(res.body.summary).toEqual({ total: 3, registered: 1, notRegistered: 1, invalid: 1 });
+  });
+
+  it("returns the profile of a number and caches it", async () => {
+    transport.setContact(CUSTOMER, {
+      pushname: "Asha",
+      profilePicUrl: "https://example.com/asha.jpg",
+    });
+
+    const first = await request(app).get(`/contacts/${CUSTOMER}`).set(ADMIN);
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({
+      chatId: "919876543210@c.us",
+      registered: true,
+      pushname: "Asha",
+      profilePicUrl: "https://example.com/asha.jpg",
+    });
+
+    transport.setContact(CUSTOMER, { pushname: "Changed" });
+    const second = await request(app).get(`/contacts/${CUSTOMER}`).set(ADMIN);
+    expect(second.body.data.pushname).toBe("Asha");
+    expect(second.body.data.fetchedAt).toBe(first.body.data.fetchedAt);
+  });
+
+  it("has no profile for numbers without WhatsApp", async () => {
+    const res = await request(app).get("/contacts/+919800000001").set(ADMIN);
+
+    expect(res.body.data).toMatchObject({ registered: false, pushname: null });
+  });
+});
+
+describe("chats", () => {
+  it("lists recent chats and pages through a chat's messages", async () => {
+    const sent = await request(app)
+      .post("/send-whatsapp")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, message: "Your order has shipped" });
+    await waitFor(async () => {
+      const res = await request(app).get(`/queue/jobs/${sent.body.data.jobId}`).set(ADMIN);
+      return res.body.data.status === "sent";
+    });
+    const client = transport.client(DEFAULT_SESSION_ID);
+    client.receive({ from: CUSTOMER, body: "Thanks!" });
+    client.receive({ from: CUSTOMER, body: "When will it arrive?" });
+
+    const chats = await request(app).get("/chats").set(ADMIN);
+    expect(chats.status).toBe(200);
+    expect(chats.body.data[0]).toMatchObject({
+      id: "919876543210@c.us",
+      unreadCount: 2,
+      lastMessage: { body: "When will it arrive?", fromMe: false },
+    });
+
+    const latest = await request(app).get(`/chats/${CUSTOMER}/messages?limit=2`).set(ADMIN);
+    expect(latest.body.data.map((message) => message.body)).toEqual([
+      "When will it arrive?",
+      "Thanks!",
+    ]);
+    expect(latest.body.pagination.hasMore).toBe(true);
+
+    const older = await request(app)
+      .get(`/chats/${CUSTOMER}/messages?limit=2&offset=2`)
+      .set(ADMIN);
+    expect(older.body.data).toEqual([
+      expect.objectContaining({ body: "Your order has shipped", fromMe: true }),
+    ]);
+    expect(older.body.pagination.hasMore).toBe(false);
+  });
+
+  it("answers 404 for a chat that doesn't exist", async () => {
+    const res = await request(app).get("/chats/+14155550123/messages").set(ADMIN);
+
+    expect(res.status).toBe(404);
+  });
+
+  it("needs a connected session", async () => {
+    transport.client(DEFAULT_SESSION_ID).disconnect();
+    const res = await request(app).get("/chats").set(ADMIN);
+
+    expect(res.status).toBe(503);
+    await waitFor(async () => (await sessionState()) === "ready");
+  });
+});
@@ -0,0 +1,76 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createMediaStore, isPublicAddress, MediaError } from "../lib/media.js";
+
+// Downloads from "media.url" must not reach the service's own network
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-media-"));
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+let server;
+let port;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "application/pdf" });
+    res.end("%PDF-1.4 internal report");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("isPublicAddress", () => {
+  it.each(["127.0.0.1", "10.1.2.3", "172.16.0.5", "192.168.1.1", "169.254.169.254", "::1"])(
+    "refuses %s",
+    (address) => {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  );
+
+  it.each(["::ffff:127.0.0.1", "fd00::1", "fe80::1", "100.64.0.1", "0.0.0.0"])(
+    "refuses %s",
+    (address) => {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  );
+
+  it.each(["93.184.216.34", "2606:2800:220:1:248:1893:25c8:1946"])("allows %s", (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe("fromUrl", () => {
+  const store = createMediaStore({ dir, logger });
+
+  it.each([
+    () => `http://127.0.0.1:${port}/report.pdf`,
+    () => `http://localhost:${port}/report.pdf`,
+    () => `http://[::ffff:127.0.0.1]:${port}/report.pdf`,
+    () => "http://169.254.169.254/latest/meta-data/",
+  ])("refuses an internal address without downloading it", async (url) => {
+    const error = await store.fromUrl({ url: url() }).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(MediaError);
+    expect(error.status).toBe(422);
+    expect(error.message).toBe("Media URL does not resolve to a public address");
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it("only downloads from allowlisted hosts when a list is set", async () => {
+    const restricted = createMediaStore({
+      dir,
+      logger,
+      allowedUrlHosts: ["cdn.shop.example.com", "*.assets.example.com"],
+    });
+
+    await expect(
+      restricted.fromUrl({ url: "https://attacker.example.net/a.pdf" })
+    ).rejects.toThrow("Media host attacker.example.net is not allowed");
+  });
+});
@@ -0,0 +1,255 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { toCsv } from "../lib/csv.js";
+import { createMessageHistory, EXPORT_COLUMNS, historyToCsv } from "../lib/messageHistory.js";
+
+// Message history: the query filters, the /v1/messages list and export
+// endpoints, and CSV quoting
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-messages-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+const OTHER = "+919812345678";
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("CSV export", () => {
+  it("quotes values with commas, quotes or line breaks and leaves the rest alone", () => {
+    const csv = toCsv(
+      ["plain", "comma", "quote", "lines", "missing"],
+      [{ plain: "ok", comma: "a,b", quote: 'say "hi"', lines: "one\ntwo\r\nthree", missing: null }]
+    );
+
+    expect(csv).toBe(
+      'plain,comma,quote,lines,missing\r\nok,"a,b","say ""hi""","one\ntwo\r\nthree",'
+    );
+  });
+
+  it("writes the export columns in order, with the template id flattened", () => {
+    const csv = historyToCsv([
+      { id: "job_1", direction: "outbound", body: "Hi", template: { id: "order-shipped" } },
+    ]);
+    const [header, row] = csv.split("\r\n");
+
+    expect(header).toBe(EXPORT_COLUMNS.join(","));
+    const values = row.split(",");
+    expect(values[EXPORT_COLUMNS.indexOf("templateId")]).toBe("order-shipped");
+    expect(values[EXPORT_COLUMNS.indexOf("body")]).toBe("Hi");
+  });
+});
+
+describe("history filters", () => {
+  let historyFile = 0;
+  const createHistory = () => {
+    const history = createMessageHistory({
+      filePath: path.join(dataDir, `history-${(historyFile += 1)}.json`),
+      logger,
+    });
+    const job = (id, createdAt, payload, extra = {}) =>
+      history.recordJob({
+        id,
+        status: "sent",
+        sessionId: "shop",
+        client: "shop",
+        attempts: 1,
+        payload,
+        createdAt,
+        updatedAt: createdAt,
+        ...extra,
+      });
+
+    job("job_1", "2026-03-01T10:00:00.000Z", {
+      chatId: "919876543210@c.us",
+      message: "Order 1042 shipped",
+      template: { id: "order-shipped", language: "default" },
+    });
+    job(
+      "job_2",
+      "2026-03-02T10:00:00.000Z",
+      { chatId: "919812345678@c.us", message: "Order 1043 delayed" },
+      { status: "dead", client: "warehouse" }
+    );
+    history.recordIncoming({
+      messageId: "in_1",
+      sessionId: "support",
+      chatId: "919876543210@c.us",
+      name: "Asha",
+      type: "chat",
+      body: "Where is order 1042?",
+      timestamp: "2026-03-03T10:00:00.000Z",
+    });
+    return history;
+  };
+
+  const ids = (result) => result.messages.map((entry) => entry.id);
+
+  it("lists everything newest first", () => {
+    expect(ids(createHistory().query())).toEqual(["in_1", "job_2", "job_1"]);
+  });
+
+  it("filters by direction, session, status, client and template", () => {
+    const history = createHistory();
+
+    expect(ids(history.query({ direction: "inbound" }))).toEqual(["in_1"]);
+    expect(ids(history.query({ sessionId: "shop" }))).toEqual(["job_2", "job_1"]);
+    expect(ids(history.query({ status: "failed" }))).toEqual(["job_2"]);
+    expect(ids(history.query({ client: "warehouse" }))).toEqual(["job_2"]);
+    expect(ids(history.query({ templateId: "order-shipped" }))).toEqual(["job_1"]);
+  });
+
+  it("matches a number by its digits or a chat id exactly", () => {
+    const history = createHistory();
+
+    expect(ids(history.query({ number: "+91 98765-43210" }))).toEqual(["in_1", "job_1"]);
+    expect(ids(history.query({ number: "919812345678@c.us" }))).toEqual(["job_2"]);
+  });
+
+  it("searches for every word in the body, name and chat id", () => {
+    const history = createHistory();
+
+    expect(ids(history.query({ search: "order 1042" }))).toEqual(["in_1", "job_1"]);
+    expect(ids(history.query({ search: "asha 1042" }))).toEqual(["in_1"]);
+    expect(ids(history.query({ search: "order missing" }))).toEqual([]);
+  });
+
+  it("keeps since and until inclusive", () => {
+    const result = createHistory().query({
+      since: "2026-03-02T10:00:00.000Z",
+      until: "2026-03-03T10:00:00.000Z",
+    });
+
+    expect(ids(result)).toEqual(["in_1", "job_2"]);
+  });
+
+  it("pages with limit and offset and reports the full total", () => {
+    const result = createHistory().query({ limit: 1, offset: 1 });
+
+    expect(result.total).toBe(3);
+    expect(ids(result)).toEqual(["job_2"]);
+  });
+});
+
+describe("/v1/messages", () => {
+  beforeAll(async () => {
+    const sends = [
+      { number: CUSTOMER, message: 'Order 2001: "blue", size M,\nships Monday' },
+      { number: OTHER, message: "Order 2002 ships Tuesday" },
+    ];
+    for (const body of sends) {
+      await request(app).post("/v1/messages").set(ADMIN).send(body);
+    }
+    await waitFor(
+      () => transport.sent.filter((sent) => /Order 200/.test(sent.content.text)).length === 2
+    );
+  });
+
+  it("lists the history matching the filters", async () => {
+    const res = await request(app)
+      .get("/v1/messages")
+      .query({ direction: "outbound", number: CUSTOMER, q: "order 2001", limit: 10 })
+      .set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toEqual({ total: 1, limit: 10, offset: 0 });
+    expect(res.body.data[0]).toMatchObject({
+      direction: "outbound",
+      chatId: "919876543210@c.us",
+      body: 'Order 2001: "blue", size M,\nships Monday',
+    });
+  });
+
+  it.each([
+    [{ direction: "sideways" }, "direction", "invalid_value"],
+    [{ since: "yesterday" }, "since", "invalid_format"],
+    [{ limit: 500 }, "limit", "out_of_range"],
+    [{ offset: -1 }, "offset", "out_of_range"],
+  ])("rejects %o", async (query, field, code) => {
+    const res = await request(app).get("/v1/messages").query(query).set(ADMIN);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ field, code })]);
+  });
+
+  it("exports the filtered history as CSV with quoted text", async () => {
+    const res = await request(app)
+      .get("/v1/messages/export")
+      .query({ direction: "outbound", q: "order 200" })
+      .set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(res.headers["content-disposition"]).toMatch(
+      /^attachment; filename="messages-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+
+    const [header, ...rows] = res.text.split("\r\n");
+    expect(header).toBe(EXPORT_COLUMNS.join(","));
+    // The line break inside the first message stays inside its quotes
+    expect(rows).toHaveLength(2);
+    expect(rows[1]).toContain(',"Order 2001: ""blue"", size M,\nships Monday",');
+    expect(rows[0]).toContain(",Order 2002 ships Tuesday,");
+  });
+
+  it("exports JSON with the filters that were applied", async () => {
+    const res = await request(app)
+      .get("/v1/messages/export")
+      .query({ format: "json", number: OTHER })
+      .set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.body.filters).toMatchObject({ number: OTHER });
+    expect(res.body.messages.map((entry) => entry.body)).toEqual(["Order 2002 ships Tuesday"]);
+  });
+
+  it("rejects an unknown export format", async () => {
+    const res = await request(app).get("/v1/messages/export").query({ format: "xlsx" }).set(ADMIN);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ field: "format" })]);
+  });
+});
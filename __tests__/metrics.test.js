@@ -0,0 +1,168 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// The Prometheus counters and gauges on GET /metrics, moved by real sends,
+// refusals and reconnects through the fake driver
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-metrics-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+  RECONNECT_BASE_MS: "20",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+const UNREGISTERED = "+919812345678";
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const scrape = async () => (await request(app).get("/v1/metrics").set(ADMIN)).text;
+
+// The value of one series in the text format, 0 when it is not there yet
+const valueOf = (text, series) => {
+  const line = text.split("\n").find((entry) => entry.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+const send = (number, message) =>
+  request(app).post("/v1/messages").set(ADMIN).send({ number, message });
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("GET /metrics", () => {
+  it("serves the Prometheus text format to read-status callers only", async () => {
+    const res = await request(app).get("/v1/metrics").set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(res.text).toContain("# TYPE whatsapp_messages_sent_total counter");
+    expect(res.text).toContain("# TYPE whatsapp_process_cpu_seconds_total counter");
+
+    const key = await request(app)
+      .post("/v1/admin/api-keys")
+      .set(ADMIN)
+      .send({ client: "shop", scopes: ["send"] });
+    const denied = await request(app).get("/v1/metrics").set("X-API-Key", key.body.data.key);
+    expect(denied.status).toBe(403);
+  });
+
+  it("counts delivered messages and their send time per session", async () => {
+    const sent = `whatsapp_messages_sent_total{session="${DEFAULT_SESSION_ID}"}`;
+    const timed = `whatsapp_send_duration_seconds_count{session="${DEFAULT_SESSION_ID}"}`;
+    const before = await scrape();
+
+    await send(CUSTOMER, "Order #1042 is ready");
+
+    const after = await waitFor(async () => {
+      const text = await scrape();
+      return valueOf(text, sent) > valueOf(before, sent) && text;
+    });
+    expect(valueOf(after, sent)).toBe(valueOf(before, sent) + 1);
+    expect(valueOf(after, timed)).toBe(valueOf(before, timed) + 1);
+  });
+
+  it("counts failed deliveries by reason", async () => {
+    const failed =
+      `whatsapp_messages_failed_total{session="${DEFAULT_SESSION_ID}",reason="not_registered"}`;
+    transport.markUnregistered(UNREGISTERED);
+
+    await send(UNREGISTERED, "Order #1043 is ready");
+
+    const text = await waitFor(async () => {
+      const scraped = await scrape();
+      return valueOf(scraped, failed) > 0 && scraped;
+    });
+    expect(valueOf(text, failed)).toBe(1);
+    transport.markRegistered(UNREGISTERED);
+  });
+
+  it("counts requests refused before queueing by route and reason", async () => {
+    const rejected = 'whatsapp_messages_rejected_total{route="/v1/messages",reason="validation"}';
+    const requests = 'http_requests_total{method="POST",route="/v1/messages",status_code="400"}';
+    const before = await scrape();
+
+    const res = await send(CUSTOMER, "");
+
+    expect(res.status).toBe(400);
+    const after = await scrape();
+    expect(valueOf(after, rejected)).toBe(valueOf(before, rejected) + 1);
+    expect(valueOf(after, requests)).toBe(valueOf(before, requests) + 1);
+  });
+
+  it("labels requests by route pattern rather than raw URL", async () => {
+    await request(app).get("/v1/queue/jobs/job_missing").set(ADMIN);
+
+    const text = await scrape();
+
+    expect(text).toContain('route="/v1/queue/jobs/:id"');
+    expect(text).not.toContain("job_missing");
+  });
+
+  it("reports the current session state and queue sizes when scraped", async () => {
+    const text = await scrape();
+    const state = (name) =>
+      `whatsapp_session_state{session="${DEFAULT_SESSION_ID}",state="${name}"}`;
+
+    expect(valueOf(text, state("ready"))).toBe(1);
+    expect(valueOf(text, state("disconnected"))).toBe(0);
+
+    const stats = await request(app).get("/v1/queue").set(ADMIN);
+    Object.entries(stats.body.data).forEach(([status, count]) => {
+      expect(valueOf(text, `whatsapp_queue_jobs{status="${status}"}`)).toBe(count);
+    });
+  });
+
+  it("counts reconnect attempts after a disconnect", async () => {
+    const reconnects = `whatsapp_session_reconnects_total{session="${DEFAULT_SESSION_ID}"}`;
+    const before = valueOf(await scrape(), reconnects);
+
+    transport.client(DEFAULT_SESSION_ID).disconnect();
+
+    const text = await waitFor(async () => {
+      const scraped = await scrape();
+      return valueOf(scraped, reconnects) > before && scraped;
+    });
+    expect(valueOf(text, reconnects)).toBe(before + 1);
+    await waitFor(async () => {
+      const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+      return res.body.data.state === "ready";
+    });
+  });
+});
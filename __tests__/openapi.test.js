@@ -0,0 +1,431 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { schemas } from "../lib/schemas.js";
+import { createRequestValidator } from "../lib/validation.js";
+
+// The versioned API, its OpenAPI document and schema validation, against
+// the fake driver
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-openapi-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+  API_RATE_LIMIT_MAX_REQUESTS: "1000",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+
+const validator = createRequestValidator({ schemas, logger: { warn: () => {} } });
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/v1/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("GET /openapi.json", () => {
+  it("describes the v1 send routes and the legacy alias", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe("3.1.0");
+    expect(res.body.paths["/v1/messages"].post.requestBody.content).toHaveProperty(
+      "multipart/form-data"
+    );
+    expect(res.body.paths["/send-whatsapp"].post.deprecated).toBe(true);
+    expect(res.body.components.schemas.PollMessage.properties.poll.required).toEqual([
+      "question",
+      "options",
+    ]);
+  });
+
+  it("is browsable on the docs page", async () => {
+    const res = await request(app).get("/docs");
+
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/swagger-ui-bundle\.js/);
+  });
+});
+
+describe("POST /v1/messages", () => {
+  it("queues a message with a response matching its schema", async () => {
+    const res = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, message: "Your order has shipped" });
+
+    expect(res.status).toBe(202);
+    expect(validator.check("QueuedMessage", res.body)).toEqual([]);
+    expect(res.body.data.statusUrl).toBe(`/v1/queue/jobs/${res.body.data.jobId}`);
+
+    const job = await request(app).get(res.body.data.statusUrl).set(ADMIN);
+    expect(job.body.data.id).toBe(res.body.data.jobId);
+  });
+
+  it("reports every schema violation with a machine-readable code", async () => {
+    const res = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, type: "poll", poll: { question: "", options: ["Morning"] } });
+
+    expect(res.status).toBe(400);
+    expect(validator.check("ValidationError", res.body)).toEqual([]);
+    expect(res.body.details).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: "poll.question", code: "too_short" }),
+        expect.objectContaining({ field: "poll.options", code: "too_short" }),
+      ])
+    );
+  });
+
+  it("asks for exactly one media source", async () => {
+    const res = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, media: { filename: "invoice.pdf" } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Provide exactly one of "media.data" or "media.url"');
+  });
+
+  it("validates template sends the same way", async () => {
+    const res = await request(app)
+      .post("/v1/messages/template")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, templateId: "order-shipped", variables: { items: ["a"] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      expect.objectContaining({ field: "variables.items", code: "invalid_type" }),
+    ]);
+  });
+});
+
+describe("management endpoints", () => {
+  it("document their request bodies", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.body.paths["/v1/batches"].post.requestBody.content["application/json"]).toEqual({
+      schema: { $ref: "#/components/schemas/BatchRequest" },
+    });
+    expect(res.body.paths["/v1/admin/webhooks/{id}"].patch.responses[400]).toBeDefined();
+  });
+
+  it("validate bodies against their schema", async () => {
+    const res = await request(app)
+      .post("/v1/admin/webhooks")
+      .set(ADMIN)
+      .send({ url: "ftp://example.com/hook", events: ["message.unknown"] });
+
+    expect(res.status).toBe(400);
+    expect(validator.check("ValidationError", res.body)).toEqual([]);
+    expect(res.body.details).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: "url", code: "invalid_format" }),
+        expect.objectContaining({ field: "events.0", code: "invalid_value" }),
+      ])
+    );
+  });
+
+  it("validate session, pairing-code and contact-check bodies the same way", async () => {
+    const session = await request(app).post("/v1/sessions").set(ADMIN).send({ id: "shop mumbai" });
+    const pairing = await request(app)
+      .post(`/v1/sessions/${DEFAULT_SESSION_ID}/pairing-code`)
+      .set(ADMIN)
+      .send({ number: "120363025246125678@g.us" });
+    const contacts = await request(app)
+      .post("/v1/contacts/check")
+      .set(ADMIN)
+      .send({ numbers: Array(51).fill(CUSTOMER) });
+
+    for (const res of [session, pairing, contacts]) {
+      expect(res.status).toBe(400);
+      expect(validator.check("ValidationError", res.body)).toEqual([]);
+    }
+    expect(session.body.details).toEqual([
+      expect.objectContaining({ field: "id", code: "invalid_format" }),
+    ]);
+    expect(pairing.body.details).toEqual([
+      expect.objectContaining({ field: "number", code: "invalid_value" }),
+    ]);
+    expect(contacts.body.details).toEqual([
+      expect.objectContaining({ field: "numbers", code: "too_long" }),
+    ]);
+  });
+
+  it("answer lookups of unknown ids with a code", async () => {
+    const res = await request(app).get("/v1/batches/batch_missing").set(ADMIN);
+
+    expect(res.status).toBe(404);
+    expect(validator.check("Error", res.body)).toEqual([]);
+    expect(res.body.code).toBe("batch_not_found");
+  });
+
+  it("answer malformed JSON with a code", async () => {
+    const res = await request(app)
+      .post("/v1/templates")
+      .set({ ...ADMIN, "Content-Type": "application/json" })
+      .send('{"id": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_json");
+  });
+});
+
+describe("documented responses", () => {
+  let spec;
+
+  beforeAll(async () => {
+    spec = (await request(app).get("/openapi.json")).body;
+  });
+
+  // Check an answer against the schema the document gives for its status
+  const expectDocumented = (method, path, res) => {
+    const { responses } = spec.paths[`/v1${path}`][method];
+    const [status] = Object.keys(responses).map(Number);
+    // The body is in the comparison so a failure shows what came back
+    expect({ status: res.status, body: res.body }).toMatchObject({ status });
+    const name = responses[status].content["application/json"].schema.$ref.split("/").pop();
+    expect(validator.check(name, res.body)).toEqual([]);
+  };
+
+  const call = async (method, path, url, body) => {
+    const res = await request(app)[method](`/v1${url}`).set(ADMIN).send(body);
+    expectDocumented(method, path, res);
+    return res;
+  };
+
+  it("match for the service, sessions and queue", async () => {
+    await call("get", "/status", "/status");
+    await call("get", "/sessions", "/sessions");
+    await call("get", "/sessions/{id}/status", `/sessions/${DEFAULT_SESSION_ID}/status`);
+    await call("get", "/sessions/{id}/pairing", `/sessions/${DEFAULT_SESSION_ID}/pairing`);
+    await call(
+      "post",
+      "/sessions/{id}/pairing-link",
+      `/sessions/${DEFAULT_SESSION_ID}/pairing-link`
+    );
+    await call("post", "/sessions", "/sessions", { id: "documented", label: "Docs" });
+    await call("delete", "/sessions/{id}", "/sessions/documented");
+
+    const sent = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, message: "Your order has shipped" });
+    await waitFor(async () => {
+      const job = await request(app).get(sent.body.data.statusUrl).set(ADMIN);
+      return job.body.data.status === "sent";
+    });
+    await call("get", "/queue", "/queue");
+    await call("get", "/queue/jobs/{id}", `/queue/jobs/${sent.body.data.jobId}`);
+    await call("get", "/queue/dead-letter", "/queue/dead-letter");
+
+    const scheduled = await request(app)
+      .post("/v1/messages")
+      .set(ADMIN)
+      .send({
+        number: CUSTOMER,
+        message: "Reminder",
+        sendAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      });
+    await call("get", "/scheduled", "/scheduled");
+    await call("delete", "/scheduled/{id}", `/scheduled/${scheduled.body.data.jobId}`);
+  });
+
+  it("match for templates and batches", async () => {
+    await call("post", "/templates", "/templates", {
+      id: "documented",
+      body: "Hi {{name}}",
+      variants: { hi: "नमस्ते {{name}}" },
+    });
+    await call("get", "/templates", "/templates");
+    await call("put", "/templates/{id}", "/templates/documented", { description: "Greeting" });
+
+    const batch = await call("post", "/batches", "/batches", {
+      templateId: "documented",
+      recipients: [{ number: CUSTOMER, variables: { name: "Asha" } }, { number: "12345" }],
+    });
+    await waitFor(async () => {
+      const res = await request(app).get(`/v1/batches/${batch.body.data.id}`).set(ADMIN);
+      return res.body.data.status === "completed";
+    });
+    await call("get", "/batches/{id}", `/batches/${batch.body.data.id}`);
+    await call("get", "/batches", "/batches");
+    await call("delete", "/templates/{id}", "/templates/documented");
+  });
+
+  it("match for messages, inbox, contacts, chats and groups", async () => {
+    transport.client(DEFAULT_SESSION_ID).receive({ from: CUSTOMER, body: "Is my order late?" });
+    const inbox = await waitFor(async () => {
+      const res = await request(app).get("/v1/inbox").set(ADMIN);
+      return res.body.data.length > 0 && res;
+    });
+    expectDocumented("get", "/inbox", inbox);
+    await call("get", "/inbox/{id}", `/inbox/${inbox.body.data[0].id}`);
+
+    const messages = await call("get", "/messages", "/messages");
+    const { messageId } = messages.body.data.find(
+      (entry) => entry.direction === "outbound" && entry.messageId
+    );
+    await call("get", "/messages/{id}", `/messages/${messageId}`);
+
+    await call("post", "/contacts/check", "/contacts/check", { numbers: [CUSTOMER, "nope"] });
+    await call("get", "/contacts/{number}", `/contacts/${CUSTOMER}`);
+    await call("get", "/chats", "/chats");
+    await call("get", "/chats/{chatId}/messages", `/chats/${CUSTOMER}/messages`);
+
+    const group = await call("post", "/groups", "/groups", {
+      name: "Documented",
+      participants: [CUSTOMER],
+    });
+    await call("get", "/groups", "/groups");
+    await call("get", "/groups/{group}", `/groups/${group.body.data.id}`);
+    await call(
+      "post",
+      "/groups/{group}/participants",
+      `/groups/${group.body.data.id}/participants`,
+      { participants: ["+919812345678"] }
+    );
+    await call(
+      "delete",
+      "/groups/{group}/participants/{number}",
+      `/groups/${group.body.data.id}/participants/919812345678`
+    );
+  });
+
+  it("match for the admin endpoints", async () => {
+    const key = await call("post", "/admin/api-keys", "/admin/api-keys", {
+      client: "documented",
+      scopes: ["send"],
+      sendLimits: { perMinute: 10 },
+    });
+    await call("get", "/admin/api-keys", "/admin/api-keys");
+    await call("post", "/admin/api-keys/{id}/rotate", `/admin/api-keys/${key.body.data.id}/rotate`);
+
+    const webhook = await call("post", "/admin/webhooks", "/admin/webhooks", {
+      url: "http://127.0.0.1:9/hooks",
+      events: ["ready"],
+    });
+    await call("get", "/admin/webhooks", "/admin/webhooks");
+    await call("post", "/admin/webhooks/{id}/test", `/admin/webhooks/${webhook.body.data.id}/test`);
+    await call("get", "/admin/webhooks/deliveries", "/admin/webhooks/deliveries");
+    await call("delete", "/admin/webhooks/{id}", `/admin/webhooks/${webhook.body.data.id}`);
+
+    const rule = await call("post", "/admin/auto-replies", "/admin/auto-replies", {
+      name: "Hours",
+      conditions: { keywords: ["hours"] },
+      action: { type: "reply", message: "We open at 9" },
+    });
+    await call("post", "/admin/auto-replies/test", "/admin/auto-replies/test", { body: "hours?" });
+    await call("get", "/admin/auto-replies", "/admin/auto-replies");
+    await call("delete", "/admin/auto-replies/{id}", `/admin/auto-replies/${rule.body.data.id}`);
+
+    await call("post", "/admin/suppressions", "/admin/suppressions", {
+      number: "+919800000009",
+      reason: "Asked not to be contacted",
+    });
+    await call("get", "/admin/suppressions", "/admin/suppressions");
+    await call("get", "/admin/suppressions/{number}", "/admin/suppressions/919800000009");
+    await call("delete", "/admin/suppressions/{number}", "/admin/suppressions/919800000009");
+  });
+});
+
+describe("GET /", () => {
+  it("lists the endpoints from the OpenAPI document", async () => {
+    const res = await request(app).get("/");
+    const spec = await request(app).get("/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body.endpoints).toHaveLength(
+      Object.values(spec.body.paths).flatMap((operations) => Object.keys(operations)).length
+    );
+    expect(res.body.endpoints).toEqual(
+      expect.arrayContaining(["POST /v1/batches", "GET /v1/queue/jobs/:id", "GET /docs"])
+    );
+  });
+});
+
+describe("the route table", () => {
+  // Where app.use(path, router) mounted a router, from the pattern Express
+  // built for it, e.g. ^\/v1\/?(?=\/|$) -> /v1
+  const mountPath = (layer) =>
+    layer.regexp.fast_slash
+      ? ""
+      : layer.regexp.source.replace(/^\^/, "").replace("\\/?(?=\\/|$)", "").replace(/\\\//g, "/");
+
+  // "METHOD /path" of every route of a router and of the routers mounted on it
+  const routesOf = (router, prefix = "") =>
+    router.stack.flatMap((layer) => {
+      if (layer.route) {
+        const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, "$1");
+        return Object.keys(layer.route.methods).map((method) => `${method.toUpperCase()} ${path}`);
+      }
+      return layer.handle.stack ? routesOf(layer.handle, prefix + mountPath(layer)) : [];
+    });
+
+  it("documents every mounted route", async () => {
+    const { endpoints } = (await request(app).get("/")).body;
+    const documented = new Set(endpoints);
+    const routes = routesOf(app._router);
+    expect(routes).toEqual(
+      expect.arrayContaining(["GET /v1/queue/jobs/:id", "POST /pair/:token/qr", "GET /docs"])
+    );
+
+    const missing = routes
+      // Static files of the docs and pairing pages
+      .filter((route) => !route.includes("/assets/"))
+      // The unversioned aliases of the API are documented once, under /v1
+      .filter((route) => {
+        const [method, path] = route.split(" ");
+        return !documented.has(route) && !documented.has(`${method} /v1${path}`);
+      });
+    expect(missing).toEqual([]);
+  });
+});
+
+describe("unknown routes", () => {
+  it("list the documented endpoints", async () => {
+    const res = await request(app).get("/v1/nope").set(ADMIN);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("endpoint_not_found");
+    expect(res.body.availableEndpoints).toEqual(
+      expect.arrayContaining(["POST /v1/messages", "GET /v1/queue/jobs/:id", "POST /send-whatsapp"])
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import logger from "../lib/logger.js";
+
+// Pairing links and the live pairing page, with the fake driver waiting
+// for a QR scan or a pairing code like a new WhatsApp login would
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-pairing-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_PAIRING: "qr",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// Collect the Server-Sent Events of a stream until close() is called
+const openEventStream = (url) => {
+  const events = [];
+  let buffer = "";
+  const req = http.get(url, (res) => {
+    res.setEncoding("utf8");
+    res.on("data", (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split("\n\n");
+      buffer = blocks.pop();
+      blocks.forEach((block) => {
+        const event = /^event: (.*)$/m.exec(block);
+        const data = /^data: (.*)$/m.exec(block);
+        if (event) {
+          events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+      });
+    });
+  });
+  req.on("error", () => {});
+  return { events, close: () => req.destroy() };
+};
+
+const createLink = async () => {
+  const res = await request(app)
+    .post(`/sessions/${DEFAULT_SESSION_ID}/pairing-link`)
+    .set(ADMIN)
+    .expect(201);
+  return new URL(res.body.data.url).pathname;
+};
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  startServices();
+});
+
+afterAll(async () => {
+  await stopServices();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("pairing links", () => {
+  it("can only be created by an admin", async () => {
+    await request(app).post(`/sessions/${DEFAULT_SESSION_ID}/pairing-link`).expect(401);
+  });
+
+  it("rejects unknown tokens", async () => {
+    const res = await request(app).get("/pair/not-a-real-token/events");
+
+    expect(res.status).toBe(404);
+  });
+
+  it("serves the pairing page without caching", async () => {
+    const link = await createLink();
+    const res = await request(app).get(link);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/html/);
+    expect(res.headers["cache-control"]).toBe("no-store");
+  });
+
+  it("keeps the token out of the request log", async () => {
+    const link = await createLink();
+    const logged = [];
+    const info = logger.info;
+    logger.info = (message, meta) => {
+      logged.push({ message, path: meta?.path });
+      return info.call(logger, message, meta);
+    };
+
+    try {
+      await request(app).get(link).expect(200);
+      const entry = await waitFor(() => logged.find((line) => line.path?.startsWith("/pair")));
+
+      expect(entry).toEqual({ message: "GET /pair/:token 200", path: "/pair/:token" });
+    } finally {
+      logger.info = info;
+    }
+  });
+});
+
+describe("live pairing", () => {
+  it("pushes a pairing code with its expiry, then the linked account", async () => {
+    const link = await createLink();
+    const stream = openEventStream(`${baseUrl}${link}/events`);
+    const latest = () => stream.events.filter((entry) => entry.event === "status").pop()?.data;
+
+    try {
+      await waitFor(() => latest()?.qr);
+      expect(Date.parse(latest().qrExpiresAt)).toBeGreaterThan(Date.now());
+
+      const res = await request(app)
+        .post(`${link}/pairing-code`)
+        .send({ number: "+919876543210" });
+      expect(res.status).toBe(202);
+
+      const pairing = await waitFor(() => latest()?.pairingCode && latest());
+      expect(pairing).toMatchObject({ state: "awaiting_code", method: "code", qr: null });
+      expect(Date.parse(pairing.pairingCodeExpiresAt)).toBeGreaterThan(Date.now());
+
+      transport.client(DEFAULT_SESSION_ID).scan();
+      const linked = await waitFor(() => latest()?.state === "ready" && latest());
+      expect(linked.pairingCode).toBeNull();
+      expect(linked.account.wid).toBe("15550000000@c.us");
+    } finally {
+      stream.close();
+    }
+  });
+
+  it("refuses to re-pair a linked session", async () => {
+    const link = await createLink();
+    const res = await request(app).post(`${link}/qr`);
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,44 @@
+import { resolveRecipient, PhoneNumberError } from "../lib/phone.js";
+
+// Normalizing caller input to E.164 numbers and WhatsApp chat ids
+describe("resolveRecipient", () => {
+  it.each([
+    ["a national number", "9876543210", "IN", "+919876543210"],
+    ["a national number with a trunk prefix", "09876543210", "IN", "+919876543210"],
+    ["a national number in another region", "020 7946 0958", "GB", "+442079460958"],
+    ["E.164", "+919876543210", "IN", "+919876543210"],
+    ["E.164 with formatting", "+44 (0)20 7946 0958", "IN", "+442079460958"],
+    ['a "00" international prefix', "0044 20 7946 0958", "IN", "+442079460958"],
+    ['a "00" prefix outside the default region', "00919876543210", "GB", "+919876543210"],
+    ['an international number without "+"', "447911123456", "IN", "+447911123456"],
+    ["a WhatsApp user id", "919876543210@c.us", "IN", "+919876543210"],
+  ])("reads %s", (description, input, defaultRegion, normalized) => {
+    expect(resolveRecipient(input, { defaultRegion })).toMatchObject({
+      type: "user",
+      normalized,
+      chatId: `${normalized.slice(1)}@c.us`,
+    });
+  });
+
+  it.each(["120363025246125486@g.us", "919876543210-1617000000@g.us"])(
+    "passes the group id %s through unchanged",
+    (groupId) => {
+      expect(resolveRecipient(groupId)).toEqual({
+        type: "group",
+        chatId: groupId,
+        normalized: groupId,
+      });
+    }
+  );
+
+  it.each([
+    ["an empty string", "", /is required/],
+    ["a missing number", undefined, /is required/],
+    ["too few digits", "12345", /not a valid phone number \(default region IN\)/],
+    ["a number that cannot exist", "+1 555 0100", /not a valid phone number/],
+    ["text", "hello", /not a valid phone number/],
+  ])("rejects %s", (description, input, message) => {
+    expect(() => resolveRecipient(input)).toThrow(PhoneNumberError);
+    expect(() => resolveRecipient(input)).toThrow(message);
+  });
+});
@@ -0,0 +1,214 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { createMessageQueue, PermanentSendError } from "../lib/messageQueue.js";
+
+// Retries, the dead-letter list and restarts, against the queue on its own,
+// and job lookups through the API
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-queue-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+});
+
+const { default: app, startServices, stopServices, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+let queueFile = 0;
+const createQueue = (deliver, options = {}) =>
+  createMessageQueue({
+    filePath: path.join(dataDir, `queue-${(queueFile += 1)}.json`),
+    deliver,
+    isReady: () => true,
+    logger,
+    baseDelayMs: 10,
+    maxDelayMs: 10,
+    ...options,
+  });
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("message queue", () => {
+  it("retries a failed delivery until it succeeds", async () => {
+    let calls = 0;
+    const queue = createQueue(async () => {
+      calls += 1;
+      if (calls < 3) {
+        throw new Error("Browser closed");
+      }
+      return { messageId: "msg-1" };
+    });
+
+    const job = queue.enqueue({ number: CUSTOMER, chatId: "919876543210@c.us", message: "Hi" });
+    await waitFor(async () => {
+      await queue.drain();
+      return queue.get(job.id).status === "sent";
+    });
+
+    expect(queue.get(job.id)).toMatchObject({ attempts: 3, result: { messageId: "msg-1" } });
+  });
+
+  it("dead-letters a job after the last attempt", async () => {
+    const queue = createQueue(
+      async () => {
+        throw new Error("Timed out");
+      },
+      { maxAttempts: 2 }
+    );
+
+    const job = queue.enqueue({ number: CUSTOMER, message: "Hi" });
+    await waitFor(async () => {
+      await queue.drain();
+      return queue.get(job.id).status === "dead";
+    });
+
+    expect(queue.get(job.id)).toMatchObject({ attempts: 2, lastError: "Timed out" });
+    expect(queue.listDeadLetter().map((dead) => dead.id)).toEqual([job.id]);
+  });
+
+  it("dead-letters permanent failures without retrying", async () => {
+    const queue = createQueue(async () => {
+      throw new PermanentSendError("Not on WhatsApp", "not_registered");
+    });
+
+    const job = queue.enqueue({ number: CUSTOMER, message: "Hi" });
+    await waitFor(() => queue.get(job.id).status === "dead");
+
+    expect(queue.get(job.id)).toMatchObject({ attempts: 1, lastErrorCode: "not_registered" });
+  });
+
+  it("requeues a dead-lettered job with a fresh attempt budget", async () => {
+    let fail = true;
+    const queue = createQueue(async () => {
+      if (fail) {
+        throw new PermanentSendError("Session gone", "session_not_found");
+      }
+      return { messageId: "msg-2" };
+    });
+
+    const job = queue.enqueue({ number: CUSTOMER, message: "Hi" });
+    await waitFor(() => queue.get(job.id).status === "dead");
+
+    fail = false;
+    expect(queue.retryDeadLetter(job.id).attempts).toBe(0);
+    await waitFor(() => queue.get(job.id).status === "sent");
+    expect(queue.listDeadLetter()).toEqual([]);
+  });
+
+  it("requeues a job interrupted by a restart", async () => {
+    const filePath = path.join(dataDir, "queue-restart.json");
+    const first = createQueue(() => new Promise(() => {}), { filePath });
+    const job = first.enqueue({ number: CUSTOMER, message: "Hi" });
+    await waitFor(() => first.get(job.id).status === "processing");
+
+    // A new process reads the same file
+    const delivered = [];
+    const second = createQueue(
+      async (pending) => {
+        delivered.push(pending.id);
+        return { messageId: "msg-3" };
+      },
+      { filePath }
+    );
+    expect(second.get(job.id).status).toBe("queued");
+
+    await second.drain();
+    expect(delivered).toEqual([job.id]);
+    expect(second.get(job.id).status).toBe("sent");
+  });
+
+  it("holds back a scheduled job the send limits refuse when it comes due", async () => {
+    const delivered = [];
+    let throttled = { code: "recipient_rate_limited", retryAfterMs: 60000 };
+    const queue = createQueue(
+      async (job) => {
+        delivered.push(job.id);
+        return { messageId: "msg-4" };
+      },
+      { admit: () => throttled }
+    );
+
+    const job = queue.enqueue(
+      { number: CUSTOMER, message: "Hi" },
+      { sendAt: new Date(Date.now() - 1000) }
+    );
+    await queue.drain();
+
+    expect(delivered).toEqual([]);
+    expect(queue.get(job.id)).toMatchObject({ status: "queued", attempts: 0 });
+    expect(Date.parse(queue.get(job.id).nextAttemptAt)).toBeGreaterThan(Date.now() + 50000);
+
+    throttled = null;
+    queue.reschedule(job.id, new Date(Date.now() - 1000));
+    await queue.drain();
+    expect(delivered).toEqual([job.id]);
+  });
+});
+
+describe("GET /queue/jobs/:id", () => {
+  const issueKey = async (client) => {
+    const res = await request(app)
+      .post("/admin/api-keys")
+      .set(ADMIN)
+      .send({ client, scopes: ["send"] });
+    return { "X-API-Key": res.body.data.key };
+  };
+
+  it("only shows a job to the client that queued it and to admins", async () => {
+    const storefront = await issueKey("storefront");
+    const erp = await issueKey("erp");
+
+    const sent = await request(app)
+      .post("/send-whatsapp")
+      .set(storefront)
+      .send({ number: CUSTOMER, message: "Your order has shipped" });
+    const url = `/queue/jobs/${sent.body.data.jobId}`;
+
+    expect((await request(app).get(url).set(storefront)).status).toBe(200);
+    expect((await request(app).get(url).set(ADMIN)).status).toBe(200);
+
+    const other = await request(app).get(url).set(erp);
+    expect(other.status).toBe(404);
+    expect(other.body.data).toBeUndefined();
+  });
+});
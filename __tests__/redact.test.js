@@ -0,0 +1,29 @@
+import { createRedactor } from "../lib/redact.js";
+
+// Masking of phone numbers and message text in log fields
+const { redact } = createRedactor();
+
+describe("redaction", () => {
+  it("masks phone numbers and chat ids wherever they appear", () => {
+    expect(redact("number", "+919876543210")).toBe("+********3210");
+    expect(redact("path", "/contacts/919876543210")).toBe("/contacts/********3210");
+    expect(redact("messageId", "true_919876543210@c.us_3EB0C0FFEE")).toBe(
+      "true_********3210@c.us_3EB0C0FFEE"
+    );
+    expect(redact("error", "Not registered: +919876543210")).toBe("Not registered: +********3210");
+  });
+
+  it("leaves UUIDs and other generated ids alone", () => {
+    const ids = {
+      jobId: "job_12345678-1234-4abc-8def-123456789012",
+      batchId: "batch_00eb9a62-2343-4036-82f8-143c3bc50c9b",
+      requestId: "1a8a3f95-875b-44ab-9f54-9fe6d6aaeaaa",
+    };
+
+    expect(redact("context", ids)).toEqual(ids);
+  });
+
+  it("hides message text", () => {
+    expect(redact("message", "Your OTP is 123456")).toBe("[redacted, 18 chars]");
+  });
+});
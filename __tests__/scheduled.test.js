@@ -0,0 +1,191 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// Messages queued with "sendAt": listing, rescheduling and cancelling them
+// through /v1/scheduled, against the fake driver
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-scheduled-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+
+const HOUR = 60 * 60 * 1000;
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const inHours = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+const schedule = (sendAt, headers = ADMIN, extra = {}) =>
+  request(app)
+    .post("/v1/messages")
+    .set(headers)
+    .send({ number: CUSTOMER, message: "Your table is booked", sendAt, ...extra });
+
+const listIds = async (headers = ADMIN) =>
+  (await request(app).get("/v1/scheduled").set(headers)).body.data.map((job) => job.id);
+
+// A second caller, to check that clients only see their own messages
+let SHOP;
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+
+  const key = await request(app)
+    .post("/v1/admin/api-keys")
+    .set(ADMIN)
+    .send({ client: "shop", scopes: ["send", "read-status"] });
+  SHOP = { "X-API-Key": key.body.data.key };
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("scheduling", () => {
+  it("reads a sendAt without an offset in the given time zone", async () => {
+    // India has no daylight saving time, so 09:00 there is always 03:30 UTC
+    const day = new Date(Date.now() + 2 * 24 * HOUR).toISOString().slice(0, 10);
+
+    const res = await schedule(`${day}T09:00:00`, ADMIN, { timezone: "Asia/Kolkata" });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data).toMatchObject({
+      status: "queued",
+      scheduledFor: `${day}T03:30:00.000Z`,
+      timezone: "Asia/Kolkata",
+    });
+  });
+
+  it("rejects a time in the past with invalid_schedule", async () => {
+    const res = await schedule(inHours(-1));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("invalid_schedule");
+  });
+
+  it("sends the message once it is due and drops it from the list", async () => {
+    const res = await schedule(new Date(Date.now() + 300).toISOString(), ADMIN, {
+      message: "Due shortly",
+    });
+    expect(await listIds()).toContain(res.body.data.jobId);
+
+    await waitFor(() => transport.sent.find((sent) => sent.content.text === "Due shortly"));
+    expect(await listIds()).not.toContain(res.body.data.jobId);
+  });
+});
+
+describe("GET /v1/scheduled", () => {
+  it("lists pending messages soonest first", async () => {
+    const later = await schedule(inHours(5));
+    const sooner = await schedule(inHours(4));
+
+    const ids = await listIds();
+
+    expect(ids.indexOf(sooner.body.data.jobId)).toBeLessThan(ids.indexOf(later.body.data.jobId));
+  });
+
+  it("only shows a client its own messages, and admins everything", async () => {
+    const mine = await schedule(inHours(3), SHOP);
+    const theirs = await schedule(inHours(3));
+
+    const shopIds = await listIds(SHOP);
+    expect(shopIds).toContain(mine.body.data.jobId);
+    expect(shopIds).not.toContain(theirs.body.data.jobId);
+    expect(await listIds()).toEqual(
+      expect.arrayContaining([mine.body.data.jobId, theirs.body.data.jobId])
+    );
+
+    const hidden = await request(app).get(`/v1/scheduled/${theirs.body.data.jobId}`).set(SHOP);
+    expect(hidden.status).toBe(404);
+    expect(hidden.body.code).toBe("scheduled_message_not_found");
+  });
+});
+
+describe("PATCH /v1/scheduled/:id", () => {
+  it("moves a message to a new time", async () => {
+    const res = await schedule(inHours(6));
+    const sendAt = inHours(7);
+
+    const moved = await request(app)
+      .patch(`/v1/scheduled/${res.body.data.jobId}`)
+      .set(ADMIN)
+      .send({ sendAt });
+
+    expect(moved.status).toBe(200);
+    expect(moved.body.data).toMatchObject({ scheduledFor: sendAt, nextAttemptAt: sendAt });
+  });
+
+  it("rejects a new time in the past", async () => {
+    const res = await schedule(inHours(6));
+
+    const moved = await request(app)
+      .patch(`/v1/scheduled/${res.body.data.jobId}`)
+      .set(ADMIN)
+      .send({ sendAt: inHours(-2) });
+
+    expect(moved.status).toBe(400);
+    expect(moved.body.code).toBe("invalid_schedule");
+  });
+});
+
+describe("DELETE /v1/scheduled/:id", () => {
+  it("cancels a message so it is never sent", async () => {
+    const res = await schedule(inHours(2));
+    const { jobId } = res.body.data;
+
+    const cancelled = await request(app).delete(`/v1/scheduled/${jobId}`).set(ADMIN);
+
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.status).toBe("cancelled");
+    expect(await listIds()).not.toContain(jobId);
+
+    const job = await request(app).get(`/v1/queue/jobs/${jobId}`).set(ADMIN);
+    expect(job.body.data.status).toBe("cancelled");
+
+    const again = await request(app).delete(`/v1/scheduled/${jobId}`).set(ADMIN);
+    expect(again.status).toBe(404);
+  });
+
+  it("does not let a client cancel another client's message", async () => {
+    const res = await schedule(inHours(2));
+
+    const denied = await request(app).delete(`/v1/scheduled/${res.body.data.jobId}`).set(SHOP);
+
+    expect(denied.status).toBe(404);
+    expect(await listIds()).toContain(res.body.data.jobId);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+
+// The send governor's caps across every way a message can be sent, with one
+// message per recipient allowed
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-send-limits-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "1",
+  BATCH_SEND_INTERVAL_MS: "10",
+  BATCH_SEND_JITTER_MS: "1",
+  QUIET_HOURS: "off",
+  // Polling a slow batch can take more than the default 100 requests
+  API_RATE_LIMIT_MAX_REQUESTS: "1000",
+});
+
+const { default: app, startServices, stopServices, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const mediaDir = path.join(dataDir, "media");
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const send = (body) => request(app).post("/send-whatsapp").set(ADMIN).send(body);
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("send limits", () => {
+  it("does not keep an upload it refuses", async () => {
+    const number = "+919811111111";
+    expect((await send({ number, message: "Your invoice is ready" })).status).toBe(202);
+    const stored = fs.existsSync(mediaDir) ? fs.readdirSync(mediaDir) : [];
+
+    const res = await request(app)
+      .post("/send-whatsapp")
+      .set(ADMIN)
+      .field("number", number)
+      .attach("file", Buffer.from("%PDF-1.4 invoice"), {
+        filename: "invoice.pdf",
+        contentType: "application/pdf",
+      });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("recipient_rate_limited");
+    expect(fs.existsSync(mediaDir) ? fs.readdirSync(mediaDir) : []).toEqual(stored);
+  });
+
+  it("counts a scheduled message when it goes out, not when it is requested", async () => {
+    const number = "+919822222222";
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    expect((await send({ number, message: "Reminder: sale ends tonight", sendAt })).status).toBe(
+      202
+    );
+    expect((await send({ number, message: "Your order has shipped" })).status).toBe(202);
+  });
+
+  it("records batch recipients over the limit as failed with a reason", async () => {
+    const created = await request(app)
+      .post("/batches")
+      .set(ADMIN)
+      .send({
+        message: "Diwali sale starts today",
+        recipients: [{ number: "+919833333333" }, { number: "+919833333333" }],
+      });
+    expect(created.status).toBe(202);
+
+    const batch = await waitFor(async () => {
+      const res = await request(app).get(`/batches/${created.body.data.id}`).set(ADMIN);
+      return res.body.data.completedAt && res.body.data;
+    });
+
+    expect(batch.recipients.map(({ status, reason }) => [status, reason])).toEqual([
+      ["sent", undefined],
+      ["failed", "recipient_rate_limited"],
+    ]);
+  });
+});
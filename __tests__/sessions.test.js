@@ -0,0 +1,257 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { createFakeTransport } from "../lib/fakeTransport.js";
+import { createSessionManager } from "../lib/sessions.js";
+
+// The reconnect state machine on fake timers: backoff with jitter, the
+// circuit breaker and the initialize() watchdog
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-sessions-"));
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const SESSION = "shop";
+
+let managerFile = 0;
+// pairing "qr" keeps each attempt waiting for a scan, so a test decides
+// whether it connects (scan) or fails (failAuth)
+const createManager = ({ pairing = "qr", createClient, ...options } = {}) => {
+  const transport = createFakeTransport({ logger, pairing });
+  const events = [];
+  const manager = createSessionManager({
+    filePath: path.join(dir, `sessions-${(managerFile += 1)}.json`),
+    defaultSessionId: SESSION,
+    authDataPath: path.join(dir, "auth"),
+    createClient: createClient || transport.createClient,
+    onEvent: (event) => events.push(event),
+    logger,
+    reconnectBaseMs: 1000,
+    reconnectMaxMs: 4000,
+    maxReconnectAttempts: 4,
+    initTimeoutMs: 5000,
+    circuitResetMs: 60000,
+    ...options,
+  });
+  return { manager, transport, events };
+};
+
+const summary = (manager) => manager.summary(SESSION);
+
+// Milliseconds until the scheduled reconnect
+const retryIn = (manager) => Date.parse(summary(manager).reconnect.nextRetryAt) - Date.now();
+
+// Reject the login of the current attempt and let the session react
+const failAttempt = async (transport) => {
+  transport.client(SESSION).failAuth();
+  await jest.advanceTimersByTimeAsync(0);
+};
+
+// Run the clock to the scheduled attempt, and then its first events. The
+// fake clock delays a 0ms timer set from inside another timer by 1ms.
+const advanceTo = async (ms) => {
+  await jest.advanceTimersByTimeAsync(ms);
+  await jest.advanceTimersByTimeAsync(1);
+};
+
+let random;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  random = jest.spyOn(Math, "random").mockReturnValue(0);
+});
+
+afterEach(() => {
+  random.mockRestore();
+  jest.useRealTimers();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("reconnect backoff", () => {
+  it("doubles the delay after each failure up to reconnectMaxMs", async () => {
+    const { manager, transport } = createManager();
+    manager.startAll();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(summary(manager).state).toBe("awaiting_qr");
+
+    // Equal jitter with Math.random() at 0: half of 1s, 2s, 4s, then the 4s cap
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      await failAttempt(transport);
+      expect(summary(manager)).toMatchObject({
+        state: "disconnected",
+        reconnect: { attempts: attempt, circuitOpen: false },
+      });
+      delays.push(retryIn(manager));
+      await advanceTo(retryIn(manager));
+      expect(summary(manager).state).toBe("awaiting_qr");
+    }
+
+    expect(delays).toEqual([500, 1000, 2000, 2000]);
+    await manager.stopAll();
+  });
+
+  it("adds up to half the delay again as jitter", async () => {
+    const { manager, transport } = createManager();
+    manager.startAll();
+    await jest.advanceTimersByTimeAsync(0);
+
+    random.mockReturnValue(0.5);
+    await failAttempt(transport);
+    expect(retryIn(manager)).toBe(750);
+
+    await advanceTo(750);
+    random.mockReturnValue(1);
+    await failAttempt(transport);
+    expect(retryIn(manager)).toBe(2000);
+
+    await manager.stopAll();
+  });
+
+  it("resets the attempts once a reconnect succeeds", async () => {
+    const { manager, transport } = createManager();
+    manager.startAll();
+    await jest.advanceTimersByTimeAsync(0);
+    await failAttempt(transport);
+    await advanceTo(retryIn(manager));
+    await failAttempt(transport);
+    expect(summary(manager).reconnect.attempts).toBe(2);
+
+    await advanceTo(retryIn(manager));
+    transport.client(SESSION).scan();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(summary(manager)).toMatchObject({
+      state: "ready",
+      reconnect: { attempts: 0, nextRetryAt: null },
+    });
+
+    // A later disconnect starts again from the first step
+    transport.client(SESSION).disconnect();
+    expect(summary(manager).reconnect.attempts).toBe(1);
+    expect(retryIn(manager)).toBe(500);
+    await manager.stopAll();
+  });
+});
+
+describe("circuit breaker", () => {
+  const exhaust = async (manager, transport) => {
+    manager.startAll();
+    await jest.advanceTimersByTimeAsync(0);
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      await failAttempt(transport);
+      await advanceTo(retryIn(manager));
+    }
+    await failAttempt(transport);
+  };
+
+  it("opens after maxReconnectAttempts failures in a row", async () => {
+    const { manager, transport, events } = createManager();
+    await exhaust(manager, transport);
+
+    expect(summary(manager)).toMatchObject({
+      state: "failed",
+      reconnect: { attempts: 4, circuitOpen: true },
+    });
+    expect(events.filter((event) => event === "connection_failed")).toHaveLength(1);
+    expect(retryIn(manager)).toBe(60000);
+
+    // Nothing happens before the circuit resets
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(summary(manager).state).toBe("failed");
+    await manager.stopAll();
+  });
+
+  it("tries once more when half-open and closes on success", async () => {
+    const { manager, transport } = createManager();
+    await exhaust(manager, transport);
+
+    await advanceTo(60000);
+    expect(summary(manager).state).toBe("awaiting_qr");
+    expect(summary(manager).history.at(-2)).toMatchObject({
+      to: "initializing",
+      reason: "Circuit half-open retry",
+    });
+
+    transport.client(SESSION).scan();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(summary(manager)).toMatchObject({
+      state: "ready",
+      reconnect: { attempts: 0, circuitOpen: false },
+    });
+    await manager.stopAll();
+  });
+
+  it("opens again straight away when the half-open attempt fails", async () => {
+    const { manager, transport, events } = createManager();
+    await exhaust(manager, transport);
+
+    await advanceTo(60000);
+    await failAttempt(transport);
+
+    expect(summary(manager).state).toBe("failed");
+    expect(retryIn(manager)).toBe(60000);
+    expect(events.filter((event) => event === "connection_failed")).toHaveLength(2);
+    await manager.stopAll();
+  });
+
+  it("stays open with circuitResetMs 0 until an admin starts the session", async () => {
+    const { manager, transport } = createManager({ circuitResetMs: 0 });
+    await exhaust(manager, transport);
+
+    expect(summary(manager).reconnect.nextRetryAt).toBeNull();
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(summary(manager).state).toBe("failed");
+
+    await manager.start(SESSION);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(summary(manager)).toMatchObject({
+      state: "awaiting_qr",
+      reconnect: { attempts: 0 },
+    });
+    await manager.stopAll();
+  });
+});
+
+describe("init watchdog", () => {
+  // A client whose initialize() never gets anywhere, like a hung browser
+  const stalled = (transport) => (session, options) => {
+    const client = transport.createClient(session, options);
+    client.initialize = async () => {};
+    return client;
+  };
+
+  it("fails an initialize() that makes no progress within initTimeoutMs", async () => {
+    const transport = createFakeTransport({ logger, pairing: "auto" });
+    const { manager } = createManager({ createClient: stalled(transport) });
+    manager.startAll();
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(summary(manager).state).toBe("initializing");
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(summary(manager)).toMatchObject({
+      state: "disconnected",
+      lastError: "No progress from initializing within 5000 ms",
+      reconnect: { attempts: 1 },
+    });
+    expect(retryIn(manager)).toBe(500);
+    await manager.stopAll();
+  });
+
+  it("does not count waiting for a QR scan as a stall", async () => {
+    const { manager } = createManager();
+    manager.startAll();
+    await jest.advanceTimersByTimeAsync(0);
+
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(summary(manager)).toMatchObject({
+      state: "awaiting_qr",
+      reconnect: { attempts: 0 },
+    });
+    await manager.stopAll();
+  });
+});
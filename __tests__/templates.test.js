@@ -0,0 +1,224 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { createTemplateStore, extractVariables, TemplateError } from "../lib/templates.js";
+
+// Template CRUD through the API, rendering on its own, and template sends
+// through the fake driver
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-templates-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+});
+
+const { default: app, startServices, stopServices, transport, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const CUSTOMER = "+919876543210";
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const SHIPPED = {
+  id: "order-shipped",
+  description: "Sent when an order leaves the warehouse",
+  body: "Hi {{customerName}}, order {{ orderId }} is on its way!",
+  variants: { hi: "नमस्ते {{customerName}}, ऑर्डर {{orderId}} भेज दिया गया है!" },
+};
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+afterAll(async () => {
+  await stopServices();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("template rendering", () => {
+  let storeFile = 0;
+  const createStore = () => {
+    const store = createTemplateStore({
+      filePath: path.join(dataDir, `templates-${(storeFile += 1)}.json`),
+      logger,
+    });
+    store.create(SHIPPED);
+    return store;
+  };
+
+  it("lists each placeholder once, with or without spaces inside the braces", () => {
+    expect(extractVariables("{{a}} and {{ b }} and {{a}}, not {{1x}}")).toEqual(["a", "b"]);
+  });
+
+  it("fills in the variables of the default body", () => {
+    const rendered = createStore().render("order-shipped", { customerName: "Asha", orderId: 1042 });
+
+    expect(rendered).toEqual({
+      text: "Hi Asha, order 1042 is on its way!",
+      language: "default",
+    });
+  });
+
+  it("uses the variant for the language, and the default body without one", () => {
+    const store = createStore();
+    const variables = { customerName: "Asha", orderId: "1042" };
+
+    expect(store.render("order-shipped", variables, "hi")).toEqual({
+      text: "नमस्ते Asha, ऑर्डर 1042 भेज दिया गया है!",
+      language: "hi",
+    });
+    expect(store.render("order-shipped", variables, "ta").language).toBe("default");
+  });
+
+  it("names every missing variable", () => {
+    let thrown;
+    try {
+      createStore().render("order-shipped", { customerName: "Asha", orderId: null });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(TemplateError);
+    expect(thrown.missing).toEqual(["orderId"]);
+    expect(thrown.message).toBe("Missing template variables: orderId");
+  });
+
+  it("keeps templates across restarts", () => {
+    const filePath = path.join(dataDir, "templates-restart.json");
+    createTemplateStore({ filePath, logger }).create(SHIPPED);
+
+    expect(createTemplateStore({ filePath, logger }).get("order-shipped")).toMatchObject({
+      id: "order-shipped",
+      variables: ["customerName", "orderId"],
+      languages: ["hi"],
+    });
+  });
+});
+
+describe("/v1/templates", () => {
+  it("creates, reads, updates and deletes a template", async () => {
+    const created = await request(app).post("/v1/templates").set(ADMIN).send(SHIPPED);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      id: "order-shipped",
+      variables: ["customerName", "orderId"],
+      languages: ["hi"],
+    });
+
+    const duplicate = await request(app).post("/v1/templates").set(ADMIN).send(SHIPPED);
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.code).toBe("template_exists");
+
+    const list = await request(app).get("/v1/templates").set(ADMIN);
+    expect(list.body.data.map((template) => template.id)).toEqual(["order-shipped"]);
+
+    const updated = await request(app)
+      .put("/v1/templates/order-shipped")
+      .set(ADMIN)
+      .send({ body: "Order {{orderId}} shipped" });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({
+      body: "Order {{orderId}} shipped",
+      description: SHIPPED.description,
+      variables: ["orderId", "customerName"],
+    });
+    expect(Date.parse(updated.body.data.updatedAt)).toBeGreaterThanOrEqual(
+      Date.parse(created.body.data.updatedAt)
+    );
+
+    const removed = await request(app).delete("/v1/templates/order-shipped").set(ADMIN);
+    expect(removed.status).toBe(200);
+
+    const gone = await request(app).get("/v1/templates/order-shipped").set(ADMIN);
+    expect(gone.status).toBe(404);
+    expect(gone.body.code).toBe("template_not_found");
+  });
+
+  it("rejects an id that is not lowercase letters, digits, - or _", async () => {
+    const res = await request(app)
+      .post("/v1/templates")
+      .set(ADMIN)
+      .send({ ...SHIPPED, id: "Order Shipped" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ field: "id" })]);
+  });
+});
+
+describe("POST /v1/messages/template", () => {
+  beforeAll(async () => {
+    await request(app)
+      .post("/v1/templates")
+      .set(ADMIN)
+      .send({ ...SHIPPED, id: "send-shipped" });
+  });
+
+  it("sends the rendered text in the requested language", async () => {
+    const res = await request(app)
+      .post("/v1/messages/template")
+      .set(ADMIN)
+      .send({
+        number: CUSTOMER,
+        templateId: "send-shipped",
+        variables: { customerName: "Asha", orderId: "1042" },
+        language: "hi",
+      });
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.template).toEqual({ id: "send-shipped", language: "hi" });
+
+    const message = await waitFor(() =>
+      transport.sent.find((sent) => sent.content.text?.includes("नमस्ते Asha"))
+    );
+    expect(message.content.text).toBe("नमस्ते Asha, ऑर्डर 1042 भेज दिया गया है!");
+  });
+
+  it("answers missing variables with their names", async () => {
+    const res = await request(app)
+      .post("/v1/messages/template")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, templateId: "send-shipped", variables: { customerName: "Asha" } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("missing_variables");
+    expect(res.body.missingVariables).toEqual(["orderId"]);
+  });
+
+  it("answers an unknown template with template_not_found", async () => {
+    const res = await request(app)
+      .post("/v1/messages/template")
+      .set(ADMIN)
+      .send({ number: CUSTOMER, templateId: "no-such-template" });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("template_not_found");
+  });
+});
@@ -0,0 +1,230 @@
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import { createWebhookDispatcher } from "../lib/webhooks.js";
+
+// Webhook deliveries to a local HTTP receiver: signatures, retries, the
+// delivery log, ping and redeliver
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "whatsapp-backend-webhooks-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_DIR: path.join(dataDir, "logs"),
+  LOG_LEVEL: "error",
+  ADMIN_API_KEY: "test-admin-key",
+  WHATSAPP_TRANSPORT: "fake",
+  WHATSAPP_SESSION_PATH: path.join(dataDir, "whatsapp-session"),
+  FAKE_WHATSAPP_ACK_DELAY_MS: "10",
+  SEND_MIN_DELAY_MS: "0",
+  SEND_MAX_DELAY_MS: "0",
+  SEND_PER_RECIPIENT_LIMIT: "0",
+  QUIET_HOURS: "off",
+});
+
+const { default: app, startServices, stopServices, DEFAULT_SESSION_ID } =
+  await import("../app.js");
+
+const ADMIN = { "X-API-Key": "test-admin-key" };
+const SECRET = "receiver-shared-secret";
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// Records every POST it gets. The first `failures` requests get a 500.
+const receiver = { requests: [], failures: 0, url: null };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    receiver.requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+    if (receiver.failures > 0) {
+      receiver.failures -= 1;
+      res.writeHead(500).end();
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+});
+
+let dispatcherFile = 0;
+const createDispatcher = (options = {}) =>
+  createWebhookDispatcher({
+    filePath: path.join(dataDir, `webhooks-${(dispatcherFile += 1)}.json`),
+    logger,
+    baseDelayMs: 20,
+    ...options,
+  });
+
+beforeAll(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hooks/whatsapp`;
+
+  startServices();
+  await waitFor(async () => {
+    const res = await request(app).get(`/sessions/${DEFAULT_SESSION_ID}/status`).set(ADMIN);
+    return res.body.data.state === "ready";
+  });
+});
+
+beforeEach(() => {
+  receiver.requests = [];
+  receiver.failures = 0;
+});
+
+afterAll(async () => {
+  await stopServices();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("webhook dispatcher", () => {
+  it("signs each delivery over the timestamp and the raw body", async () => {
+    const dispatcher = createDispatcher();
+    const webhook = dispatcher.register({ url: receiver.url, events: ["ready"], secret: SECRET });
+
+    const [delivery] = dispatcher.emit("ready", { sessionId: "shop" });
+    const { headers, body } = await waitFor(() => receiver.requests[0]);
+    dispatcher.stop();
+
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    expect(headers["x-webhook-signature"]).toBe(`sha256=${expected}`);
+    expect(headers["x-webhook-id"]).toBe(webhook.id);
+    expect(headers["x-webhook-delivery"]).toBe(delivery.id);
+    expect(headers["x-webhook-event"]).toBe("ready");
+    expect(JSON.parse(body)).toMatchObject({
+      id: delivery.id,
+      event: "ready",
+      data: { sessionId: "shop" },
+    });
+  });
+
+  it("only delivers the events a webhook subscribed to", async () => {
+    const dispatcher = createDispatcher();
+    dispatcher.register({ url: receiver.url, events: ["message"], secret: SECRET });
+
+    expect(dispatcher.emit("ready", {})).toEqual([]);
+    dispatcher.stop();
+  });
+
+  it("retries failed deliveries with exponential backoff", async () => {
+    const dispatcher = createDispatcher();
+    dispatcher.register({ url: receiver.url, events: ["*"], secret: SECRET });
+    receiver.failures = 2;
+
+    const [delivery] = dispatcher.emit("message", { from: "919876543210@c.us" });
+    const [logged] = await waitFor(() => {
+      const deliveries = dispatcher.listDeliveries({ status: "succeeded" });
+      return deliveries.length > 0 && deliveries;
+    });
+    dispatcher.stop();
+
+    expect(logged.id).toBe(delivery.id);
+    expect(logged.attempts).toBe(3);
+    expect(logged.attemptLog.map((attempt) => attempt.statusCode)).toEqual([500, 500, 204]);
+    expect(logged.lastError).toBeNull();
+
+    // 20ms after the first failure, then 40ms after the second
+    const [first, second, third] = receiver.requests.map((item) => item.receivedAt);
+    expect(second - first).toBeGreaterThanOrEqual(15);
+    expect(third - second).toBeGreaterThanOrEqual(35);
+    // Every attempt carries the same delivery id
+    const deliveryIds = receiver.requests.map((item) => item.headers["x-webhook-delivery"]);
+    expect(new Set(deliveryIds)).toEqual(new Set([delivery.id]));
+  });
+
+  it("gives up after maxAttempts and keeps the error in the log", async () => {
+    const dispatcher = createDispatcher({ maxAttempts: 2 });
+    dispatcher.register({ url: receiver.url, events: ["*"], secret: SECRET });
+    receiver.failures = 5;
+
+    dispatcher.emit("disconnected", { reason: "NAVIGATION" });
+    const [logged] = await waitFor(() => {
+      const deliveries = dispatcher.listDeliveries({ status: "failed" });
+      return deliveries.length > 0 && deliveries;
+    });
+    dispatcher.stop();
+
+    expect(receiver.requests).toHaveLength(2);
+    expect(logged.attempts).toBe(2);
+    expect(logged.lastError).toBe("Receiver responded with HTTP 500");
+  });
+});
+
+describe("/admin/webhooks", () => {
+  it("pings a registered receiver and logs the delivery", async () => {
+    const registered = await request(app)
+      .post("/admin/webhooks")
+      .set(ADMIN)
+      .send({ url: receiver.url, events: ["message_ack"], secret: SECRET });
+    expect(registered.status).toBe(201);
+    const webhookId = registered.body.data.id;
+
+    const ping = await request(app).post(`/admin/webhooks/${webhookId}/test`).set(ADMIN);
+    expect(ping.status).toBe(202);
+
+    const { headers, body } = await waitFor(() => receiver.requests[0]);
+    expect(headers["x-webhook-event"]).toBe("ping");
+    expect(JSON.parse(body).data).toEqual({ webhookId });
+
+    const log = await waitFor(async () => {
+      const res = await request(app)
+        .get(`/admin/webhooks/deliveries?webhookId=${webhookId}`)
+        .set(ADMIN);
+      return res.body.data[0]?.status === "succeeded" && res;
+    });
+    expect(log.body.data).toHaveLength(1);
+    expect(log.body.data[0]).toMatchObject({ id: ping.body.data.id, event: "ping", attempts: 1 });
+  });
+
+  it("redelivers a logged delivery as a new one", async () => {
+    const registered = await request(app)
+      .post("/admin/webhooks")
+      .set(ADMIN)
+      .send({ url: receiver.url, events: ["message_ack"], secret: SECRET });
+    const ping = await request(app)
+      .post(`/admin/webhooks/${registered.body.data.id}/test`)
+      .set(ADMIN);
+    await waitFor(() => receiver.requests[0]);
+
+    const res = await request(app)
+      .post(`/admin/webhooks/deliveries/${ping.body.data.id}/redeliver`)
+      .set(ADMIN);
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.id).not.toBe(ping.body.data.id);
+    expect(res.body.data.redeliveryOf).toBe(ping.body.data.id);
+
+    const again = await waitFor(() => receiver.requests[1]);
+    expect(again.headers["x-webhook-delivery"]).toBe(res.body.data.id);
+    expect(JSON.parse(again.body).data).toEqual(JSON.parse(receiver.requests[0].body).data);
+  });
+
+  it("answers an unknown delivery with delivery_not_found", async () => {
+    const res = await request(app)
+      .post("/admin/webhooks/deliveries/dlv_missing/redeliver")
+      .set(ADMIN);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("delivery_not_found");
+  });
+});
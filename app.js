@@ -0,0 +1,1483 @@
+import express from "express";
+import qrcodeTerminal from "qrcode-terminal";
+import cors from "cors";
+import helmet from "helmet";
+// Load environment variables before any module reads them
+import "dotenv/config";
+import rateLimit from "express-rate-limit";
+import multer from "multer";
+import logger from "./lib/logger.js";
+import { requestContext } from "./lib/requestContext.js";
+import { dataPath } from "./lib/jsonStore.js";
+import { createApiKeyStore, createAuthMiddleware } from "./lib/apiKeys.js";
+import { createMessageQueue, PermanentSendError } from "./lib/messageQueue.js";
+import { createMessageStatusTracker, ackToStatus } from "./lib/messageStatus.js";
+import { createWebhookDispatcher } from "./lib/webhooks.js";
+import { createTemplateStore, TemplateError } from "./lib/templates.js";
+import { createBatchRunner } from "./lib/batches.js";
+import { resolveSchedule, ScheduleError } from "./lib/schedule.js";
+import { resolveRecipient, PhoneNumberError } from "./lib/phone.js";
+import { createSessionManager } from "./lib/sessions.js";
+import { createTransport } from "./lib/transport.js";
+import { createPairingLinks } from "./lib/pairingLinks.js";
+import { createLookupCache } from "./lib/lookupCache.js";
+import { createMetrics } from "./lib/metrics.js";
+import { createInbox } from "./lib/inbox.js";
+import { createMessageHistory } from "./lib/messageHistory.js";
+import { createIdempotencyStore } from "./lib/idempotency.js";
+import { createSendGovernor, parseQuietHours } from "./lib/sendGovernor.js";
+import { schemas, sendSchemaName } from "./lib/schemas.js";
+import { createRequestValidator } from "./lib/validation.js";
+import { API_PREFIX, createOpenApiDocument, listEndpoints } from "./lib/openapi.js";
+import {
+  INTERACTIVE_EXAMPLES,
+  INTERACTIVE_TYPES,
+  MESSAGE_TYPES,
+  toInteractivePayload,
+  validateInteractive,
+} from "./lib/interactive.js";
+import {
+  createSuppressionList,
+  OPTED_OUT_CODE,
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_IN_KEYWORDS,
+} from "./lib/suppression.js";
+import { createAutoReplyEngine } from "./lib/autoReply.js";
+import {
+  createMediaStore,
+  MediaError,
+  DEFAULT_ALLOWED_MEDIA_TYPES,
+} from "./lib/media.js";
+import { createApiKeysRouter } from "./routes/apiKeys.js";
+import { createQueueRouter } from "./routes/queue.js";
+import { createMessagesRouter } from "./routes/messages.js";
+import { createWebhooksRouter } from "./routes/webhooks.js";
+import { createTemplatesRouter } from "./routes/templates.js";
+import { createBatchesRouter } from "./routes/batches.js";
+import { createScheduledRouter } from "./routes/scheduled.js";
+import { createInboxRouter } from "./routes/inbox.js";
+import { createAutoRepliesRouter } from "./routes/autoReplies.js";
+import { createSuppressionsRouter } from "./routes/suppressions.js";
+import { createSessionsRouter } from "./routes/sessions.js";
+import { createPairingRouter } from "./routes/pairing.js";
+import { createContactsRouter } from "./routes/contacts.js";
+import { createChatsRouter } from "./routes/chats.js";
+import { createGroupsRouter, findGroup } from "./routes/groups.js";
+import { createDocsRouter } from "./routes/docs.js";
+
+const app = express();
+
+// API key authentication
+const keyStore = createApiKeyStore({
+  filePath: process.env.API_KEYS_FILE || dataPath("api-keys.json"),
+  bootstrapAdminKey: process.env.ADMIN_API_KEY,
+  logger,
+});
+const { identify, requireScope } = createAuthMiddleware({
+  keyStore,
+  enabled: process.env.API_AUTH_ENABLED !== "false",
+  logger,
+});
+
+// Rate limiting, counted per API key (falls back to IP for anonymous calls)
+const limiter = rateLimit({
+  windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: (req) =>
+    req.apiClient?.rateLimit ||
+    parseInt(process.env.API_RATE_LIMIT_MAX_REQUESTS) ||
+    100, // limit each key to 100 requests per windowMs unless the key overrides it
+  keyGenerator: (req) =>
+    req.apiClient?.keyId ? `key:${req.apiClient.keyId}` : `ip:${req.ip}`,
+  message: {
+    success: false,
+    error: "Too many requests, please try again later.",
+    code: "rate_limited",
+    retryAfter: "15 minutes",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Prometheus metrics; the session and queue gauges are read at scrape time
+const metrics = createMetrics({
+  getSessions: () => sessions.list(),
+  getQueueStats: () => messageQueue.stats(),
+});
+
+// Middleware
+app.use(requestContext);
+app.use(metrics.httpMiddleware);
+
+if (process.env.HELMET_ENABLED !== "false") {
+  app.use(helmet());
+}
+
+app.use(
+  cors({
+    origin: process.env.CORS_ORIGIN || "*",
+    credentials: true,
+  })
+);
+
+app.use(identify);
+app.use(limiter);
+app.use(
+  express.json({
+    limit: process.env.API_REQUEST_SIZE_LIMIT || "10mb",
+  })
+);
+
+// Keep base64 media out of the logs
+const summarizeBody = (body) =>
+  body?.media?.data
+    ? {
+        ...body,
+        media: { ...body.media, data: `[base64, ${body.media.data.length} chars]` },
+      }
+    : body;
+
+// Request path for the logs, without the query string and with the token
+// of a pairing link replaced, since anyone holding it can pair a session
+const logPath = (req) =>
+  req.originalUrl.split("?")[0].replace(/^\/pair\/(?!assets\/)[^/]+/, "/pair/:token");
+
+// Request logging middleware: one line per request once it is answered.
+// Phone numbers and message text are masked by the logger (LOG_REDACT).
+app.use((req, res, next) => {
+  const startTime = Date.now();
+  res.on("finish", () => {
+    const path = logPath(req);
+    logger.info(`${req.method} ${path} ${res.statusCode}`, {
+      requestId: req.id,
+      method: req.method,
+      path: path,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startTime,
+      ip: req.ip,
+      client: req.apiClient?.client,
+      userAgent: req.get("User-Agent"),
+      body: ["POST", "PUT", "PATCH"].includes(req.method) ? summarizeBody(req.body) : undefined,
+    });
+  });
+  next();
+});
+
+// WhatsApp sessions. The default session keeps the original client id so
+// existing LocalAuth data is picked up without a new QR scan.
+const DEFAULT_SESSION_ID = process.env.WHATSAPP_CLIENT_ID || "whatsapp-backend";
+const SESSION_PATH = process.env.WHATSAPP_SESSION_PATH || "./whatsapp-session";
+
+// The WhatsApp driver: whatsapp-web.js, or the in-memory fake for tests and
+// local development without a phone
+const transport = createTransport(process.env.WHATSAPP_TRANSPORT || "whatsapp-web", {
+  logger,
+  sessionPath: SESSION_PATH,
+  pairing: process.env.FAKE_WHATSAPP_PAIRING || "auto",
+  unregistered: (process.env.FAKE_WHATSAPP_UNREGISTERED || "")
+    .split(",")
+    .map((number) => number.trim())
+    .filter(Boolean),
+  autoAck: process.env.FAKE_WHATSAPP_AUTO_ACK !== "false",
+  ackDelayMs: parseInt(process.env.FAKE_WHATSAPP_ACK_DELAY_MS) || 100,
+});
+
+// Build the client for one session and wire up its message events. The
+// session manager handles the connection lifecycle events.
+const createWhatsAppClient = (session, options) => {
+  const client = transport.createClient(session, options);
+
+  // Message events for logging and status tracking
+  client.on("message_sent", (message) => {
+    logger.info("📤 Message sent", {
+      sessionId: session.id,
+      to: message.to,
+      messageId: message.id,
+      type: message.type,
+    });
+    statusTracker.record(message.id, "sent", {
+      to: message.to,
+      type: message.type,
+      sessionId: session.id,
+    });
+  });
+
+  // Delivery and read receipts
+  client.on("message_ack", ({ id, to, ack }) => {
+    statusTracker.applyAck(id, ack, { to });
+    if (ackToStatus(ack)) {
+      history.recordReceipt(id, ackToStatus(ack));
+    }
+    webhooks.emit("message_ack", {
+      sessionId: session.id,
+      messageId: id,
+      to,
+      ack,
+      status: ackToStatus(ack),
+    });
+  });
+
+  // Incoming messages from customers
+  client.on("message", async (message) => {
+    logger.info("📥 Message received", {
+      sessionId: session.id,
+      from: message.from,
+      messageId: message.id,
+      type: message.type,
+    });
+    webhooks.emit("message", {
+      sessionId: session.id,
+      messageId: message.id,
+      from: message.from,
+      to: message.to,
+      type: message.type,
+      body: message.body,
+      hasMedia: message.hasMedia,
+      timestamp: message.timestamp,
+    });
+
+    if (message.from !== "status@broadcast") {
+      history.recordIncoming({
+        messageId: message.id,
+        sessionId: session.id,
+        chatId: message.from,
+        name: message.name,
+        type: message.type,
+        body: message.body,
+        hasMedia: message.hasMedia,
+        timestamp: message.timestamp,
+      });
+    }
+
+    // Status updates and group chatter are not customer conversations
+    if (message.from === "status@broadcast" || message.from.endsWith("@g.us")) {
+      return;
+    }
+
+    const entry = inbox.add({
+      id: message.id,
+      sessionId: session.id,
+      from: message.from,
+      name: message.name,
+      type: message.type,
+      body: message.body,
+      hasMedia: message.hasMedia,
+      timestamp: message.timestamp,
+    });
+
+    // STOP / START keywords update the suppression list and get no auto-reply
+    const subscription = suppressions.handleIncoming({
+      chatId: message.from,
+      number: message.from.endsWith("@c.us") ? `+${message.from.split("@")[0]}` : message.from,
+      body: message.body,
+      type: message.type,
+    });
+    if (subscription) {
+      inbox.update(entry.id, { subscription });
+      return;
+    }
+    if (suppressions.has(message.from)) {
+      return;
+    }
+
+    try {
+      const autoReply = await autoReplies.handle(entry);
+      if (autoReply) {
+        inbox.update(entry.id, { autoReply });
+      }
+    } catch (error) {
+      logger.error("Auto-reply failed", {
+        messageId: entry.id,
+        error: error.message,
+      });
+    }
+  });
+
+  return client;
+};
+
+// Lifecycle events from any session: forward to webhooks and flush the
+// queue once a session can send
+const handleSessionEvent = (event, session, data = {}) => {
+  if (event === "qr") {
+    qrcodeTerminal.generate(data.qr, { small: true }); // Keep for local console
+    console.log(
+      `\n📱 Scan the QR code above, or get a pairing page link from ` +
+        `POST /sessions/${session.id}/pairing-link`
+    );
+  }
+  if (event === "ready") {
+    // The session may now be linked to a different phone
+    lookupCache.clear(`${session.id}:`);
+    messageQueue.drain();
+  }
+  webhooks.emit(event, { sessionId: session.id, ...data });
+};
+
+const sessions = createSessionManager({
+  filePath: process.env.SESSIONS_FILE || dataPath("sessions.json"),
+  defaultSessionId: DEFAULT_SESSION_ID,
+  authDataPath: SESSION_PATH,
+  createClient: createWhatsAppClient,
+  onEvent: handleSessionEvent,
+  onStateChange: metrics.recordStateChange,
+  logger,
+  reconnectBaseMs: parseInt(process.env.RECONNECT_BASE_MS) || 5000,
+  reconnectMaxMs: parseInt(process.env.RECONNECT_MAX_MS) || 5 * 60 * 1000,
+  maxReconnectAttempts: parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 10,
+  initTimeoutMs: parseInt(process.env.WHATSAPP_INIT_TIMEOUT_MS) || 2 * 60 * 1000,
+  circuitResetMs: process.env.RECONNECT_CIRCUIT_RESET_MS
+    ? parseInt(process.env.RECONNECT_CIRCUIT_RESET_MS)
+    : 15 * 60 * 1000,
+});
+
+// Links to the live pairing page, for admins to open or hand to whoever
+// holds the phone
+const pairingLinks = createPairingLinks({
+  ttlMs: parseInt(process.env.PAIRING_LINK_TTL_MS) || 10 * 60 * 1000,
+});
+
+// Pick the session a request should use: "sessionId" in the body or query,
+// falling back to the default session
+const resolveSession = (req, res, next) => {
+  const sessionId = req.body?.sessionId ?? req.query.sessionId ?? DEFAULT_SESSION_ID;
+  if (typeof sessionId !== "string" || !sessions.get(sessionId)) {
+    res.locals.rejectReason = "unknown_session";
+    return res.status(404).json({
+      success: false,
+      error: `Session "${sessionId}" not found`,
+      code: "session_not_found",
+      availableSessions: sessions.list().map((session) => session.id),
+    });
+  }
+
+  req.sessionId = sessionId;
+  next();
+};
+
+// Lookups are answered by the session's client, so it has to be connected
+const requireConnectedSession = (req, res, next) => {
+  const session = sessions.get(req.sessionId);
+  if (!session.ready) {
+    return res.status(503).json({
+      success: false,
+      error: `Session "${session.id}" is not connected`,
+      state: session.state,
+    });
+  }
+  next();
+};
+
+// Contact and chat lookups, kept briefly so repeated lookups from support
+// tools don't each go through the browser
+const lookupCache = createLookupCache({
+  ttlMs: process.env.LOOKUP_CACHE_TTL_MS ? parseInt(process.env.LOOKUP_CACHE_TTL_MS) : 30 * 1000,
+});
+
+// The groups a session's account belongs to, through the lookup cache
+const listGroups = (sessionId) =>
+  lookupCache.get(`${sessionId}:groups`, () => sessions.get(sessionId).client.getGroups());
+
+// Media storage and upload handling
+const mediaStore = createMediaStore({
+  dir: process.env.MEDIA_DIR || dataPath("media"),
+  maxBytes: parseInt(process.env.MEDIA_MAX_SIZE_BYTES) || 16 * 1024 * 1024,
+  allowedTypes: process.env.MEDIA_ALLOWED_TYPES
+    ? process.env.MEDIA_ALLOWED_TYPES.split(",").map((type) => type.trim())
+    : DEFAULT_ALLOWED_MEDIA_TYPES,
+  allowedUrlHosts: (process.env.MEDIA_URL_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  logger,
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: mediaStore.maxBytes, files: 1 },
+});
+
+// Accept an optional "file" field on multipart requests
+const uploadMedia = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    logger.warn("Validation failed: Media upload rejected", {
+      error: err.message,
+      code: err.code,
+      ip: req.ip,
+      client: req.apiClient.client,
+    });
+
+    res.locals.rejectReason = "media";
+    res.status(status).json({
+      success: false,
+      error:
+        err.code === "LIMIT_FILE_SIZE"
+          ? `Media too large (max ${mediaStore.maxBytes} bytes)`
+          : `Invalid upload: ${err.message}`,
+      code: err.code === "LIMIT_FILE_SIZE" ? "media_too_large" : "invalid_upload",
+    });
+  });
+};
+
+// Request bodies are checked against the JSON Schemas in lib/schemas.js,
+// which also describe them in /openapi.json
+const validator = createRequestValidator({ schemas, logger });
+
+const validateSendSchema = validator.body((req) => sendSchemaName(req.body, Boolean(req.file)));
+
+// Input validation middleware. "type" picks the schema; without it the
+// request is text, or media when a file or "media" object is present.
+// Typed messages also get the checks a schema cannot express.
+const validateMessageInput = (req, res, next) => {
+  const { type } = req.body;
+
+  if (type !== undefined && !MESSAGE_TYPES.includes(type)) {
+    return validator.reject(
+      req,
+      res,
+      [{ field: "type", code: "invalid_value", message: `Unsupported message type "${type}"` }],
+      { supportedTypes: MESSAGE_TYPES }
+    );
+  }
+
+  validateSendSchema(req, res, () => {
+    const error = INTERACTIVE_TYPES.includes(type) && validateInteractive(type, req.body);
+    if (error) {
+      return validator.reject(req, res, [{ field: type, code: "invalid_value", message: error }], {
+        example: { number: "919876543210", type, [type]: INTERACTIVE_EXAMPLES[type] },
+      });
+    }
+    next();
+  });
+};
+
+// Validation for template sends
+const validateTemplateInput = validator.body("TemplateMessage");
+
+// Scheduling defaults
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_DEFAULT_TIMEZONE || "UTC";
+
+const resolveSendAt = (sendAt, timezone) =>
+  resolveSchedule(sendAt, timezone || DEFAULT_TIMEZONE, {
+    maxAheadMs:
+      (parseInt(process.env.SCHEDULE_MAX_AHEAD_DAYS) || 365) * 24 * 60 * 60 * 1000,
+  });
+
+// Parse an optional "sendAt" (read in "timezone" when it has no offset)
+const validateSchedule = (req, res, next) => {
+  const { sendAt, timezone } = req.body;
+  if (sendAt === undefined || sendAt === "") {
+    return next();
+  }
+
+  try {
+    req.sendAt = resolveSendAt(sendAt, timezone);
+  } catch (error) {
+    if (!(error instanceof ScheduleError)) {
+      return next(error);
+    }
+    logger.warn("Validation failed: Invalid schedule", {
+      error: error.message,
+      sendAt: sendAt,
+      timezone: timezone,
+      ip: req.ip,
+      client: req.apiClient.client,
+    });
+
+    res.locals.rejectReason = "validation";
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: "invalid_schedule",
+      example: { sendAt: "2024-05-01T09:00:00", timezone: "Asia/Kolkata" },
+    });
+  }
+
+  next();
+};
+
+// Resolve a caller's number to a WhatsApp chat id
+const PHONE_DEFAULT_REGION = process.env.PHONE_DEFAULT_REGION || "IN";
+
+const formatPhoneNumber = (number) =>
+  resolveRecipient(number, { defaultRegion: PHONE_DEFAULT_REGION });
+
+// Reject impossible numbers before anything is queued
+const validateRecipient = (req, res, next) => {
+  try {
+    req.recipient = formatPhoneNumber(req.body.number);
+  } catch (error) {
+    if (!(error instanceof PhoneNumberError)) {
+      return next(error);
+    }
+    logger.warn("Validation failed: Invalid phone number", {
+      number: req.body.number,
+      ip: req.ip,
+      client: req.apiClient.client,
+    });
+
+    res.locals.rejectReason = "invalid_number";
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: "invalid_number",
+      defaultRegion: PHONE_DEFAULT_REGION,
+      example: { number: "+919876543210" },
+    });
+  }
+
+  next();
+};
+
+// Sends to a group can name it: "group" takes a group id or the group's
+// name and becomes the recipient. Names are looked up on the session's
+// account, so they need it connected; ids are queued like any number.
+const resolveGroupRecipient = (req, res, next) => {
+  const { group, number } = req.body || {};
+  if (group === undefined) {
+    return next();
+  }
+  if (number !== undefined || typeof group !== "string" || !group.trim()) {
+    return validator.reject(
+      req,
+      res,
+      [
+        {
+          field: "group",
+          code: "invalid_value",
+          message: 'Send to either a "number" or a "group" (a group id or name)',
+        },
+      ],
+      { example: { group: "Warehouse alerts", message: "Order #1042 is ready for pickup" } }
+    );
+  }
+  if (group.trim().endsWith("@g.us")) {
+    req.body.number = group.trim();
+    return next();
+  }
+
+  resolveSession(req, res, () =>
+    requireConnectedSession(req, res, async () => {
+      try {
+        const { value: groups } = await listGroups(req.sessionId);
+        const { group: match, status, ...problem } = findGroup(groups, group);
+        if (!match) {
+          logger.warn("Send refused: Group not found by name", {
+            group: group,
+            code: problem.code,
+            client: req.apiClient.client,
+          });
+          res.locals.rejectReason = "unknown_group";
+          return res.status(status).json({ success: false, ...problem });
+        }
+        req.body.number = match.id;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    })
+  );
+};
+
+// Customers who replied STOP (or were added by an admin)
+const parseKeywords = (value, defaults) =>
+  value ? value.split(",").map((keyword) => keyword.trim()).filter(Boolean) : defaults;
+
+const suppressions = createSuppressionList({
+  filePath: process.env.SUPPRESSIONS_FILE || dataPath("suppressions.json"),
+  logger,
+  optOutKeywords: parseKeywords(process.env.OPT_OUT_KEYWORDS, DEFAULT_OPT_OUT_KEYWORDS),
+  optInKeywords: parseKeywords(process.env.OPT_IN_KEYWORDS, DEFAULT_OPT_IN_KEYWORDS),
+});
+
+// Refuse sends to opted-out recipients. Runs after validateRecipient.
+const rejectSuppressed = (req, res, next) => {
+  if (!suppressions.has(req.recipient.chatId)) {
+    return next();
+  }
+
+  logger.warn("Send refused: Recipient opted out", {
+    chatId: req.recipient.chatId,
+    ip: req.ip,
+    client: req.apiClient.client,
+  });
+
+  res.locals.rejectReason = "opted_out";
+  res.status(403).json({
+    success: false,
+    error: "Recipient has opted out of messages",
+    code: OPTED_OUT_CODE,
+  });
+};
+
+// Deliver a queued message through the WhatsApp client
+const deliverMessage = async (job) => {
+  const { number, chatId, message, media, caption, asDocument, interactive } = job.payload;
+  const sessionId = job.sessionId || DEFAULT_SESSION_ID;
+
+  logger.info("📤 Attempting to send message", {
+    jobId: job.id,
+    sessionId: sessionId,
+    to: number,
+    chatId: chatId,
+    messageLength: message?.length,
+    mediaType: media?.mimetype,
+    interactiveType: interactive?.type,
+    attempt: job.attempts,
+    client: job.client,
+  });
+
+  // Scheduled and queued messages may predate an opt-out
+  if (suppressions.has(chatId)) {
+    logger.warn("Message send skipped: Recipient opted out", {
+      jobId: job.id,
+      chatId: chatId,
+      client: job.client,
+    });
+    throw new PermanentSendError("Recipient has opted out of messages", OPTED_OUT_CODE);
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new PermanentSendError(`Session "${sessionId}" no longer exists`, "session_not_found");
+  }
+  if (!session.ready) {
+    const error = new Error(`Session "${sessionId}" is not connected`);
+    error.code = "client_not_ready";
+    throw error;
+  }
+  const whatsappClient = session.client;
+
+  await governor.pace();
+  const startTime = Date.now();
+
+  // Check if number exists on WhatsApp (group ids are sent as given)
+  const isGroup = chatId.endsWith("@g.us");
+  const registered = isGroup || (await whatsappClient.isRegistered(chatId));
+  if (!registered) {
+    logger.warn("Message send failed: Number not registered", {
+      jobId: job.id,
+      number: number,
+      chatId: chatId,
+      client: job.client,
+    });
+    throw new PermanentSendError(
+      "Phone number is not registered on WhatsApp",
+      "not_registered"
+    );
+  }
+
+  // Send the message
+  let sentMessage;
+  if (media) {
+    sentMessage = await whatsappClient.sendMessage(chatId, {
+      media: mediaStore.load(media),
+      caption,
+      asDocument,
+    });
+    mediaStore.remove(media);
+  } else if (interactive) {
+    sentMessage = await whatsappClient.sendMessage(chatId, { interactive });
+  } else {
+    sentMessage = await whatsappClient.sendMessage(chatId, { text: message });
+  }
+  const responseTime = Date.now() - startTime;
+
+  logger.info("✅ Message sent successfully", {
+    jobId: job.id,
+    sessionId: sessionId,
+    to: number,
+    chatId: chatId,
+    messageId: sentMessage.id,
+    responseTime: responseTime,
+    client: job.client,
+  });
+  statusTracker.record(sentMessage.id, "sent", {
+    to: chatId,
+    jobId: job.id,
+    sessionId: sessionId,
+    client: job.client,
+  });
+
+  return {
+    messageId: sentMessage.id,
+    chatId: chatId,
+    responseTime: responseTime,
+    timestamp: new Date().toISOString(),
+  };
+};
+
+// Count every delivery attempt for /metrics
+const deliverWithMetrics = async (job) => {
+  const sessionId = job.sessionId || DEFAULT_SESSION_ID;
+  try {
+    const result = await deliverMessage(job);
+    metrics.recordSent(sessionId, result.responseTime);
+    return result;
+  } catch (error) {
+    metrics.recordFailed(sessionId, error);
+    throw error;
+  }
+};
+
+// Message template registry
+const templates = createTemplateStore({
+  filePath: process.env.TEMPLATES_FILE || dataPath("templates.json"),
+  logger,
+});
+
+// Outbound webhooks for client events
+const webhooks = createWebhookDispatcher({
+  filePath: process.env.WEBHOOKS_FILE || dataPath("webhooks.json"),
+  logger,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+});
+
+// Delivery status history for outgoing messages
+const statusTracker = createMessageStatusTracker({
+  filePath: process.env.MESSAGE_STATUS_FILE || dataPath("message-status.json"),
+  logger,
+  maxEntries: parseInt(process.env.MESSAGE_STATUS_MAX_ENTRIES) || 10000,
+});
+
+// Searchable history of sent and received messages
+const history = createMessageHistory({
+  filePath: process.env.MESSAGE_HISTORY_FILE || dataPath("message-history.json"),
+  logger,
+  maxEntries: parseInt(process.env.MESSAGE_HISTORY_MAX_ENTRIES) || 20000,
+});
+
+// Send pacing, per-client and per-recipient caps and quiet hours
+const quietHours = parseQuietHours(process.env.QUIET_HOURS);
+if (quietHours === undefined) {
+  throw new Error(`Invalid QUIET_HOURS "${process.env.QUIET_HOURS}" (expected e.g. 22:00-08:00)`);
+}
+const governor = createSendGovernor({
+  logger,
+  getClientLimits: (client) => keyStore.sendLimitsFor(client),
+  globalPerMinute: parseInt(process.env.SEND_GLOBAL_PER_MINUTE) || 20,
+  clientPerMinute: parseInt(process.env.SEND_CLIENT_PER_MINUTE) || 0,
+  perRecipientLimit: process.env.SEND_PER_RECIPIENT_LIMIT
+    ? parseInt(process.env.SEND_PER_RECIPIENT_LIMIT)
+    : 5,
+  perRecipientWindowMs: parseInt(process.env.SEND_PER_RECIPIENT_WINDOW_MS) || 60 * 60 * 1000,
+  minDelayMs: process.env.SEND_MIN_DELAY_MS ? parseInt(process.env.SEND_MIN_DELAY_MS) : 1000,
+  maxDelayMs: process.env.SEND_MAX_DELAY_MS ? parseInt(process.env.SEND_MAX_DELAY_MS) : 4000,
+  quietHours,
+  timezone: process.env.QUIET_HOURS_TIMEZONE || DEFAULT_TIMEZONE,
+  // Replies to a customer who just wrote to us are not held back
+  exemptClients: ["auto-reply"],
+});
+
+// Outbound message queue
+const messageQueue = createMessageQueue({
+  filePath: process.env.QUEUE_FILE || dataPath("queue.json"),
+  deliver: deliverWithMetrics,
+  // Jobs for a deleted session are let through so they fail permanently;
+  // jobs are held while their client is in quiet hours
+  isReady: (job) => {
+    const session = sessions.get(job.sessionId || DEFAULT_SESSION_ID);
+    return (!session || session.ready) && !governor.isQuiet(job.client);
+  },
+  // Scheduled messages count against the send limits when they go out
+  admit: (job) => governor.admit({ client: job.client, chatId: job.payload.chatId }),
+  onRemove: (job) => job.payload.media && mediaStore.remove(job.payload.media),
+  onUpdate: (job) => history.recordJob(job),
+  logger,
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+  baseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_MS) || 5000,
+  maxDelayMs: parseInt(process.env.QUEUE_RETRY_MAX_MS) || 10 * 60 * 1000,
+});
+
+// Broadcast batches, fed into the queue at a steady pace
+const batchRunner = createBatchRunner({
+  filePath: process.env.BATCHES_FILE || dataPath("batches.json"),
+  queue: messageQueue,
+  // The client's own cap only slows the batch down; a recipient who has
+  // had too many messages is skipped
+  admit: (payload, batch) => {
+    const throttled = governor.admit({ client: batch.client, chatId: payload.chatId });
+    return throttled?.code === "client_rate_limited"
+      ? { retryAfterMs: throttled.retryAfterMs }
+      : throttled;
+  },
+  logger,
+  defaultIntervalMs: parseInt(process.env.BATCH_SEND_INTERVAL_MS) || 3000,
+  jitterMs: parseInt(process.env.BATCH_SEND_JITTER_MS) || 2000,
+  retentionMs: parseInt(process.env.BATCH_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000,
+});
+
+// Incoming customer messages
+const inbox = createInbox({
+  filePath: process.env.INBOX_FILE || dataPath("inbox.json"),
+  logger,
+  maxEntries: parseInt(process.env.INBOX_MAX_MESSAGES) || 5000,
+});
+
+// Rule-based auto-replies, sent through the queue like any other message
+const autoReplies = createAutoReplyEngine({
+  filePath: process.env.AUTO_REPLIES_FILE || dataPath("auto-replies.json"),
+  logger,
+  defaultTimezone: DEFAULT_TIMEZONE,
+  defaultCooldownMinutes: process.env.AUTO_REPLY_DEFAULT_COOLDOWN_MINUTES
+    ? parseFloat(process.env.AUTO_REPLY_DEFAULT_COOLDOWN_MINUTES)
+    : 60,
+  lookupTimeoutMs: parseInt(process.env.AUTO_REPLY_LOOKUP_TIMEOUT_MS) || 5000,
+  // Returns null when the send limits refuse the reply
+  sendReply: (message, text, rule) => {
+    const throttled = governor.admit({ client: "auto-reply", chatId: message.from });
+    if (throttled) {
+      logger.warn("🤖 Auto-reply throttled", {
+        ruleId: rule.id,
+        from: message.from,
+        code: throttled.code,
+      });
+      return null;
+    }
+    return messageQueue.enqueue(
+      {
+        number: message.from.split("@")[0],
+        chatId: message.from,
+        message: text,
+        autoReplyRule: rule.id,
+      },
+      { client: "auto-reply", sessionId: message.sessionId }
+    );
+  },
+});
+
+// Responses to requests sent with an Idempotency-Key, so client retries
+// do not message the customer twice
+const idempotency = createIdempotencyStore({
+  filePath: process.env.IDEMPOTENCY_FILE || dataPath("idempotency-keys.json"),
+  logger,
+  ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000,
+});
+
+// Turn one batch recipient into a queue payload, or an error explaining why
+// it cannot be sent. Batch-level fields act as defaults for each recipient.
+const prepareBatchRecipient = (recipient, batch) => {
+  const { number } = recipient;
+  if (!number || typeof number !== "string") {
+    return { number, error: '"number" is required and must be a string' };
+  }
+
+  let recipientId;
+  try {
+    recipientId = formatPhoneNumber(number);
+  } catch (error) {
+    if (error instanceof PhoneNumberError) {
+      return { number, error: error.message };
+    }
+    throw error;
+  }
+  const { chatId, normalized: normalizedNumber } = recipientId;
+
+  if (suppressions.has(chatId)) {
+    return { number, error: "Recipient has opted out of messages", reason: OPTED_OUT_CODE };
+  }
+
+  if (batch.templateId) {
+    try {
+      const rendered = templates.render(
+        batch.templateId,
+        { ...batch.variables, ...recipient.variables },
+        recipient.language || batch.language
+      );
+      if (rendered.text.length > 4096) {
+        return { number, error: "Rendered message too long (max 4096 characters)" };
+      }
+      return {
+        number,
+        payload: {
+          number,
+          chatId,
+          normalizedNumber,
+          message: rendered.text,
+          template: { id: batch.templateId, language: rendered.language },
+        },
+      };
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return { number, error: error.message };
+      }
+      throw error;
+    }
+  }
+
+  const message = recipient.message ?? batch.message;
+  if (typeof message !== "string" || message.trim().length === 0) {
+    return { number, error: "Message is missing or empty" };
+  }
+  if (message.length > 4096) {
+    return { number, error: "Message too long (max 4096 characters)" };
+  }
+
+  return { number, payload: { number, chatId, normalizedNumber, message } };
+};
+
+// The versioned API. Its routes are also served without the prefix, next
+// to the original /send-whatsapp and /send-template, for existing clients.
+const api = express.Router();
+
+// OpenAPI document for /openapi.json and the docs page, built from the
+// request schemas so it matches what the API validates
+const openApiDocument = createOpenApiDocument({ version: "1.0.0" });
+
+// Routes
+app.get("/", (req, res) => {
+  const response = {
+    service: "WhatsApp Backend Service",
+    version: "1.0.0",
+    status: sessions.summary(DEFAULT_SESSION_ID).status,
+    environment: process.env.NODE_ENV || "development",
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    documentation: "/docs",
+    // Every documented endpoint, so the list cannot drift from the spec
+    endpoints: listEndpoints(openApiDocument),
+  };
+
+  logger.info("Service info requested", { ip: req.ip });
+  res.json(response);
+});
+
+// Top-level status and QR describe the default session; see /sessions for
+// the others
+api.get("/status", requireScope("read-status"), (req, res) => {
+  const session = sessions.summary(DEFAULT_SESSION_ID);
+  const response = {
+    success: true,
+    whatsappConnected: session.ready,
+    clientInitializing: session.initializing,
+    sessionId: DEFAULT_SESSION_ID,
+    connection: {
+      state: session.state,
+      stateChangedAt: session.stateChangedAt,
+      reconnect: session.reconnect,
+      history: session.history,
+    },
+    sessions: sessions.list(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    queue: messageQueue.stats(),
+    timestamp: new Date().toISOString(),
+  };
+
+  logger.info("Status check requested", {
+    ip: req.ip,
+    client: req.apiClient.client,
+    whatsappConnected: session.ready,
+  });
+
+  res.json(response);
+});
+
+api.get("/qr", requireScope("admin"), (req, res) => {
+  const { qrCodeDataUrl } = sessions.get(DEFAULT_SESSION_ID);
+  if (qrCodeDataUrl) {
+    res.send(`<img src="${qrCodeDataUrl}" alt="Scan this QR code with WhatsApp">`);
+  } else {
+    res.status(404).json({ success: false, error: "QR code not available at the moment. It may have been scanned already or is not yet generated.", code: "qr_not_available" });
+  }
+});
+
+api.get("/metrics", requireScope("read-status"), async (req, res) => {
+  res.set("Content-Type", metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
+app.get("/health", (req, res) => {
+  const health = {
+    status: "healthy",
+    checks: {
+      server: "ok",
+      whatsapp: sessions.isReady(DEFAULT_SESSION_ID) ? "ok" : "disconnected",
+      memory:
+        process.memoryUsage().heapUsed < 500 * 1024 * 1024 ? "ok" : "warning", // 500MB threshold
+    },
+    timestamp: new Date().toISOString(),
+  };
+
+  // The container should only be unhealthy if the server itself is down.
+  // WhatsApp connection issues are reported but don't trigger a restart.
+  const statusCode = health.checks.server === "ok" ? 200 : 503;
+  res.status(statusCode).json(health);
+});
+
+app.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.use("/docs", createDocsRouter());
+
+// Resolve the media for a send request into a stored descriptor
+const resolveMedia = (req) => {
+  if (req.file) {
+    return mediaStore.fromUpload(req.file, {
+      filename: req.body.filename,
+    });
+  }
+
+  const { media } = req.body;
+  return media.url ? mediaStore.fromUrl(media) : mediaStore.fromBase64(media);
+};
+
+// Queue a validated payload and answer with 202. Every send route goes
+// through here so they all share the queue, logging and response shape.
+const queueMessage = (req, res, payload) => {
+  // Scheduled messages are counted by the queue when they come due
+  const throttled =
+    !req.sendAt &&
+    governor.admit({
+      client: req.apiClient.client,
+      chatId: payload.chatId,
+      limits: req.apiClient.sendLimits,
+    });
+  if (throttled) {
+    if (payload.media) {
+      mediaStore.remove(payload.media);
+    }
+
+    const retryAfter = Math.ceil(throttled.retryAfterMs / 1000);
+    logger.warn("Send throttled", {
+      code: throttled.code,
+      chatId: payload.chatId,
+      retryAfter: retryAfter,
+      ip: req.ip,
+      client: req.apiClient.client,
+    });
+
+    res.locals.rejectReason = "throttled";
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: throttled.error,
+      code: throttled.code,
+      retryAfter: retryAfter,
+    });
+  }
+
+  const job = messageQueue.enqueue(payload, {
+    client: req.apiClient.client,
+    sessionId: req.sessionId,
+    sendAt: req.sendAt,
+    timezone: req.sendAt ? req.body.timezone || DEFAULT_TIMEZONE : undefined,
+  });
+  const { number, chatId, normalizedNumber, message, media, template, interactive } = payload;
+  const deferredUntil = governor.quietUntil(job.client, new Date(job.nextAttemptAt));
+
+  logger.info("📥 Message queued", {
+    jobId: job.id,
+    sessionId: job.sessionId,
+    to: number,
+    chatId: chatId,
+    messageLength: message?.length,
+    media: media && { mimetype: media.mimetype, size: media.size },
+    interactiveType: interactive?.type,
+    template: template,
+    scheduledFor: job.scheduledFor,
+    deferredUntil: deferredUntil,
+    ip: req.ip,
+    client: req.apiClient.client,
+  });
+
+  res.status(202).json({
+    success: true,
+    message: job.scheduledFor
+      ? "Message scheduled for delivery"
+      : "Message queued for delivery",
+    data: {
+      jobId: job.id,
+      status: job.status,
+      sessionId: job.sessionId,
+      to: number,
+      normalizedNumber: normalizedNumber,
+      chatId: chatId,
+      type: interactive ? interactive.type : media ? "media" : "text",
+      media: media && {
+        mimetype: media.mimetype,
+        filename: media.filename,
+        size: media.size,
+      },
+      template: template,
+      scheduledFor: job.scheduledFor,
+      timezone: job.timezone,
+      // Set when quiet hours hold the message back
+      deferredUntil: deferredUntil?.toISOString(),
+      statusUrl: `${req.baseUrl}/queue/jobs/${job.id}`,
+      timestamp: job.createdAt,
+    },
+  });
+};
+
+const handleSendError = (req, res, error) => {
+  if (error instanceof MediaError) {
+    logger.warn("Validation failed: Media rejected", {
+      error: error.message,
+      ip: req.ip,
+      client: req.apiClient.client,
+    });
+
+    res.locals.rejectReason = "media";
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.status === 413 ? "media_too_large" : "invalid_media",
+    });
+  }
+
+  logger.error("❌ Error queueing message", {
+    error: error.message,
+    stack: error.stack,
+    to: req.body.number,
+    ip: req.ip,
+    client: req.apiClient.client,
+  });
+
+  res.status(500).json({
+    success: false,
+    error: "Failed to queue message",
+    details:
+      process.env.NODE_ENV === "development"
+        ? error.message
+        : "Internal server error",
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Send a text, media or typed message
+const sendMessageRoute = [
+  requireScope("send"),
+  uploadMedia,
+  idempotency.middleware,
+  resolveGroupRecipient,
+  validateMessageInput,
+  validateRecipient,
+  rejectSuppressed,
+  validateSchedule,
+  resolveSession,
+  async (req, res) => {
+    try {
+      const { number, message, caption, type } = req.body;
+      const { chatId, normalized: normalizedNumber } = req.recipient;
+
+      if (INTERACTIVE_TYPES.includes(type)) {
+        return queueMessage(req, res, {
+          number,
+          chatId,
+          normalizedNumber,
+          interactive: toInteractivePayload(type, req.body),
+        });
+      }
+
+      if (type === "media" || req.file || req.body.media) {
+        const media = await resolveMedia(req);
+        return queueMessage(req, res, {
+          number,
+          chatId,
+          normalizedNumber,
+          media,
+          caption,
+          asDocument: [true, "true"].includes(req.body.asDocument),
+        });
+      }
+
+      queueMessage(req, res, { number, chatId, normalizedNumber, message });
+    } catch (error) {
+      handleSendError(req, res, error);
+    }
+  },
+];
+
+// Render a registered template and send it
+const sendTemplateRoute = [
+  requireScope("send"),
+  idempotency.middleware,
+  resolveGroupRecipient,
+  validateTemplateInput,
+  validateRecipient,
+  rejectSuppressed,
+  validateSchedule,
+  resolveSession,
+  (req, res) => {
+    try {
+      const { number, templateId, variables = {}, language } = req.body;
+
+      if (!templates.get(templateId)) {
+        logger.warn("Template send failed: Unknown template", {
+          templateId: templateId,
+          ip: req.ip,
+          client: req.apiClient.client,
+        });
+
+        res.locals.rejectReason = "unknown_template";
+        return res.status(404).json({
+          success: false,
+          error: `Template "${templateId}" not found`,
+          code: "template_not_found",
+        });
+      }
+
+      let rendered;
+      try {
+        rendered = templates.render(templateId, variables, language);
+      } catch (error) {
+        if (!(error instanceof TemplateError)) {
+          throw error;
+        }
+        logger.warn("Template send failed: Missing variables", {
+          templateId: templateId,
+          missing: error.missing,
+          ip: req.ip,
+          client: req.apiClient.client,
+        });
+
+        res.locals.rejectReason = "validation";
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: "missing_variables",
+          missingVariables: error.missing,
+        });
+      }
+
+      // Length limits apply to the rendered text, not the template
+      if (rendered.text.trim().length === 0 || rendered.text.length > 4096) {
+        const error =
+          rendered.text.trim().length === 0
+            ? "Rendered message is empty"
+            : "Rendered message too long (max 4096 characters)";
+        logger.warn("Template send failed: Rendered message rejected", {
+          templateId: templateId,
+          messageLength: rendered.text.length,
+          ip: req.ip,
+          client: req.apiClient.client,
+        });
+
+        res.locals.rejectReason = "validation";
+        return res.status(400).json({
+          success: false,
+          error: error,
+          code: "invalid_rendered_message",
+        });
+      }
+
+      queueMessage(req, res, {
+        number,
+        chatId: req.recipient.chatId,
+        normalizedNumber: req.recipient.normalized,
+        message: rendered.text,
+        template: { id: templateId, language: rendered.language },
+      });
+    } catch (error) {
+      handleSendError(req, res, error);
+    }
+  },
+];
+
+api.post("/messages", ...sendMessageRoute);
+api.post("/messages/template", ...sendTemplateRoute);
+
+api.use("/queue", createQueueRouter({ queue: messageQueue, requireScope, logger }));
+api.use(
+  "/messages",
+  createMessagesRouter({ statusTracker, history, requireScope, validator, logger })
+);
+api.use(
+  "/scheduled",
+  createScheduledRouter({
+    queue: messageQueue,
+    resolveSendAt,
+    defaultTimezone: DEFAULT_TIMEZONE,
+    requireScope,
+    logger,
+  })
+);
+api.use(
+  "/sessions",
+  createSessionsRouter({
+    sessions,
+    queue: messageQueue,
+    pairingLinks,
+    formatPhoneNumber,
+    requireScope,
+    validator,
+    logger,
+  })
+);
+app.use("/pair", createPairingRouter({ sessions, pairingLinks, formatPhoneNumber, logger }));
+api.use("/inbox", createInboxRouter({ inbox, requireScope, validator }));
+api.use(
+  "/contacts",
+  createContactsRouter({
+    sessions,
+    lookupCache,
+    resolveSession,
+    requireConnectedSession,
+    formatPhoneNumber,
+    requireScope,
+    validator,
+    logger,
+  })
+);
+api.use(
+  "/groups",
+  createGroupsRouter({
+    sessions,
+    lookupCache,
+    listGroups,
+    resolveSession,
+    requireConnectedSession,
+    formatPhoneNumber,
+    requireScope,
+    validator,
+    logger,
+  })
+);
+api.use(
+  "/chats",
+  createChatsRouter({
+    sessions,
+    lookupCache,
+    resolveSession,
+    requireConnectedSession,
+    formatPhoneNumber,
+    requireScope,
+    validator,
+  })
+);
+api.use("/templates", createTemplatesRouter({ templates, requireScope, validator, logger }));
+api.use(
+  "/batches",
+  createBatchesRouter({
+    batches: batchRunner,
+    prepareRecipient: prepareBatchRecipient,
+    resolveSession,
+    idempotent: idempotency.middleware,
+    requireScope,
+    validator,
+    logger,
+    maxRecipients: parseInt(process.env.BATCH_MAX_RECIPIENTS) || 1000,
+    minIntervalMs: parseInt(process.env.BATCH_MIN_INTERVAL_MS) || 1000,
+  })
+);
+api.use(
+  "/admin/webhooks",
+  requireScope("admin"),
+  createWebhooksRouter({ webhooks, validator, logger })
+);
+api.use(
+  "/admin/auto-replies",
+  requireScope("admin"),
+  createAutoRepliesRouter({ autoReplies, validator, logger })
+);
+
+api.use(
+  "/admin/suppressions",
+  requireScope("admin"),
+  createSuppressionsRouter({
+    suppressions,
+    resolveRecipient: formatPhoneNumber,
+    validator,
+    logger,
+  })
+);
+
+api.use(
+  "/admin/api-keys",
+  requireScope("admin"),
+  createApiKeysRouter({ keyStore, validator, logger })
+);
+
+app.use(API_PREFIX, api);
+
+// Legacy routes: the original send endpoints, and every API route without
+// the version prefix
+app.post("/send-whatsapp", ...sendMessageRoute);
+app.post("/send-template", ...sendTemplateRoute);
+app.use(api);
+
+// Body parser errors are the caller's: malformed JSON or a body over the limit
+const BODY_ERROR_CODES = {
+  "entity.parse.failed": "invalid_json",
+  "entity.too.large": "payload_too_large",
+};
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  if (BODY_ERROR_CODES[err.type]) {
+    logger.warn("Request body rejected", {
+      error: err.message,
+      url: logPath(req),
+      ip: req.ip,
+    });
+    return res.status(err.status).json({
+      success: false,
+      error: err.type === "entity.too.large" ? "Request body too large" : "Malformed JSON body",
+      code: BODY_ERROR_CODES[err.type],
+    });
+  }
+
+  logger.error("💥 Unhandled error", {
+    error: err.message,
+    stack: err.stack,
+    url: logPath(req),
+    method: req.method,
+    ip: req.ip,
+  });
+
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    requestId: req.id,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// 404 handler
+app.use("*", (req, res) => {
+  logger.warn("404 - Endpoint not found", {
+    url: logPath(req),
+    method: req.method,
+    ip: req.ip,
+  });
+
+  res.status(404).json({
+    success: false,
+    error: "Endpoint not found",
+    code: "endpoint_not_found",
+    documentation: "/docs",
+    availableEndpoints: listEndpoints(openApiDocument),
+  });
+});
+
+// Start draining queued messages and initialize the WhatsApp sessions.
+// Nothing runs until this is called, so the app can be imported by tests.
+export const startServices = () => {
+  messageQueue.start();
+  batchRunner.start();
+  webhooks.start();
+  sessions.startAll();
+};
+
+// Stop background work, write pending state and close every session
+export const stopServices = async () => {
+  messageQueue.stop();
+  batchRunner.stop();
+  webhooks.stop();
+  statusTracker.flush();
+  inbox.flush();
+  history.flush();
+
+  await sessions.stopAll();
+};
+
+export { sessions, transport, DEFAULT_SESSION_ID };
+
+export default app;
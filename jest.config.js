@@ -1,8 +1,4 @@
 export default {
   testEnvironment: "node",
   transform: {},
-  extensionsToTreatAsEsm: [".js"],
-  moduleNameMapper: {
-    "^(\\.{1,2}/.*)\\.js$": "$1",
-  },
 };
@@ -0,0 +1,289 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+export const SCOPES = ["send", "read-status", "read-messages", "admin"];
+
+// How often the keys file is checked for changes made outside the API
+const RELOAD_CHECK_INTERVAL_MS = 1000;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const generateKey = () => `wa_${crypto.randomBytes(24).toString("base64url")}`;
+
+const generateKeyId = () => `key_${crypto.randomBytes(6).toString("hex")}`;
+
+// Strip secrets before an entry leaves the store
+const sanitize = ({ hash, key, ...entry }) => entry;
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+export const hasScope = (apiClient, scope) =>
+  !!apiClient &&
+  (apiClient.scopes.includes("admin") || apiClient.scopes.includes(scope));
+
+// API keys live in a JSON file so they can be edited or rotated while the
+// service is running. Entries store a SHA-256 hash of the key; a plain "key"
+// field is also accepted for hand-written entries.
+export const createApiKeyStore = ({ filePath, bootstrapAdminKey, logger }) => {
+  const store = createJsonStore(filePath, { keys: [] });
+  let cache = null;
+  let cacheMtime = -1;
+  let lastCheck = 0;
+
+  const load = () => {
+    const now = Date.now();
+    if (cache && now - lastCheck < RELOAD_CHECK_INTERVAL_MS) {
+      return cache;
+    }
+    lastCheck = now;
+
+    const mtime = store.mtime();
+    if (cache && mtime === cacheMtime) {
+      return cache;
+    }
+
+    try {
+      const data = store.read();
+      cache = { keys: Array.isArray(data.keys) ? data.keys : [] };
+      cacheMtime = mtime;
+      logger.info("🔑 API keys loaded", {
+        file: filePath,
+        count: cache.keys.length,
+      });
+    } catch (error) {
+      logger.error("Failed to load API keys file", {
+        file: filePath,
+        error: error.message,
+      });
+      cache = cache || { keys: [] };
+    }
+
+    return cache;
+  };
+
+  const save = (data) => {
+    store.write(data);
+    cache = data;
+    cacheMtime = store.mtime();
+  };
+
+  const isActive = (entry) =>
+    !entry.revokedAt &&
+    (!entry.expiresAt || Date.parse(entry.expiresAt) > Date.now());
+
+  const authenticate = (rawKey) => {
+    if (!rawKey) {
+      return null;
+    }
+
+    if (bootstrapAdminKey && safeEqual(rawKey, bootstrapAdminKey)) {
+      return { keyId: "bootstrap", client: "bootstrap-admin", scopes: ["admin"] };
+    }
+
+    const hash = hashKey(rawKey);
+    const entry = load().keys.find(
+      (candidate) =>
+        candidate.hash === hash ||
+        (candidate.key && safeEqual(candidate.key, rawKey))
+    );
+
+    if (!entry || !isActive(entry)) {
+      return null;
+    }
+
+    return {
+      keyId: entry.id,
+      client: entry.client,
+      scopes: entry.scopes || [],
+      rateLimit: entry.rateLimit,
+      sendLimits: entry.sendLimits,
+    };
+  };
+
+  const list = () =>
+    load().keys.map((entry) => ({ ...sanitize(entry), active: isActive(entry) }));
+
+  // Send limits of a client's active key, for work queued under its name
+  const sendLimitsFor = (client) =>
+    load().keys.find(
+      (entry) => entry.client === client && entry.sendLimits && isActive(entry)
+    )?.sendLimits || null;
+
+  const create = ({ client, scopes, rateLimit, sendLimits }) => {
+    const data = load();
+    const key = generateKey();
+    const entry = {
+      id: generateKeyId(),
+      client,
+      scopes,
+      rateLimit,
+      sendLimits,
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+    };
+
+    save({ keys: [...data.keys, entry] });
+    logger.info("🔑 API key created", { keyId: entry.id, client, scopes });
+
+    return { key, entry: sanitize(entry) };
+  };
+
+  // Issue a replacement key for the same client. The old key keeps working
+  // for graceMs so callers can roll over without downtime.
+  const rotate = (id, { graceMs = 0 } = {}) => {
+    const data = load();
+    const existing = data.keys.find((entry) => entry.id === id);
+    if (!existing || !isActive(existing)) {
+      return null;
+    }
+
+    const key = generateKey();
+    const now = Date.now();
+    const replacement = {
+      id: generateKeyId(),
+      client: existing.client,
+      scopes: existing.scopes,
+      rateLimit: existing.rateLimit,
+      sendLimits: existing.sendLimits,
+      hash: hashKey(key),
+      createdAt: new Date(now).toISOString(),
+      rotatedFrom: existing.id,
+    };
+
+    const keys = data.keys.map((entry) => {
+      if (entry.id !== id) {
+        return entry;
+      }
+      return graceMs > 0
+        ? { ...entry, expiresAt: new Date(now + graceMs).toISOString() }
+        : { ...entry, revokedAt: new Date(now).toISOString() };
+    });
+
+    save({ keys: [...keys, replacement] });
+    logger.info("🔄 API key rotated", {
+      keyId: id,
+      newKeyId: replacement.id,
+      client: existing.client,
+      graceMs,
+    });
+
+    return { key, entry: sanitize(replacement) };
+  };
+
+  // Replace a key's send limits; null removes them
+  const setSendLimits = (id, sendLimits) => {
+    const data = load();
+    const existing = data.keys.find((entry) => entry.id === id);
+    if (!existing || !isActive(existing)) {
+      return null;
+    }
+
+    const updated = { ...existing, sendLimits: sendLimits || undefined };
+    save({
+      keys: data.keys.map((entry) => (entry.id === id ? updated : entry)),
+    });
+    logger.info("🔑 API key send limits updated", {
+      keyId: id,
+      client: existing.client,
+      sendLimits,
+    });
+
+    return sanitize(updated);
+  };
+
+  const revoke = (id) => {
+    const data = load();
+    const existing = data.keys.find((entry) => entry.id === id);
+    if (!existing) {
+      return null;
+    }
+
+    const revoked = { ...existing, revokedAt: new Date().toISOString() };
+    save({
+      keys: data.keys.map((entry) => (entry.id === id ? revoked : entry)),
+    });
+    logger.info("🗑️ API key revoked", { keyId: id, client: existing.client });
+
+    return sanitize(revoked);
+  };
+
+  return { authenticate, list, sendLimitsFor, create, rotate, setSendLimits, revoke };
+};
+
+// Read the key from X-API-Key or an "Authorization: Bearer" header
+export const extractApiKey = (req) => {
+  const headerKey = req.get("X-API-Key");
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get("Authorization") || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+export const createAuthMiddleware = ({ keyStore, enabled, logger }) => {
+  // Identify the caller without rejecting, so the rate limiter and request
+  // logger can key off the client while public routes stay reachable.
+  const identify = (req, res, next) => {
+    if (!enabled) {
+      req.apiClient = { keyId: null, client: "anonymous", scopes: ["admin"] };
+      return next();
+    }
+
+    const rawKey = extractApiKey(req);
+    req.apiKeyPresented = !!rawKey;
+    req.apiClient = keyStore.authenticate(rawKey);
+    next();
+  };
+
+  // Passes when the caller holds any one of the given scopes
+  const requireScope =
+    (...scopes) =>
+    (req, res, next) => {
+      if (!req.apiClient) {
+        const error = req.apiKeyPresented
+          ? "Invalid, revoked or expired API key"
+          : "API key required. Send it in the X-API-Key header.";
+        logger.warn("Authentication failed", {
+          path: req.path,
+          keyPresented: !!req.apiKeyPresented,
+          ip: req.ip,
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: error,
+          code: req.apiKeyPresented ? "invalid_api_key" : "missing_api_key",
+        });
+      }
+
+      if (!scopes.some((scope) => hasScope(req.apiClient, scope))) {
+        logger.warn("Authorization failed: Missing scope", {
+          path: req.path,
+          client: req.apiClient.client,
+          keyId: req.apiClient.keyId,
+          requiredScopes: scopes,
+          ip: req.ip,
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: `API key is missing the ${scopes
+            .map((scope) => `"${scope}"`)
+            .join(" or ")} scope`,
+          code: "missing_scope",
+        });
+      }
+
+      next();
+    };
+
+  return { identify, requireScope };
+};
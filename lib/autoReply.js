@@ -0,0 +1,350 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+import { isValidTimeZone, localTimeParts } from "./schedule.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Returns an error message for an invalid rule, or null
+export const validateRule = (rule) => {
+  const { name, conditions, action, priority, cooldownMinutes, enabled } = rule;
+
+  if (typeof name !== "string" || !name.trim()) {
+    return '"name" must be a non-empty string';
+  }
+  if (typeof conditions !== "object" || conditions === null) {
+    return '"conditions" must be an object';
+  }
+
+  const { keywords, regex, flags, timeWindow } = conditions;
+  if (!keywords && !regex && !timeWindow) {
+    return 'Add at least one condition: "keywords", "regex" or "timeWindow"';
+  }
+  if (
+    keywords !== undefined &&
+    (!Array.isArray(keywords) ||
+      keywords.length === 0 ||
+      keywords.some((keyword) => typeof keyword !== "string" || !keyword.trim()))
+  ) {
+    return '"conditions.keywords" must be a non-empty array of strings';
+  }
+  if (regex !== undefined) {
+    if (typeof regex !== "string" || regex.length > 500) {
+      return '"conditions.regex" must be a string of at most 500 characters';
+    }
+    try {
+      new RegExp(regex, flags);
+    } catch (error) {
+      return `Invalid "conditions.regex": ${error.message}`;
+    }
+  }
+  if (timeWindow !== undefined) {
+    const { start, end, days, timezone, outside } = timeWindow;
+    if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || "")) {
+      return '"conditions.timeWindow" needs "start" and "end" as HH:MM';
+    }
+    if (
+      days !== undefined &&
+      (!Array.isArray(days) ||
+        days.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+    ) {
+      return '"conditions.timeWindow.days" must be weekday numbers (0 = Sunday)';
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return `Unknown time zone "${timezone}"`;
+    }
+    if (outside !== undefined && typeof outside !== "boolean") {
+      return '"conditions.timeWindow.outside" must be a boolean';
+    }
+  }
+
+  if (typeof action !== "object" || action === null) {
+    return '"action" must be an object';
+  }
+  if (action.type === "reply") {
+    if (typeof action.message !== "string" || !action.message.trim()) {
+      return '"action.message" must be a non-empty string';
+    }
+  } else if (action.type === "lookup") {
+    try {
+      const url = new URL(action.url);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error("unsupported protocol");
+      }
+    } catch (error) {
+      return '"action.url" must be an absolute http(s) URL';
+    }
+  } else {
+    return '"action.type" must be "reply" or "lookup"';
+  }
+
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return '"priority" must be an integer';
+  }
+  if (
+    cooldownMinutes !== undefined &&
+    (typeof cooldownMinutes !== "number" || cooldownMinutes < 0)
+  ) {
+    return '"cooldownMinutes" must be a non-negative number';
+  }
+  // Without a text condition a rule matches every message in its window
+  if (!keywords && !regex && cooldownMinutes === 0) {
+    return 'A rule with only a "timeWindow" condition needs a "cooldownMinutes" above 0';
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return '"enabled" must be a boolean';
+  }
+
+  return null;
+};
+
+const inTimeWindow = (timeWindow, now, defaultTimezone) => {
+  const { start, end, days, timezone, outside } = timeWindow;
+  const { weekday, minutes } = localTimeParts(now, timezone || defaultTimezone);
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  // A window like 22:00-06:00 wraps past midnight
+  const inHours =
+    startMinutes <= endMinutes
+      ? minutes >= startMinutes && minutes < endMinutes
+      : minutes >= startMinutes || minutes < endMinutes;
+  const inside = inHours && (!days || days.includes(weekday));
+
+  return outside ? !inside : inside;
+};
+
+// Checks a message against one rule. Returns the regex groups (or an
+// empty array) on a match, null otherwise.
+const matchRule = (rule, body, now, defaultTimezone) => {
+  const { keywords, regex, flags, timeWindow } = rule.conditions;
+  const text = (body || "").trim();
+
+  if (
+    keywords &&
+    !keywords.some((keyword) => keyword.trim().toLowerCase() === text.toLowerCase())
+  ) {
+    return null;
+  }
+
+  let groups = [];
+  if (regex) {
+    const match = new RegExp(regex, flags).exec(text);
+    if (!match) {
+      return null;
+    }
+    groups = match.slice(1);
+  }
+
+  if (timeWindow && !inTimeWindow(timeWindow, now, defaultTimezone)) {
+    return null;
+  }
+
+  return groups;
+};
+
+const render = (text, values) =>
+  text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : ""
+  );
+
+// Runtime-configurable auto-reply rules. Rules are checked in priority
+// order (lowest first) and the first match decides the reply.
+export const createAutoReplyEngine = ({
+  filePath,
+  sendReply,
+  logger,
+  defaultTimezone = "UTC",
+  defaultCooldownMinutes = 60,
+  lookupTimeoutMs = 5000,
+}) => {
+  const store = createJsonStore(filePath, { rules: [] });
+  const state = store.read();
+  state.rules = state.rules || [];
+
+  // Last reply per rule and sender, used for cooldowns
+  const lastReplies = new Map();
+
+  const persist = () => store.write(state);
+
+  const cooldownMsOf = (rule) => (rule.cooldownMinutes ?? defaultCooldownMinutes) * 60 * 1000;
+
+  const sorted = () =>
+    [...state.rules].sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+
+  const list = () => sorted();
+
+  const get = (id) => state.rules.find((rule) => rule.id === id) || null;
+
+  const create = (rule) => {
+    const now = new Date().toISOString();
+    const stored = {
+      id: `rule_${crypto.randomBytes(6).toString("hex")}`,
+      enabled: true,
+      priority: 100,
+      cooldownMinutes: defaultCooldownMinutes,
+      ...rule,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    state.rules.push(stored);
+    persist();
+    logger.info("🤖 Auto-reply rule created", { ruleId: stored.id, name: stored.name });
+
+    return stored;
+  };
+
+  const replace = (id, rule) => {
+    const existing = get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = {
+      enabled: true,
+      priority: 100,
+      cooldownMinutes: defaultCooldownMinutes,
+      ...rule,
+      id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    state.rules = state.rules.map((item) => (item.id === id ? updated : item));
+    persist();
+    logger.info("🤖 Auto-reply rule updated", { ruleId: id, name: updated.name });
+
+    return updated;
+  };
+
+  // Forget replies whose cooldown has run out, or whose rule is gone
+  const pruneCooldowns = () => {
+    const now = Date.now();
+    lastReplies.forEach(({ ruleId, at }, key) => {
+      const rule = get(ruleId);
+      if (!rule || now - at >= cooldownMsOf(rule)) {
+        lastReplies.delete(key);
+      }
+    });
+  };
+
+  const remove = (id) => {
+    const existing = get(id);
+    if (!existing) {
+      return null;
+    }
+
+    state.rules = state.rules.filter((item) => item.id !== id);
+    persist();
+    logger.info("🤖 Auto-reply rule deleted", { ruleId: id });
+
+    return existing;
+  };
+
+  // First enabled rule that matches, with its regex groups
+  const evaluate = (body, now = new Date()) => {
+    for (const rule of sorted()) {
+      if (!rule.enabled) {
+        continue;
+      }
+      const groups = matchRule(rule, body, now, defaultTimezone);
+      if (groups) {
+        return { rule, groups };
+      }
+    }
+    return null;
+  };
+
+  const lookupReply = async (rule, message, groups) => {
+    const response = await fetch(rule.action.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...rule.action.headers,
+      },
+      body: JSON.stringify({
+        ruleId: rule.id,
+        from: message.from,
+        name: message.name,
+        body: message.body,
+        groups,
+      }),
+      signal: AbortSignal.timeout(lookupTimeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Lookup responded with HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return typeof data.reply === "string" ? data.reply : null;
+  };
+
+  // Decide on and queue a reply for an incoming message. Returns
+  // { ruleId, jobId } when a reply was queued.
+  const handle = async (message) => {
+    const result = evaluate(message.body);
+    if (!result) {
+      return null;
+    }
+
+    const { rule, groups } = result;
+    const cooldownKey = `${rule.id}:${message.from}`;
+    const last = lastReplies.get(cooldownKey);
+    if (last && Date.now() - last.at < cooldownMsOf(rule)) {
+      logger.info("🤖 Auto-reply skipped (cooldown)", {
+        ruleId: rule.id,
+        from: message.from,
+      });
+      return null;
+    }
+
+    const values = {
+      from: message.from.split("@")[0],
+      name: message.name || "",
+      body: message.body,
+      ...Object.fromEntries(groups.map((group, index) => [index + 1, group])),
+    };
+
+    let text = null;
+    if (rule.action.type === "reply") {
+      text = render(rule.action.message, values);
+    } else {
+      try {
+        text = await lookupReply(rule, message, groups);
+      } catch (error) {
+        logger.warn("🤖 Auto-reply lookup failed", {
+          ruleId: rule.id,
+          url: rule.action.url,
+          error: error.message,
+        });
+      }
+      text = text || (rule.action.fallbackMessage && render(rule.action.fallbackMessage, values));
+    }
+
+    if (!text || !text.trim()) {
+      return null;
+    }
+
+    const job = sendReply(message, text.slice(0, 4096), rule);
+    if (!job) {
+      return null;
+    }
+    pruneCooldowns();
+    lastReplies.set(cooldownKey, { ruleId: rule.id, at: Date.now() });
+    logger.info("🤖 Auto-reply queued", {
+      ruleId: rule.id,
+      from: message.from,
+      jobId: job.id,
+    });
+
+    return { ruleId: rule.id, jobId: job.id };
+  };
+
+  return { list, get, create, replace, remove, evaluate, handle };
+};
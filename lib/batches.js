@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+const FINAL_RECIPIENT_STATUSES = ["sent", "failed", "invalid", "cancelled"];
+
+// Runs broadcast batches through the message queue one recipient at a time.
+// The next recipient is only queued once the previous one has settled and
+// the batch interval (plus random jitter) has passed, which keeps the send
+// rate steady even when the queue has a backlog. Batches are persisted and
+// resume after a restart. admit(payload, batch) applies the send limits to
+// each recipient: it returns null to send, { retryAfterMs } to hold the
+// batch, or { code, error } to record the recipient as failed. Finished
+// batches are kept for retentionMs after they complete.
+export const createBatchRunner = ({
+  filePath,
+  queue,
+  admit = () => null,
+  logger,
+  defaultIntervalMs = 3000,
+  jitterMs = 2000,
+  tickMs = 500,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+}) => {
+  const store = createJsonStore(filePath, { batches: [] });
+  const state = store.read();
+  state.batches = state.batches || [];
+
+  let timer = null;
+
+  const persist = () => store.write(state);
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    const before = state.batches.length;
+    state.batches = state.batches.filter(
+      (batch) => !batch.completedAt || Date.parse(batch.completedAt) > cutoff
+    );
+    return before !== state.batches.length;
+  };
+
+  if (prune()) {
+    persist();
+  }
+
+  const summarize = (batch) => {
+    const counts = {};
+    batch.recipients.forEach((recipient) => {
+      counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    });
+
+    const { recipients, ...rest } = batch;
+    return { ...rest, total: recipients.length, counts };
+  };
+
+  // Close the batch once every recipient has a final status
+  const settle = (batch) => {
+    if (batch.recipients.every((item) => FINAL_RECIPIENT_STATUSES.includes(item.status))) {
+      batch.status = batch.status === "cancelled" ? "cancelled" : "completed";
+      batch.completedAt = new Date().toISOString();
+      logger.info("📣 Batch finished", summarize(batch));
+    }
+  };
+
+  // Copy the outcome of a queued job onto its recipient
+  const syncRecipient = (recipient) => {
+    const job = queue.get(recipient.jobId);
+    if (!job) {
+      recipient.status = "failed";
+      recipient.error = "Job is no longer available";
+    } else if (job.status === "sent") {
+      recipient.status = "sent";
+      recipient.messageId = job.result?.messageId;
+    } else if (job.status === "dead") {
+      recipient.status = "failed";
+      recipient.error = job.lastError;
+      recipient.reason = job.lastErrorCode || undefined;
+    } else if (job.status === "cancelled") {
+      recipient.status = "cancelled";
+    } else {
+      return false;
+    }
+
+    recipient.completedAt = new Date().toISOString();
+    return true;
+  };
+
+  const advance = (batch) => {
+    const inFlight = batch.recipients.find((item) => item.status === "queued");
+    if (inFlight) {
+      if (!syncRecipient(inFlight)) {
+        return false;
+      }
+      batch.nextSendAt = new Date(
+        Date.now() + batch.intervalMs + Math.floor(Math.random() * jitterMs)
+      ).toISOString();
+      settle(batch);
+      return true;
+    }
+
+    if (batch.status !== "running" || Date.parse(batch.nextSendAt) > Date.now()) {
+      return false;
+    }
+
+    const next = batch.recipients.find((item) => item.status === "pending");
+    if (!next) {
+      settle(batch);
+      return true;
+    }
+
+    const throttled = admit(next.payload, batch);
+    if (throttled?.code) {
+      next.status = "failed";
+      next.error = throttled.error;
+      next.reason = throttled.code;
+      next.completedAt = new Date().toISOString();
+      logger.warn("📣 Batch recipient throttled", {
+        batchId: batch.id,
+        index: next.index,
+        reason: throttled.code,
+      });
+      settle(batch);
+      return true;
+    }
+    if (throttled) {
+      batch.nextSendAt = new Date(Date.now() + throttled.retryAfterMs).toISOString();
+      return true;
+    }
+
+    const job = queue.enqueue(next.payload, {
+      client: batch.client,
+      sessionId: batch.sessionId,
+    });
+    next.status = "queued";
+    next.jobId = job.id;
+    next.queuedAt = job.createdAt;
+    return true;
+  };
+
+  const tick = () => {
+    let changed = prune();
+    state.batches
+      .filter((batch) => !batch.completedAt)
+      .forEach((batch) => {
+        try {
+          changed = advance(batch) || changed;
+        } catch (error) {
+          logger.error("💥 Batch runner error", {
+            batchId: batch.id,
+            error: error.message,
+            stack: error.stack,
+          });
+        }
+      });
+
+    if (changed) {
+      persist();
+    }
+  };
+
+  // Recipients are prepared by the caller: each has a number and either a
+  // queue payload or a validation error.
+  const create = ({ client, sessionId, name, intervalMs, recipients }) => {
+    const now = new Date().toISOString();
+    const batch = {
+      id: `batch_${crypto.randomUUID()}`,
+      name,
+      client,
+      sessionId,
+      status: "running",
+      intervalMs: intervalMs || defaultIntervalMs,
+      createdAt: now,
+      nextSendAt: now,
+      recipients: recipients.map((recipient, index) => ({
+        index,
+        number: recipient.number,
+        status: recipient.error ? "invalid" : "pending",
+        error: recipient.error,
+        reason: recipient.reason,
+        payload: recipient.payload,
+      })),
+    };
+
+    state.batches.push(batch);
+    settle(batch);
+    persist();
+    logger.info("📣 Batch created", summarize(batch));
+
+    return summarize(batch);
+  };
+
+  const find = (id) => state.batches.find((batch) => batch.id === id);
+
+  const get = (id, { status } = {}) => {
+    const batch = find(id);
+    if (!batch) {
+      return null;
+    }
+
+    return {
+      ...summarize(batch),
+      recipients: batch.recipients
+        .filter((recipient) => !status || recipient.status === status)
+        .map(({ payload, ...recipient }) => recipient),
+    };
+  };
+
+  const list = ({ client } = {}) =>
+    state.batches
+      .filter((batch) => !client || batch.client === client)
+      .map(summarize)
+      .reverse();
+
+  // Returns the updated summary, null when the batch does not exist, or
+  // false when the transition is not allowed from the current status.
+  const transition = (id, from, to) => {
+    const batch = find(id);
+    if (!batch) {
+      return null;
+    }
+    if (!from.includes(batch.status)) {
+      return false;
+    }
+
+    batch.status = to;
+    batch.updatedAt = new Date().toISOString();
+    if (to === "running") {
+      batch.nextSendAt = batch.updatedAt;
+    }
+    if (to === "cancelled") {
+      batch.recipients
+        .filter((recipient) => recipient.status === "pending")
+        .forEach((recipient) => {
+          recipient.status = "cancelled";
+        });
+      // Withdraw the in-flight recipient too if the worker has not sent it
+      const inFlight = batch.recipients.find((item) => item.status === "queued");
+      if (inFlight) {
+        queue.cancel(inFlight.jobId);
+      }
+      settle(batch);
+    }
+
+    persist();
+    logger.info("📣 Batch status changed", { batchId: id, status: to });
+    return summarize(batch);
+  };
+
+  const pause = (id) => transition(id, ["running"], "paused");
+  const resume = (id) => transition(id, ["paused"], "running");
+  const cancel = (id) => transition(id, ["running", "paused"], "cancelled");
+
+  const start = () => {
+    if (!timer) {
+      timer = setInterval(tick, tickMs);
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { create, get, list, pause, resume, cancel, start, stop };
+};
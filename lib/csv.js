@@ -0,0 +1,12 @@
+// Minimal CSV writer for exports (RFC 4180 quoting, CRLF line endings)
+
+const csvValue = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+  [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => csvValue(row[column])).join(",")),
+  ].join("\r\n");
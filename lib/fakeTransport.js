@@ -0,0 +1,370 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+// whatsapp-web.js MessageAck values by status name
+const ACKS = { failed: -1, server: 1, delivered: 2, read: 3 };
+
+// Outcomes of adding someone to a group, as whatsapp-web.js words them
+const ADD_RESULTS = {
+  200: "The participant was added successfully",
+  404: "The phone number is not registered on WhatsApp",
+  409: "The participant is already a group member",
+};
+
+const addResult = (id, code) => ({ id, added: code === 200, code, message: ADD_RESULTS[code] });
+
+const digitsOf = (chatIdOrNumber) => String(chatIdOrNumber).split("@")[0].replace(/\D/g, "");
+
+const toChatId = (chatIdOrNumber) =>
+  String(chatIdOrNumber).includes("@") ? chatIdOrNumber : `${digitsOf(chatIdOrNumber)}@c.us`;
+
+const contentType = ({ media, asDocument, interactive }) => {
+  if (media) {
+    return asDocument ? "document" : media.mimetype.split("/")[0];
+  }
+  return interactive ? interactive.type : "chat";
+};
+
+// An in-memory WhatsApp for tests and local development: no browser and no
+// phone. Sessions link by themselves, or with pairing "qr" show a QR code (a
+// pairing code when one was requested) and wait for scan(). Every number is
+// registered unless marked otherwise, and sent messages are acknowledged as
+// delivered and then read, ackDelayMs apart (autoAck false leaves acks to
+// the test). Chats and their history are built from the messages sent and
+// received, and contacts have no name or picture unless one is set. Groups
+// exist once created through a client or added with addGroup().
+//
+// Besides createClient the transport returns controls to drive it:
+// client(sessionId) for the connected client of a session, sent for every
+// message sent so far, markUnregistered() / markRegistered(), setContact(),
+// addGroup() and reset().
+// Each client can scan(), failAuth(), disconnect(), receive() a message and
+// ack() one of its own.
+export const createFakeTransport = ({
+  logger,
+  pairing = "auto",
+  unregistered = [],
+  autoAck = true,
+  ackDelayMs = 100,
+  account = { wid: "15550000000@c.us", pushname: "Fake WhatsApp" },
+}) => {
+  const clients = new Map();
+  const unregisteredNumbers = new Set(unregistered.map(digitsOf));
+  const sent = [];
+  const contacts = new Map();
+  const conversations = new Map();
+
+  // The messages of one chat of a session, oldest first
+  const chatLog = (sessionId, chatId) => {
+    if (!conversations.has(sessionId)) {
+      conversations.set(sessionId, new Map());
+    }
+    const chats = conversations.get(sessionId);
+    if (!chats.has(chatId)) {
+      chats.set(chatId, []);
+    }
+    return chats.get(chatId);
+  };
+
+  const groups = new Map();
+
+  // The groups of a session by id
+  const groupsOf = (sessionId) => {
+    if (!groups.has(sessionId)) {
+      groups.set(sessionId, new Map());
+    }
+    return groups.get(sessionId);
+  };
+
+  const newGroup = (sessionId, { name, participantIds, isAdmin, description = null }) => {
+    const group = {
+      id: `120363${crypto.randomInt(1e11, 1e12)}@g.us`,
+      name,
+      description,
+      createdAt: new Date().toISOString(),
+      participants: [
+        { id: account.wid, isAdmin, isSuperAdmin: isAdmin },
+        ...participantIds.map((id) => ({ id, isAdmin: false, isSuperAdmin: false })),
+      ],
+    };
+    groupsOf(sessionId).set(group.id, group);
+    return group;
+  };
+
+  const toGroup = ({ participants, ...group }) => ({
+    ...group,
+    participantCount: participants.length,
+    isAdmin: participants.some(
+      (participant) => participant.id === account.wid && participant.isAdmin
+    ),
+  });
+
+  const contactOf = (chatId) => contacts.get(digitsOf(chatId)) || {};
+
+  const toChat = (sessionId, chatId, messages) => {
+    const last = messages[messages.length - 1];
+    const lastSent = messages.map((message) => message.fromMe).lastIndexOf(true);
+    const contact = contactOf(chatId);
+    return {
+      id: chatId,
+      name: groupsOf(sessionId).get(chatId)?.name || contact.name || contact.pushname || null,
+      isGroup: chatId.endsWith("@g.us"),
+      unreadCount: messages.slice(lastSent + 1).length,
+      archived: false,
+      pinned: false,
+      muted: false,
+      timestamp: last.timestamp,
+      lastMessage: { ...last },
+    };
+  };
+
+  const createClient = (session, { pairingNumber = null } = {}) => {
+    const client = new EventEmitter();
+    const timers = new Set();
+    let connected = false;
+    let qrCount = 0;
+
+    // Events are emitted asynchronously, as a real client would
+    const later = (fn, delayMs = 0) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        fn();
+      }, delayMs);
+      timer.unref();
+      timers.add(timer);
+    };
+
+    const connect = () => {
+      client.emit("authenticated");
+      connected = true;
+      client.emit("ready");
+    };
+
+    const close = () => {
+      connected = false;
+      timers.forEach(clearTimeout);
+      timers.clear();
+      if (clients.get(session.id) === client) {
+        clients.delete(session.id);
+      }
+    };
+
+    const mustBeConnected = () => {
+      if (!connected) {
+        throw new Error(`Fake WhatsApp session "${session.id}" is not connected`);
+      }
+    };
+
+    // The group for an admin-only change
+    const managedGroup = (groupId) => {
+      const group = groupsOf(session.id).get(groupId);
+      if (!group) {
+        throw new Error(`Group "${groupId}" not found`);
+      }
+      if (!toGroup(group).isAdmin) {
+        const error = new Error(`The linked account is not an admin of group "${groupId}"`);
+        error.code = "not_group_admin";
+        throw error;
+      }
+      return group;
+    };
+
+    const isMember = (group, id) => group.participants.some((participant) => participant.id === id);
+
+    const ack = (messageId, status) => {
+      const message = sent.find((candidate) => candidate.id === messageId);
+      if (!message) {
+        throw new Error(`Unknown fake message "${messageId}"`);
+      }
+      const value = typeof status === "number" ? status : ACKS[status];
+      const logged = chatLog(session.id, message.to).find((entry) => entry.id === messageId);
+      if (logged) {
+        logged.ack = value;
+      }
+      client.emit("message_ack", { id: messageId, to: message.to, ack: value });
+    };
+
+    Object.assign(client, {
+      initialize: async () => {
+        clients.set(session.id, client);
+        if (pairing === "qr" && pairingNumber) {
+          const code = crypto.randomBytes(4).toString("hex").toUpperCase();
+          later(() => client.emit("code", code));
+        } else if (pairing === "qr") {
+          qrCount += 1;
+          later(() => client.emit("qr", `fake-qr:${session.id}:${qrCount}`));
+        } else {
+          later(connect);
+        }
+      },
+      destroy: async () => close(),
+      logout: async () => close(),
+      account: () => (connected ? account : null),
+      isRegistered: async (chatId) => {
+        mustBeConnected();
+        return chatId.endsWith("@g.us") || !unregisteredNumbers.has(digitsOf(chatId));
+      },
+      sendMessage: async (chatId, content) => {
+        mustBeConnected();
+        const message = {
+          id: `true_${chatId}_${crypto.randomBytes(10).toString("hex").toUpperCase()}`,
+          sessionId: session.id,
+          to: chatId,
+          type: contentType(content),
+          content,
+          sentAt: new Date().toISOString(),
+        };
+        sent.push(message);
+        chatLog(session.id, chatId).push({
+          id: message.id,
+          from: account.wid,
+          to: chatId,
+          type: message.type,
+          body: content.text ?? content.caption ?? "",
+          hasMedia: Boolean(content.media),
+          name: null,
+          timestamp: message.sentAt,
+          fromMe: true,
+          ack: 0,
+        });
+        logger.debug("Fake WhatsApp message sent", { sessionId: session.id, to: chatId });
+
+        later(() => client.emit("message_sent", message));
+        if (autoAck) {
+          later(() => ack(message.id, "server"));
+          later(() => ack(message.id, "delivered"), ackDelayMs);
+          later(() => ack(message.id, "read"), 2 * ackDelayMs);
+        }
+        return { id: message.id };
+      },
+      getContact: async (chatId) => {
+        mustBeConnected();
+        const contact = contactOf(chatId);
+        return {
+          id: toChatId(chatId),
+          number: digitsOf(chatId),
+          name: contact.name || null,
+          pushname: contact.pushname || null,
+          isBusiness: Boolean(contact.isBusiness),
+          isMyContact: Boolean(contact.name),
+          isBlocked: false,
+          profilePicUrl: contact.profilePicUrl || null,
+        };
+      },
+      getChats: async () => {
+        mustBeConnected();
+        return Array.from(conversations.get(session.id) || [], ([chatId, messages]) =>
+          toChat(session.id, chatId, messages)
+        ).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+      },
+      getChatMessages: async (chatId, { limit }) => {
+        mustBeConnected();
+        const messages = conversations.get(session.id)?.get(chatId);
+        return messages ? messages.slice(-limit).map((message) => ({ ...message })) : null;
+      },
+      getGroups: async () => {
+        mustBeConnected();
+        return Array.from(groupsOf(session.id).values(), toGroup);
+      },
+      getGroup: async (groupId) => {
+        mustBeConnected();
+        const group = groupsOf(session.id).get(groupId);
+        return group
+          ? { ...toGroup(group), participants: group.participants.map((p) => ({ ...p })) }
+          : null;
+      },
+      createGroup: async (name, participantIds) => {
+        mustBeConnected();
+        const reachable = participantIds.filter((id) => !unregisteredNumbers.has(digitsOf(id)));
+        const group = newGroup(session.id, { name, participantIds: reachable, isAdmin: true });
+        return {
+          id: group.id,
+          name,
+          participants: participantIds.map((id) =>
+            addResult(id, reachable.includes(id) ? 200 : 404)
+          ),
+        };
+      },
+      addParticipants: async (groupId, participantIds) => {
+        mustBeConnected();
+        const group = managedGroup(groupId);
+        return participantIds.map((id) => {
+          if (isMember(group, id)) {
+            return addResult(id, 409);
+          }
+          if (unregisteredNumbers.has(digitsOf(id))) {
+            return addResult(id, 404);
+          }
+          group.participants.push({ id, isAdmin: false, isSuperAdmin: false });
+          return addResult(id, 200);
+        });
+      },
+      removeParticipants: async (groupId, participantIds) => {
+        mustBeConnected();
+        const group = managedGroup(groupId);
+        return participantIds.map((id) => {
+          const removed = isMember(group, id);
+          group.participants = group.participants.filter((participant) => participant.id !== id);
+          return { id, removed };
+        });
+      },
+
+      // Simulation controls
+      scan: () => later(connect),
+      failAuth: (message = "Fake authentication failure") =>
+        later(() => client.emit("auth_failure", message)),
+      disconnect: (reason = "NAVIGATION") => {
+        connected = false;
+        client.emit("disconnected", reason);
+      },
+      receive: ({ from, body = "", type = "chat", name = null, hasMedia = false }) => {
+        mustBeConnected();
+        const message = {
+          id: `false_${toChatId(from)}_${crypto.randomBytes(10).toString("hex").toUpperCase()}`,
+          from: toChatId(from),
+          to: account.wid,
+          type,
+          body,
+          hasMedia,
+          name,
+          timestamp: new Date().toISOString(),
+        };
+        chatLog(session.id, message.from).push({ ...message, fromMe: false, ack: null });
+        if (name && !contactOf(from).pushname) {
+          contacts.set(digitsOf(from), { ...contactOf(from), pushname: name });
+        }
+        client.emit("message", message);
+        return message;
+      },
+      ack,
+    });
+
+    return client;
+  };
+
+  return {
+    createClient,
+    client: (sessionId) => clients.get(sessionId) || null,
+    sent,
+    markUnregistered: (number) => unregisteredNumbers.add(digitsOf(number)),
+    markRegistered: (number) => unregisteredNumbers.delete(digitsOf(number)),
+    // profile: { name, pushname, isBusiness, profilePicUrl }
+    setContact: (number, profile) => contacts.set(digitsOf(number), profile),
+    // A group the linked account is already in, e.g. one it isn't an admin of
+    addGroup: (sessionId, { name, participants = [], isAdmin = true, description }) =>
+      newGroup(sessionId, {
+        name,
+        participantIds: participants.map(toChatId),
+        isAdmin,
+        description,
+      }).id,
+    reset: () => {
+      sent.length = 0;
+      contacts.clear();
+      conversations.clear();
+      groups.clear();
+      unregisteredNumbers.clear();
+      unregistered.forEach((number) => unregisteredNumbers.add(digitsOf(number)));
+    },
+  };
+};
@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Identifies what a key was first used for, so the same key cannot be
+// replayed against a different request
+const fingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        body: req.body,
+        file: req.file && crypto.createHash("sha256").update(req.file.buffer).digest("hex"),
+      })
+    )
+    .digest("hex");
+
+// Remembers the response to each request sent with an Idempotency-Key so a
+// retried request gets the original answer instead of sending again. Only
+// successful responses are kept; a failed request releases its key so it
+// can be retried. Keys are scoped to the API client that used them.
+export const createIdempotencyStore = ({ filePath, logger, ttlMs = 24 * 60 * 60 * 1000 }) => {
+  const store = createJsonStore(filePath, { records: {} });
+  const state = store.read();
+  state.records = state.records || {};
+
+  // Requests that are still being handled, by scoped key
+  const inFlight = new Set();
+
+  const persist = () => {
+    try {
+      store.write(state);
+    } catch (error) {
+      logger.error("Failed to persist idempotency keys", { error: error.message });
+    }
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    let removed = 0;
+    Object.entries(state.records).forEach(([scopedKey, record]) => {
+      if (Date.parse(record.expiresAt) <= now) {
+        delete state.records[scopedKey];
+        removed += 1;
+      }
+    });
+    return removed > 0;
+  };
+
+  if (prune()) {
+    persist();
+  }
+
+  const complete = (scopedKey, record) => {
+    inFlight.delete(scopedKey);
+    const now = Date.now();
+    state.records[scopedKey] = {
+      ...record,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+    prune();
+    persist();
+  };
+
+  // Express middleware for routes that send. Requests without the header
+  // pass straight through.
+  const middleware = (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      res.locals.rejectReason = "validation";
+      return res.status(400).json({
+        success: false,
+        error: `"${IDEMPOTENCY_HEADER}" must be 1-255 printable ASCII characters`,
+        code: "invalid_idempotency_key",
+      });
+    }
+
+    const scopedKey = `${req.apiClient.client}:${key}`;
+    const requestFingerprint = fingerprint(req);
+
+    if (inFlight.has(scopedKey)) {
+      logger.warn("Duplicate request rejected: Still in progress", {
+        idempotencyKey: key,
+        client: req.apiClient.client,
+      });
+      res.locals.rejectReason = "idempotency_conflict";
+      res.set("Retry-After", "1");
+      return res.status(409).json({
+        success: false,
+        error: "A request with this Idempotency-Key is still being processed",
+        code: "idempotency_key_in_progress",
+      });
+    }
+
+    const record = state.records[scopedKey];
+    if (record && Date.parse(record.expiresAt) > Date.now()) {
+      if (record.fingerprint !== requestFingerprint) {
+        res.locals.rejectReason = "idempotency_conflict";
+        return res.status(422).json({
+          success: false,
+          error: "This Idempotency-Key was already used for a different request",
+          code: "idempotency_key_reused",
+        });
+      }
+
+      logger.info("🔁 Idempotent request replayed", {
+        idempotencyKey: key,
+        client: req.apiClient.client,
+        originalAt: record.createdAt,
+      });
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.status).json(record.body);
+    }
+
+    inFlight.add(scopedKey);
+    let settled = false;
+
+    // Every send route answers with res.json, so that is where the result
+    // is captured. This still runs when the caller has already timed out
+    // and disconnected, which is the response its retry should get.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          complete(scopedKey, {
+            key,
+            client: req.apiClient.client,
+            fingerprint: requestFingerprint,
+            status: res.statusCode,
+            body,
+          });
+        } else {
+          inFlight.delete(scopedKey);
+        }
+      }
+      return json(body);
+    };
+
+    // Responses that did not go through res.json are not remembered
+    res.on("finish", () => {
+      if (!settled) {
+        settled = true;
+        inFlight.delete(scopedKey);
+      }
+    });
+
+    next();
+  };
+
+  return { middleware };
+};
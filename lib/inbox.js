@@ -0,0 +1,74 @@
+import { createJsonStore } from "./jsonStore.js";
+
+// Stores incoming customer messages, newest last, capped at maxEntries
+export const createInbox = ({ filePath, logger, maxEntries = 5000, flushDelayMs = 500 }) => {
+  const store = createJsonStore(filePath, { messages: [] });
+  const state = store.read();
+  state.messages = state.messages || [];
+
+  let flushTimer = null;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      store.write(state);
+    } catch (error) {
+      logger.error("Failed to persist inbox", { error: error.message });
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      flushTimer.unref();
+    }
+  };
+
+  const add = (entry) => {
+    const stored = { ...entry, receivedAt: new Date().toISOString() };
+    state.messages.push(stored);
+    if (state.messages.length > maxEntries) {
+      state.messages.splice(0, state.messages.length - maxEntries);
+    }
+    scheduleFlush();
+    return stored;
+  };
+
+  const update = (id, changes) => {
+    const entry = state.messages.find((message) => message.id === id);
+    if (entry) {
+      Object.assign(entry, changes);
+      scheduleFlush();
+    }
+    return entry || null;
+  };
+
+  const get = (id) => state.messages.find((message) => message.id === id) || null;
+
+  // Newest first. "from" matches the sender's chat id or its digits.
+  const query = ({ from, sessionId, since, until, limit = 50, offset = 0 } = {}) => {
+    const sender = from && from.replace(/[^\d@.a-z-]/gi, "");
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+
+    const matches = state.messages
+      .filter((message) => {
+        const time = Date.parse(message.timestamp);
+        return (
+          (!sender || message.from === sender || message.from.startsWith(`${sender}@`)) &&
+          (!sessionId || message.sessionId === sessionId) &&
+          (sinceTime === null || time >= sinceTime) &&
+          (untilTime === null || time <= untilTime)
+        );
+      })
+      .reverse();
+
+    return {
+      total: matches.length,
+      messages: matches.slice(offset, offset + limit),
+    };
+  };
+
+  return { add, update, get, query, flush };
+};
@@ -0,0 +1,214 @@
+// Typed payloads beyond text and media. The fields for each type are sent
+// in an object named after the type, e.g. { type: "poll", poll: {...} }.
+export const INTERACTIVE_TYPES = ["location", "contact", "list", "buttons", "poll"];
+
+export const MESSAGE_TYPES = ["text", "media", ...INTERACTIVE_TYPES];
+
+export const INTERACTIVE_EXAMPLES = {
+  location: {
+    latitude: 19.0596,
+    longitude: 72.8295,
+    name: "Bandra Store",
+    address: "Hill Road, Bandra West, Mumbai",
+  },
+  contact: { name: "Customer Support", number: "+919876543210", organization: "Shop" },
+  list: {
+    body: "Pick a product to see today's price",
+    buttonText: "View products",
+    sections: [
+      {
+        title: "Phones",
+        rows: [
+          { id: "sku-101", title: "Phone X", description: "128 GB" },
+          { id: "sku-102", title: "Phone X Pro", description: "256 GB" },
+        ],
+      },
+    ],
+  },
+  buttons: {
+    body: "Confirm your order #1042?",
+    options: [
+      { id: "confirm-1042", text: "Confirm" },
+      { id: "cancel-1042", text: "Cancel" },
+    ],
+  },
+  poll: { question: "When should we deliver?", options: ["Morning", "Afternoon", "Evening"] },
+};
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isText = (value, max) =>
+  typeof value === "string" && value.trim().length > 0 && value.length <= max;
+
+const optionalText = (value, max) => value === undefined || isText(value, max);
+
+const validateLocation = ({ latitude, longitude, name, address, url }) => {
+  if (typeof latitude !== "number" || latitude < -90 || latitude > 90) {
+    return '"location.latitude" must be a number between -90 and 90';
+  }
+  if (typeof longitude !== "number" || longitude < -180 || longitude > 180) {
+    return '"location.longitude" must be a number between -180 and 180';
+  }
+  if (!optionalText(name, 256) || !optionalText(address, 256)) {
+    return '"location.name" and "location.address" must be strings of at most 256 characters';
+  }
+  if (url !== undefined && !/^https?:\/\/\S+$/.test(url)) {
+    return '"location.url" must be an http(s) URL';
+  }
+  return null;
+};
+
+const validateContact = ({ name, number, organization, email }) => {
+  if (!isText(name, 256)) {
+    return '"contact.name" is required (at most 256 characters)';
+  }
+  if (typeof number !== "string" || !/^\+?[\d\s().-]+$/.test(number)) {
+    return '"contact.number" must be a phone number with country code';
+  }
+  const digits = number.replace(/\D/g, "");
+  if (digits.length < 6 || digits.length > 15) {
+    return '"contact.number" must have between 6 and 15 digits';
+  }
+  if (!optionalText(organization, 256)) {
+    return '"contact.organization" must be a string of at most 256 characters';
+  }
+  if (email !== undefined && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return '"contact.email" must be an email address';
+  }
+  return null;
+};
+
+const validateList = ({ body, buttonText, sections, title, footer }) => {
+  if (!isText(body, 4096)) {
+    return '"list.body" is required (at most 4096 characters)';
+  }
+  if (!isText(buttonText, 20)) {
+    return '"list.buttonText" is required (at most 20 characters)';
+  }
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > 10) {
+    return '"list.sections" must be an array of 1 to 10 sections';
+  }
+  for (const section of sections) {
+    if (!isObject(section) || !optionalText(section.title, 24)) {
+      return 'Each "list.sections" entry needs an optional "title" of at most 24 characters';
+    }
+    if (!Array.isArray(section.rows) || section.rows.length === 0) {
+      return 'Each "list.sections" entry needs a non-empty "rows" array';
+    }
+    for (const row of section.rows) {
+      if (!isObject(row) || !isText(row.title, 24)) {
+        return 'Each list row needs a "title" of at most 24 characters';
+      }
+      if (!optionalText(row.description, 72) || !optionalText(row.id, 200)) {
+        return 'List row "description" (max 72) and "id" (max 200) must be strings';
+      }
+    }
+  }
+  if (sections.reduce((count, section) => count + section.rows.length, 0) > 10) {
+    return "A list can have at most 10 rows in total";
+  }
+  if (sections.length > 1 && sections.some((section) => section.title === undefined)) {
+    return 'Every section needs a "title" when a list has more than one';
+  }
+  if (!optionalText(title, 60) || !optionalText(footer, 60)) {
+    return '"list.title" and "list.footer" must be strings of at most 60 characters';
+  }
+  return null;
+};
+
+const validateButtons = ({ body, options, title, footer }) => {
+  if (!isText(body, 1024)) {
+    return '"buttons.body" is required (at most 1024 characters)';
+  }
+  if (!Array.isArray(options) || options.length === 0 || options.length > 3) {
+    return '"buttons.options" must be an array of 1 to 3 buttons';
+  }
+  if (options.some((option) => !isObject(option) || !isText(option.text, 20))) {
+    return 'Each button needs a "text" of at most 20 characters';
+  }
+  if (options.some((option) => !optionalText(option.id, 256))) {
+    return 'Button "id" must be a string of at most 256 characters';
+  }
+  if (!optionalText(title, 60) || !optionalText(footer, 60)) {
+    return '"buttons.title" and "buttons.footer" must be strings of at most 60 characters';
+  }
+  return null;
+};
+
+const validatePoll = ({ question, options, allowMultipleAnswers }) => {
+  if (!isText(question, 255)) {
+    return '"poll.question" is required (at most 255 characters)';
+  }
+  if (!Array.isArray(options) || options.length < 2 || options.length > 12) {
+    return '"poll.options" must be an array of 2 to 12 choices';
+  }
+  if (options.some((option) => !isText(option, 100))) {
+    return "Each poll option must be a string of at most 100 characters";
+  }
+  if (new Set(options.map((option) => option.trim().toLowerCase())).size !== options.length) {
+    return "Poll options must be unique";
+  }
+  if (allowMultipleAnswers !== undefined && typeof allowMultipleAnswers !== "boolean") {
+    return '"poll.allowMultipleAnswers" must be a boolean';
+  }
+  return null;
+};
+
+const VALIDATORS = {
+  location: validateLocation,
+  contact: validateContact,
+  list: validateList,
+  buttons: validateButtons,
+  poll: validatePoll,
+};
+
+// Returns an error message for an invalid payload of the given type, or null
+export const validateInteractive = (type, body) => {
+  if (!isObject(body[type])) {
+    return `"${type}" must be an object describing the ${type} message`;
+  }
+  if (body.message !== undefined) {
+    return `"message" cannot be combined with type "${type}"`;
+  }
+  return VALIDATORS[type](body[type]);
+};
+
+// Queue payload for a validated request: the type plus its own fields
+export const toInteractivePayload = (type, body) => ({ ...body[type], type });
+
+const vCardValue = (value) => String(value).replace(/([\\,;])/g, "\\$1").replace(/\n/g, "\\n");
+
+// A contact card as vCard 3.0 text, which WhatsApp shows as a contact
+export const toVCard = ({ name, number, organization, email }) => {
+  const digits = number.replace(/\D/g, "");
+  return [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${vCardValue(name)}`,
+    organization && `ORG:${vCardValue(organization)}`,
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+    email && `EMAIL:${vCardValue(email)}`,
+    "END:VCARD",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+// Short text for logs and the message history
+export const describeInteractive = (interactive) => {
+  switch (interactive.type) {
+    case "location": {
+      const label = [interactive.name, interactive.address].filter(Boolean).join(", ");
+      return label || `${interactive.latitude},${interactive.longitude}`;
+    }
+    case "contact":
+      return `${interactive.name} (${interactive.number})`;
+    case "list":
+    case "buttons":
+      return interactive.body;
+    case "poll":
+      return `${interactive.question} [${interactive.options.join(" / ")}]`;
+    default:
+      return "";
+  }
+};
@@ -0,0 +1,39 @@
+import fs from "fs";
+import { dirname, join } from "path";
+
+// Resolve a file inside the service data directory
+export const dataPath = (fileName) =>
+  join(process.env.DATA_DIR || "./data", fileName);
+
+// Small JSON file store. Writes go to a temp file first and are renamed into
+// place so a crash mid-write never leaves a truncated file behind.
+export const createJsonStore = (filePath, defaults) => {
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return structuredClone(defaults);
+      }
+      throw error;
+    }
+  };
+
+  const write = (data) => {
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Last modification time, or 0 when the file does not exist yet
+  const mtime = () => {
+    try {
+      return fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      return 0;
+    }
+  };
+
+  return { filePath, read, write, mtime };
+};
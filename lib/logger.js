@@ -0,0 +1,106 @@
+import winston from "winston";
+import "winston-daily-rotate-file";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import fs from "fs";
+import { currentRequestId } from "./requestContext.js";
+import { createRedactor, parseRedactCategories } from "./redact.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// LOG_FILE_PATH is still honoured for the directory of older setups
+const logsDir =
+  process.env.LOG_DIR ||
+  (process.env.LOG_FILE_PATH
+    ? dirname(process.env.LOG_FILE_PATH)
+    : join(__dirname, "..", "logs"));
+
+// Create logs directory if it doesn't exist
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+}
+
+const redactor = createRedactor({
+  categories: parseRedactCategories(process.env.LOG_REDACT),
+  fields: (process.env.LOG_REDACT_FIELDS || "")
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean),
+});
+
+// Fields winston and this service set themselves
+const RESERVED_FIELDS = ["level", "message", "timestamp", "service", "requestId", "stack"];
+
+// Mask phone numbers and message text in every field. The log message
+// itself only gets phone numbers masked.
+const redactFormat = winston.format((info) => {
+  if (!redactor.enabled) {
+    return info;
+  }
+  Object.keys(info).forEach((key) => {
+    if (!RESERVED_FIELDS.includes(key)) {
+      info[key] = redactor.redact(key, info[key]);
+    }
+  });
+  if (typeof info.message === "string") {
+    info.message = redactor.redactString(info.message);
+  }
+  if (typeof info.stack === "string") {
+    info.stack = redactor.redactString(info.stack);
+  }
+  return info;
+});
+
+// Tag every line written while handling a request (or a job it queued)
+const requestIdFormat = winston.format((info) => {
+  const requestId = currentRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
+// Daily files, also rotated at LOG_MAX_SIZE, kept for LOG_RETENTION_DAYS.
+// app.log and error.log always link to the current file.
+const rotatingFile = (name, options = {}) =>
+  new winston.transports.DailyRotateFile({
+    dirname: logsDir,
+    filename: `${name}-%DATE%.log`,
+    datePattern: "YYYY-MM-DD",
+    maxSize: process.env.LOG_MAX_SIZE || "20m",
+    maxFiles: `${parseInt(process.env.LOG_RETENTION_DAYS) || 14}d`,
+    zippedArchive: process.env.LOG_ZIP_ARCHIVES === "true",
+    createSymlink: true,
+    symlinkName: `${name}.log`,
+    auditFile: join(logsDir, `.${name}-audit.json`),
+    ...options,
+  });
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    requestIdFormat(),
+    redactFormat(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: "whatsapp-backend" },
+  transports: [rotatingFile("error", { level: "error" }), rotatingFile("app")],
+});
+
+// Add console transport for development
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      ),
+    })
+  );
+}
+
+export default logger;
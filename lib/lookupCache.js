@@ -0,0 +1,54 @@
+// Keeps the results of contact and chat lookups for a short while, so
+// support tools polling the same number or chat don't each drive the
+// browser. Callers asking for a key that is still loading share the same
+// promise, and failed loads are not kept. A ttlMs of 0 turns caching off.
+export const createLookupCache = ({ ttlMs = 30 * 1000, maxEntries = 1000 }) => {
+  const entries = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+    // Map order is insertion order, so the first keys are the oldest
+    for (const key of entries.keys()) {
+      if (entries.size < maxEntries) {
+        break;
+      }
+      entries.delete(key);
+    }
+  };
+
+  // Resolves to { value, fetchedAt, cached }, calling load() on a miss
+  const get = async (key, load) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      const value = await entry.promise;
+      return { value, fetchedAt: entry.fetchedAt, cached: true };
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const promise = Promise.resolve().then(load);
+    if (ttlMs > 0) {
+      prune();
+      entries.set(key, { promise, fetchedAt, expiresAt: Date.now() + ttlMs });
+      promise.catch(() => {
+        if (entries.get(key)?.promise === promise) {
+          entries.delete(key);
+        }
+      });
+    }
+    return { value: await promise, fetchedAt, cached: false };
+  };
+
+  // Forget every key starting with prefix, e.g. when a session relinks
+  const clear = (prefix = "") => {
+    Array.from(entries.keys())
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => entries.delete(key));
+  };
+
+  return { get, clear };
+};
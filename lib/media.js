@@ -0,0 +1,328 @@
+import crypto from "crypto";
+import dns from "dns";
+import fs from "fs";
+import http from "http";
+import https from "https";
+import net from "net";
+import { join, basename } from "path";
+
+export const DEFAULT_ALLOWED_MEDIA_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "application/pdf",
+  "video/mp4",
+  "audio/mpeg",
+  "audio/ogg",
+];
+
+// Raised for media that fails validation; status is the HTTP code to return
+export class MediaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MediaError";
+    this.status = status;
+  }
+}
+
+// Magic numbers for the formats we can recognise from the first bytes
+const SIGNATURES = [
+  { mimetype: "application/pdf", test: (b) => b.subarray(0, 4).toString() === "%PDF" },
+  { mimetype: "image/png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimetype: "image/jpeg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimetype: "image/gif", test: (b) => b.subarray(0, 4).toString() === "GIF8" },
+  { mimetype: "image/webp", test: (b) => b.subarray(0, 4).toString() === "RIFF" && b.subarray(8, 12).toString() === "WEBP" },
+  { mimetype: "video/mp4", test: (b) => b.subarray(4, 8).toString() === "ftyp" },
+  { mimetype: "audio/ogg", test: (b) => b.subarray(0, 4).toString() === "OggS" },
+  { mimetype: "audio/mpeg", test: (b) => b.subarray(0, 3).toString() === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+];
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT and
+// other non-public ranges. Media URLs may not point into them. IPv4-mapped
+// IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+// dns.lookup for http.request that refuses non-public addresses. It runs
+// for every connection, so redirects and DNS answers that change between
+// a check and the download cannot reach an internal host.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.every((entry) => isPublicAddress(entry.address))) {
+      return callback(new MediaError("Media URL does not resolve to a public address", 422));
+    }
+    callback(null, address, family);
+  });
+};
+
+const MAX_REDIRECTS = 5;
+
+export const detectMimeType = (buffer) =>
+  SIGNATURES.find(({ test }) => buffer.length >= 12 && test(buffer))?.mimetype ||
+  null;
+
+const matchesType = (mimetype, pattern) =>
+  pattern.endsWith("/*")
+    ? mimetype.startsWith(pattern.slice(0, -1))
+    : mimetype === pattern;
+
+// Generic types say nothing about the content, so treat them as undeclared
+const normalizeMimeType = (mimetype) => {
+  if (typeof mimetype !== "string") {
+    return null;
+  }
+  const normalized = mimetype.split(";")[0].trim().toLowerCase();
+  if (!normalized || normalized === "application/octet-stream") {
+    return null;
+  }
+  return normalized === "image/jpg" ? "image/jpeg" : normalized;
+};
+
+// Validates media from base64, uploads or URLs and stores it on disk, so
+// queued jobs only carry a small reference instead of the whole file.
+export const createMediaStore = ({
+  dir,
+  maxBytes = 16 * 1024 * 1024,
+  allowedTypes = DEFAULT_ALLOWED_MEDIA_TYPES,
+  allowedUrlHosts = [],
+  downloadTimeoutMs = 30000,
+  logger,
+}) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const isAllowed = (mimetype) =>
+    allowedTypes.some((pattern) => matchesType(mimetype, pattern));
+
+  const save = (buffer, { mimetype, filename, source }) => {
+    if (buffer.length === 0) {
+      throw new MediaError("Media file is empty");
+    }
+
+    if (buffer.length > maxBytes) {
+      throw new MediaError(
+        `Media too large (${buffer.length} bytes, max ${maxBytes})`,
+        413
+      );
+    }
+
+    const declared = normalizeMimeType(mimetype);
+    const detected = detectMimeType(buffer);
+    if (declared && detected && declared !== detected) {
+      throw new MediaError(
+        `Media content looks like ${detected} but was declared as ${declared}`,
+        415
+      );
+    }
+
+    const resolved = detected || declared;
+    if (!resolved) {
+      throw new MediaError('Could not determine media type, please provide "mimetype"', 415);
+    }
+
+    if (!isAllowed(resolved)) {
+      throw new MediaError(
+        `Media type ${resolved} is not allowed (allowed: ${allowedTypes.join(", ")})`,
+        415
+      );
+    }
+
+    const id = `media_${crypto.randomUUID()}`;
+    fs.writeFileSync(join(dir, id), buffer);
+
+    const descriptor = {
+      id,
+      mimetype: resolved,
+      filename: filename ? basename(filename) : undefined,
+      size: buffer.length,
+      source,
+    };
+    logger.info("🖼️ Media stored", descriptor);
+
+    return descriptor;
+  };
+
+  const fromBase64 = ({ data, mimetype, filename }) => {
+    // Accept data URLs as well as bare base64
+    const match = /^data:([^;,]+)(?:;[^,]*)?,(.*)$/s.exec(data);
+    const payload = match ? match[2] : data;
+    if (!/^[A-Za-z0-9+/\r\n]+={0,2}\s*$/.test(payload)) {
+      throw new MediaError('"media.data" is not valid base64');
+    }
+
+    return save(Buffer.from(payload, "base64"), {
+      mimetype: mimetype || (match && match[1]),
+      filename,
+      source: "base64",
+    });
+  };
+
+  // Multer file from memory storage
+  const fromUpload = (file, { filename } = {}) =>
+    save(file.buffer, {
+      mimetype: file.mimetype,
+      filename: filename || file.originalname,
+      source: "upload",
+    });
+
+  // With an allowlist, only those hosts ("*.example.com" for subdomains)
+  const isAllowedHost = (hostname) =>
+    allowedUrlHosts.length === 0 ||
+    allowedUrlHosts.some((host) =>
+      host.startsWith("*.") ? hostname.endsWith(host.slice(1)) : hostname === host
+    );
+
+  // Check a URL before connecting to it. IP literals skip DNS, so they are
+  // checked here; host names are checked by publicLookup.
+  const checkUrl = (url) => {
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new MediaError('"media.url" must use http or https');
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (!isAllowedHost(hostname)) {
+      throw new MediaError(`Media host ${hostname} is not allowed`, 422);
+    }
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      throw new MediaError("Media URL does not resolve to a public address", 422);
+    }
+  };
+
+  const get = (url, signal) =>
+    new Promise((resolve, reject) => {
+      const client = url.protocol === "https:" ? https : http;
+      client.get(url, { lookup: publicLookup, signal }, resolve).on("error", reject);
+    });
+
+  // Download, following redirects; every hop is checked like the first
+  const download = async (url, signal) => {
+    let current = url;
+    for (let redirects = 0; ; redirects += 1) {
+      checkUrl(current);
+      const response = await get(current, signal);
+      const { location } = response.headers;
+      if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+        return { response, url: current };
+      }
+      response.resume();
+      if (redirects === MAX_REDIRECTS) {
+        throw new MediaError("Could not download media: too many redirects", 422);
+      }
+      current = new URL(location, current);
+    }
+  };
+
+  const fromUrl = async ({ url, mimetype, filename }) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new MediaError('"media.url" must be an absolute URL');
+    }
+
+    // Network errors are only logged: their text would tell the caller
+    // which hosts and ports answer
+    const signal = AbortSignal.timeout(downloadTimeoutMs);
+    let downloaded;
+    try {
+      downloaded = await download(parsed, signal);
+    } catch (error) {
+      if (error instanceof MediaError) {
+        throw error;
+      }
+      logger.warn("Media download failed", { host: parsed.host, error: error.message });
+      throw new MediaError("Could not download media", 422);
+    }
+    const { response } = downloaded;
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw new MediaError(
+        `Could not download media: HTTP ${response.statusCode}`,
+        422
+      );
+    }
+
+    const declaredLength = parseInt(response.headers["content-length"]);
+    if (declaredLength > maxBytes) {
+      response.destroy();
+      throw new MediaError(
+        `Media too large (${declaredLength} bytes, max ${maxBytes})`,
+        413
+      );
+    }
+
+    // Stream the body so an unannounced oversized file is cut off early
+    const chunks = [];
+    let received = 0;
+    try {
+      for await (const chunk of response) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.destroy();
+          throw new MediaError(`Media too large (max ${maxBytes} bytes)`, 413);
+        }
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      if (error instanceof MediaError) {
+        throw error;
+      }
+      logger.warn("Media download failed", { host: parsed.host, error: error.message });
+      throw new MediaError("Could not download media", 422);
+    }
+
+    return save(Buffer.concat(chunks), {
+      mimetype: mimetype || response.headers["content-type"],
+      filename: filename || basename(downloaded.url.pathname) || undefined,
+      source: "url",
+    });
+  };
+
+  const load = (descriptor) => ({
+    mimetype: descriptor.mimetype,
+    filename: descriptor.filename,
+    data: fs.readFileSync(join(dir, descriptor.id)).toString("base64"),
+  });
+
+  const remove = (descriptor) => {
+    try {
+      fs.unlinkSync(join(dir, descriptor.id));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn("Failed to remove stored media", {
+          mediaId: descriptor.id,
+          error: error.message,
+        });
+      }
+    }
+  };
+
+  return { fromBase64, fromUpload, fromUrl, load, remove, maxBytes, allowedTypes };
+};
@@ -0,0 +1,256 @@
+import { toCsv } from "./csv.js";
+import { describeInteractive } from "./interactive.js";
+import { createJsonStore } from "./jsonStore.js";
+
+export const EXPORT_COLUMNS = [
+  "id",
+  "direction",
+  "status",
+  "sessionId",
+  "chatId",
+  "name",
+  "type",
+  "body",
+  "templateId",
+  "client",
+  "messageId",
+  "error",
+  "createdAt",
+  "sentAt",
+  "deliveredAt",
+  "readAt",
+  "updatedAt",
+];
+
+// Queue job statuses as history statuses. "processing" is not recorded,
+// the entry stays "queued" until the attempt finishes.
+const JOB_STATUS = {
+  queued: "queued",
+  sent: "sent",
+  dead: "failed",
+  cancelled: "cancelled",
+};
+
+// Receipts can arrive out of order, so they only move a status forward
+const STATUS_RANK = { queued: 0, sent: 1, server: 2, delivered: 3, read: 4 };
+
+const TIMESTAMP_FIELDS = { sent: "sentAt", delivered: "deliveredAt", read: "readAt" };
+
+export const historyToCsv = (entries) =>
+  toCsv(
+    EXPORT_COLUMNS,
+    entries.map((entry) => ({ ...entry, templateId: entry.template?.id }))
+  );
+
+// Searchable record of every message we sent or received. Outbound entries
+// are keyed by queue job id and follow the job and its delivery receipts;
+// inbound entries are keyed by the WhatsApp message id. Oldest entries are
+// dropped once maxEntries is reached.
+export const createMessageHistory = ({
+  filePath,
+  logger,
+  maxEntries = 20000,
+  flushDelayMs = 1000,
+}) => {
+  const store = createJsonStore(filePath, { messages: [] });
+  const state = store.read();
+  state.messages = state.messages || [];
+
+  const byId = new Map(state.messages.map((entry) => [entry.id, entry]));
+  const byMessageId = new Map(
+    state.messages.filter((entry) => entry.messageId).map((entry) => [entry.messageId, entry])
+  );
+
+  let flushTimer = null;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      store.write(state);
+    } catch (error) {
+      logger.error("Failed to persist message history", { error: error.message });
+    }
+  };
+
+  const scheduleFlush = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      flushTimer.unref();
+    }
+  };
+
+  const insert = (entry) => {
+    state.messages.push(entry);
+    byId.set(entry.id, entry);
+    if (entry.messageId) {
+      byMessageId.set(entry.messageId, entry);
+    }
+
+    if (state.messages.length > maxEntries) {
+      state.messages.splice(0, state.messages.length - maxEntries).forEach((removed) => {
+        byId.delete(removed.id);
+        byMessageId.delete(removed.messageId);
+      });
+    }
+  };
+
+  const setStatus = (entry, status, at) => {
+    entry.status = status;
+    if (TIMESTAMP_FIELDS[status] && !entry[TIMESTAMP_FIELDS[status]]) {
+      entry[TIMESTAMP_FIELDS[status]] = at;
+    }
+  };
+
+  // Create or update the entry for an outbound queue job
+  const recordJob = (job) => {
+    const status = JOB_STATUS[job.status];
+    if (!status) {
+      return null;
+    }
+
+    let entry = byId.get(job.id);
+    if (!entry) {
+      const { chatId, message, media, caption, template, interactive } = job.payload;
+      entry = {
+        id: job.id,
+        direction: "outbound",
+        status: "queued",
+        sessionId: job.sessionId,
+        chatId,
+        type: interactive ? interactive.type : media ? "media" : "text",
+        body: interactive ? describeInteractive(interactive) : media ? caption || "" : message,
+        media: media && { mimetype: media.mimetype, filename: media.filename },
+        template,
+        client: job.client,
+        scheduledFor: job.scheduledFor,
+        createdAt: job.createdAt,
+      };
+      insert(entry);
+    }
+
+    const messageId = job.result?.messageId;
+    if (messageId && !entry.messageId) {
+      entry.messageId = messageId;
+      byMessageId.set(messageId, entry);
+    }
+
+    entry.attempts = job.attempts;
+    entry.error = job.lastError || null;
+    entry.errorCode = job.lastErrorCode || null;
+    entry.scheduledFor = job.scheduledFor;
+    entry.updatedAt = job.updatedAt;
+    setStatus(entry, status, job.updatedAt);
+
+    scheduleFlush();
+    return entry;
+  };
+
+  // Apply a delivery receipt ("server", "delivered", "read" or "failed")
+  const recordReceipt = (messageId, status) => {
+    const entry = byMessageId.get(messageId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.updatedAt = new Date().toISOString();
+    if (status === "failed" || STATUS_RANK[status] > STATUS_RANK[entry.status]) {
+      setStatus(entry, status, entry.updatedAt);
+    }
+    scheduleFlush();
+    return entry;
+  };
+
+  const recordIncoming = ({
+    messageId,
+    sessionId,
+    chatId,
+    name,
+    type,
+    body,
+    hasMedia,
+    timestamp,
+  }) => {
+    if (byId.has(messageId)) {
+      return byId.get(messageId);
+    }
+
+    const entry = {
+      id: messageId,
+      direction: "inbound",
+      status: "received",
+      sessionId,
+      chatId,
+      name,
+      type,
+      body,
+      hasMedia,
+      messageId,
+      createdAt: timestamp,
+      updatedAt: new Date().toISOString(),
+    };
+    insert(entry);
+    scheduleFlush();
+    return entry;
+  };
+
+  const get = (id) => byId.get(id) || byMessageId.get(id) || null;
+
+  // Newest first. "number" matches a chat id or a phone number's digits;
+  // "search" matches entries whose text contains every word given.
+  const query = ({
+    direction,
+    number,
+    sessionId,
+    status,
+    client,
+    templateId,
+    search,
+    since,
+    until,
+    limit,
+    offset = 0,
+  } = {}) => {
+    const digits = number && !number.includes("@") ? number.replace(/\D/g, "") : null;
+    const terms = search ? search.toLowerCase().split(/\s+/).filter(Boolean) : [];
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+
+    const matchesNumber = (entry) =>
+      !number ||
+      entry.chatId === number ||
+      (digits && entry.chatId?.startsWith(`${digits}@`));
+
+    const matchesSearch = (entry) => {
+      if (terms.length === 0) {
+        return true;
+      }
+      const text = [entry.body, entry.name, entry.chatId].filter(Boolean).join(" ").toLowerCase();
+      return terms.every((term) => text.includes(term));
+    };
+
+    const matches = state.messages
+      .filter((entry) => {
+        const time = Date.parse(entry.createdAt);
+        return (
+          (!direction || entry.direction === direction) &&
+          (!sessionId || entry.sessionId === sessionId) &&
+          (!status || entry.status === status) &&
+          (!client || entry.client === client) &&
+          (!templateId || entry.template?.id === templateId) &&
+          (sinceTime === null || time >= sinceTime) &&
+          (untilTime === null || time <= untilTime) &&
+          matchesNumber(entry) &&
+          matchesSearch(entry)
+        );
+      })
+      .reverse();
+
+    return {
+      total: matches.length,
+      messages: matches.slice(offset, limit === undefined ? undefined : offset + limit),
+    };
+  };
+
+  return { recordJob, recordReceipt, recordIncoming, get, query, flush };
+};
@@ -0,0 +1,337 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+import { currentRequestId, runWithRequestId } from "./requestContext.js";
+
+// Thrown by the deliver function for failures that retrying cannot fix,
+// such as a number that is not registered on WhatsApp. "code" is a short
+// machine-readable reason kept on the job.
+export class PermanentSendError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "PermanentSendError";
+    this.permanent = true;
+    this.code = code;
+  }
+}
+
+// Persistent outbound queue. Jobs are kept in a JSON file so they survive
+// reconnects and process restarts; a single worker drains them in order,
+// skipping jobs whose WhatsApp session isReady(job) reports as offline.
+// onUpdate(job) is called whenever a job changes status. Scheduled jobs are
+// passed to admit(job) when they come due; it returns null to send them now
+// or { retryAfterMs } to hold them back.
+export const createMessageQueue = ({
+  filePath,
+  deliver,
+  isReady,
+  admit = () => null,
+  onRemove = () => {},
+  onUpdate = () => {},
+  logger,
+  maxAttempts = 5,
+  baseDelayMs = 5000,
+  maxDelayMs = 10 * 60 * 1000,
+  pollIntervalMs = 1000,
+  retentionMs = 24 * 60 * 60 * 1000,
+}) => {
+  const store = createJsonStore(filePath, { jobs: [], deadLetter: [] });
+  const state = store.read();
+  state.jobs = state.jobs || [];
+  state.deadLetter = state.deadLetter || [];
+
+  // A job left "processing" means the process died mid-send; try it again
+  const interrupted = state.jobs.filter((job) => job.status === "processing");
+  interrupted.forEach((job) => {
+    job.status = "queued";
+  });
+  if (interrupted.length > 0) {
+    logger.warn("Requeued jobs interrupted by a restart", {
+      count: interrupted.length,
+    });
+  }
+
+  let timer = null;
+  let draining = false;
+
+  const persist = () => store.write(state);
+
+  const backoffDelay = (attempts) =>
+    Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    const before = state.jobs.length;
+    state.jobs = state.jobs.filter(
+      (job) =>
+        !["sent", "cancelled"].includes(job.status) ||
+        Date.parse(job.updatedAt) > cutoff
+    );
+    return before !== state.jobs.length;
+  };
+
+  const nextDueJob = () => {
+    const now = Date.now();
+    return state.jobs
+      .filter(
+        (job) =>
+          job.status === "queued" && Date.parse(job.nextAttemptAt) <= now && isReady(job)
+      )
+      .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt))[0];
+  };
+
+  const moveToDeadLetter = (job) => {
+    state.jobs = state.jobs.filter((candidate) => candidate.id !== job.id);
+    job.status = "dead";
+    state.deadLetter.push(job);
+  };
+
+  // Scheduled jobs that have not been attempted yet
+  const isPendingSchedule = (job) =>
+    job.status === "queued" && job.scheduledFor && job.attempts === 0;
+
+  // Hold back a scheduled job the send limits refuse. Returns true when it
+  // was held.
+  const holdBack = (job) => {
+    const throttled = isPendingSchedule(job) && admit(job);
+    if (!throttled) {
+      return false;
+    }
+
+    job.nextAttemptAt = new Date(Date.now() + throttled.retryAfterMs).toISOString();
+    job.updatedAt = new Date().toISOString();
+    logger.warn("Scheduled message held back by send limits", {
+      jobId: job.id,
+      to: job.payload.number,
+      client: job.client,
+      code: throttled.code,
+      retryInMs: throttled.retryAfterMs,
+    });
+    persist();
+    onUpdate(job);
+    return true;
+  };
+
+  const processJob = async (job) => {
+    if (holdBack(job)) {
+      return;
+    }
+
+    job.status = "processing";
+    job.attempts += 1;
+    job.updatedAt = new Date().toISOString();
+    persist();
+
+    try {
+      const result = await deliver(job);
+      job.status = "sent";
+      job.result = result;
+      job.lastError = null;
+      job.lastErrorCode = null;
+      job.updatedAt = new Date().toISOString();
+
+      logger.info("✅ Queued message delivered", {
+        jobId: job.id,
+        to: job.payload.number,
+        client: job.client,
+        attempts: job.attempts,
+      });
+    } catch (error) {
+      job.lastError = error.message;
+      job.lastErrorCode = error.code || null;
+      job.updatedAt = new Date().toISOString();
+
+      if (error.permanent || job.attempts >= maxAttempts) {
+        moveToDeadLetter(job);
+        logger.error("☠️ Queued message moved to dead-letter list", {
+          jobId: job.id,
+          to: job.payload.number,
+          client: job.client,
+          attempts: job.attempts,
+          error: error.message,
+        });
+      } else {
+        const delay = backoffDelay(job.attempts);
+        job.status = "queued";
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn("🔁 Queued message failed, retrying", {
+          jobId: job.id,
+          to: job.payload.number,
+          client: job.client,
+          attempts: job.attempts,
+          retryInMs: delay,
+          error: error.message,
+        });
+      }
+    }
+
+    persist();
+    onUpdate(job);
+  };
+
+  const drain = async () => {
+    if (draining) {
+      return;
+    }
+    draining = true;
+
+    try {
+      if (prune()) {
+        persist();
+      }
+
+      let job = nextDueJob();
+      while (job) {
+        // Logged under the id of the request that queued the job
+        await runWithRequestId(job.requestId, () => processJob(job));
+        job = nextDueJob();
+      }
+    } catch (error) {
+      logger.error("💥 Message queue worker error", {
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      draining = false;
+    }
+  };
+
+  // sendAt (a Date) holds the job back until that moment; the worker still
+  // waits for the client to be ready, so late jobs go out on reconnect.
+  const enqueue = (payload, { client, sessionId, sendAt, timezone } = {}) => {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${crypto.randomUUID()}`,
+      status: "queued",
+      payload,
+      client,
+      sessionId,
+      requestId: currentRequestId(),
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: sendAt ? sendAt.toISOString() : now,
+    };
+    if (sendAt) {
+      job.scheduledFor = job.nextAttemptAt;
+      job.timezone = timezone;
+    }
+
+    state.jobs.push(job);
+    persist();
+    onUpdate(job);
+    setImmediate(drain);
+
+    return job;
+  };
+
+  // Withdraw a job that has not been picked up by the worker yet
+  const cancel = (id) => {
+    const job = state.jobs.find((candidate) => candidate.id === id);
+    if (!job || job.status !== "queued") {
+      return null;
+    }
+
+    job.status = "cancelled";
+    job.updatedAt = new Date().toISOString();
+    persist();
+    onUpdate(job);
+    onRemove(job);
+    return job;
+  };
+
+  const listScheduled = ({ client } = {}) =>
+    state.jobs
+      .filter((job) => isPendingSchedule(job) && (!client || job.client === client))
+      .sort((a, b) => Date.parse(a.scheduledFor) - Date.parse(b.scheduledFor));
+
+  const reschedule = (id, sendAt, timezone) => {
+    const job = state.jobs.find((candidate) => candidate.id === id);
+    if (!job || !isPendingSchedule(job)) {
+      return null;
+    }
+
+    job.scheduledFor = sendAt.toISOString();
+    job.nextAttemptAt = job.scheduledFor;
+    job.timezone = timezone;
+    job.updatedAt = new Date().toISOString();
+    persist();
+    onUpdate(job);
+    return job;
+  };
+
+  const get = (id) =>
+    state.jobs.find((job) => job.id === id) ||
+    state.deadLetter.find((job) => job.id === id) ||
+    null;
+
+  const stats = ({ sessionId } = {}) => {
+    const counts = { queued: 0, processing: 0, sent: 0, cancelled: 0 };
+    const inSession = (job) => !sessionId || job.sessionId === sessionId;
+    state.jobs.filter(inSession).forEach((job) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return { ...counts, dead: state.deadLetter.filter(inSession).length };
+  };
+
+  const listDeadLetter = () => state.deadLetter;
+
+  // Put a dead-lettered job back on the queue with a fresh attempt budget
+  const retryDeadLetter = (id) => {
+    const job = state.deadLetter.find((candidate) => candidate.id === id);
+    if (!job) {
+      return null;
+    }
+
+    state.deadLetter = state.deadLetter.filter((candidate) => candidate.id !== id);
+    job.status = "queued";
+    job.attempts = 0;
+    job.nextAttemptAt = new Date().toISOString();
+    job.updatedAt = job.nextAttemptAt;
+    state.jobs.push(job);
+    persist();
+    onUpdate(job);
+    setImmediate(drain);
+
+    return job;
+  };
+
+  const removeDeadLetter = (id) => {
+    const job = state.deadLetter.find((candidate) => candidate.id === id);
+    if (!job) {
+      return null;
+    }
+
+    state.deadLetter = state.deadLetter.filter((candidate) => candidate.id !== id);
+    persist();
+    onRemove(job);
+    return job;
+  };
+
+  const start = () => {
+    if (!timer) {
+      timer = setInterval(drain, pollIntervalMs);
+      logger.info("📬 Message queue worker started", stats());
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    enqueue,
+    cancel,
+    listScheduled,
+    reschedule,
+    get,
+    stats,
+    listDeadLetter,
+    retryDeadLetter,
+    removeDeadLetter,
+    drain,
+    start,
+    stop,
+  };
+};
@@ -0,0 +1,128 @@
+import { createJsonStore } from "./jsonStore.js";
+
+// whatsapp-web.js MessageAck values mapped to our status names.
+// ACK_PLAYED (voice notes) counts as read.
+const ACK_STATUS = {
+  "-1": "failed",
+  0: "sent",
+  1: "server",
+  2: "delivered",
+  3: "read",
+  4: "read",
+};
+
+const STATUS_RANK = { sent: 0, server: 1, delivered: 2, read: 3 };
+
+export const ackToStatus = (ack) => ACK_STATUS[ack] || null;
+
+// Keeps a status history for every outgoing message. Acks can arrive out of
+// order, so the current status only ever moves forward (or to "failed"),
+// while the history records everything that was reported.
+export const createMessageStatusTracker = ({
+  filePath,
+  logger,
+  maxEntries = 10000,
+  flushDelayMs = 500,
+}) => {
+  const store = createJsonStore(filePath, { messages: {} });
+  const state = store.read();
+  state.messages = state.messages || {};
+
+  let flushTimer = null;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      store.write(state);
+    } catch (error) {
+      logger.error("Failed to persist message statuses", {
+        error: error.message,
+      });
+    }
+  };
+
+  // Acks come in bursts, so batch writes instead of hitting disk per event
+  const scheduleFlush = () => {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      flushTimer.unref();
+    }
+  };
+
+  const prune = () => {
+    const ids = Object.keys(state.messages);
+    if (ids.length <= maxEntries) {
+      return;
+    }
+
+    ids
+      .sort(
+        (a, b) =>
+          Date.parse(state.messages[a].createdAt) -
+          Date.parse(state.messages[b].createdAt)
+      )
+      .slice(0, ids.length - maxEntries)
+      .forEach((id) => delete state.messages[id]);
+  };
+
+  const upsert = (messageId, details = {}) => {
+    const now = new Date().toISOString();
+    if (!state.messages[messageId]) {
+      state.messages[messageId] = {
+        messageId,
+        status: null,
+        history: [],
+        createdAt: now,
+      };
+      prune();
+    }
+
+    const entry = state.messages[messageId];
+    Object.entries(details).forEach(([key, value]) => {
+      if (value !== undefined) {
+        entry[key] = value;
+      }
+    });
+    entry.updatedAt = now;
+    return entry;
+  };
+
+  const record = (messageId, status, details = {}) => {
+    const entry = upsert(messageId, details);
+    if (!entry.history.some((item) => item.status === status)) {
+      entry.history.push({ status, at: entry.updatedAt });
+    }
+
+    const advances =
+      status === "failed" ||
+      entry.status === null ||
+      (entry.status !== "failed" && STATUS_RANK[status] > STATUS_RANK[entry.status]);
+    if (advances) {
+      entry.status = status;
+    }
+
+    scheduleFlush();
+    return entry;
+  };
+
+  const applyAck = (messageId, ack, details = {}) => {
+    const status = ackToStatus(ack);
+    if (!status) {
+      logger.warn("Ignoring unknown message ack", { messageId, ack });
+      return null;
+    }
+
+    const entry = record(messageId, status, { ...details, ack });
+    logger.info("📬 Message status updated", {
+      messageId,
+      status,
+      ack,
+    });
+    return entry;
+  };
+
+  const get = (messageId) => state.messages[messageId] || null;
+
+  return { record, applyAck, get, flush };
+};
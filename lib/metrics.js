@@ -0,0 +1,146 @@
+import client from "prom-client";
+import { SESSION_STATES } from "./sessions.js";
+
+// Failure codes reported as-is; anything else is counted as "error" so
+// the label set stays small
+const KNOWN_FAILURE_REASONS = [
+  "not_registered",
+  "recipient_opted_out",
+  "session_not_found",
+  "client_not_ready",
+];
+
+// Prometheus metrics for the service, kept in their own registry.
+// Gauges that mirror existing state (sessions, queue) are filled in at
+// scrape time from the getters passed in.
+export const createMetrics = ({ getSessions, getQueueStats, prefix = "whatsapp_" }) => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix });
+
+  const messagesSent = new client.Counter({
+    name: `${prefix}messages_sent_total`,
+    help: "Messages delivered to WhatsApp",
+    labelNames: ["session"],
+    registers: [registry],
+  });
+
+  const messagesFailed = new client.Counter({
+    name: `${prefix}messages_failed_total`,
+    help: "Delivery attempts that failed, by reason",
+    labelNames: ["session", "reason"],
+    registers: [registry],
+  });
+
+  const messagesRejected = new client.Counter({
+    name: `${prefix}messages_rejected_total`,
+    help: "Send requests refused by the API before queueing, by reason",
+    labelNames: ["route", "reason"],
+    registers: [registry],
+  });
+
+  const sendDuration = new client.Histogram({
+    name: `${prefix}send_duration_seconds`,
+    help: "Time taken by WhatsApp to accept a message",
+    labelNames: ["session"],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+    registers: [registry],
+  });
+
+  const reconnects = new client.Counter({
+    name: `${prefix}session_reconnects_total`,
+    help: "Reconnect attempts started by the session state machine",
+    labelNames: ["session"],
+    registers: [registry],
+  });
+
+  new client.Gauge({
+    name: `${prefix}session_state`,
+    help: "Current connection state of each session (1 for the active state)",
+    labelNames: ["session", "state"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      getSessions().forEach((session) => {
+        SESSION_STATES.forEach((state) => {
+          this.set({ session: session.id, state }, session.state === state ? 1 : 0);
+        });
+      });
+    },
+  });
+
+  new client.Gauge({
+    name: `${prefix}queue_jobs`,
+    help: "Jobs in the outbound queue by status",
+    labelNames: ["status"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      Object.entries(getQueueStats()).forEach(([status, count]) => {
+        this.set({ status }, count);
+      });
+    },
+  });
+
+  const httpRequests = new client.Counter({
+    name: "http_requests_total",
+    help: "HTTP requests by method, route and status code",
+    labelNames: ["method", "route", "status_code"],
+    registers: [registry],
+  });
+
+  const httpDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request duration by method and route",
+    labelNames: ["method", "route"],
+    buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry],
+  });
+
+  // Routes are labelled by their pattern ("/queue/jobs/:id") rather than
+  // the raw URL, so ids do not create new series
+  const routeLabel = (req) => {
+    if (!req.route) {
+      return "unmatched";
+    }
+    return `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}` || "/";
+  };
+
+  const httpMiddleware = (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on("finish", () => {
+      const route = routeLabel(req);
+      end({ method: req.method, route });
+      httpRequests.inc({ method: req.method, route, status_code: res.statusCode });
+
+      if (res.statusCode >= 400 && res.locals.rejectReason) {
+        messagesRejected.inc({ route, reason: res.locals.rejectReason });
+      }
+    });
+    next();
+  };
+
+  const recordSent = (sessionId, responseTimeMs) => {
+    messagesSent.inc({ session: sessionId });
+    sendDuration.observe({ session: sessionId }, responseTimeMs / 1000);
+  };
+
+  const recordFailed = (sessionId, error) => {
+    const reason = KNOWN_FAILURE_REASONS.includes(error.code) ? error.code : "error";
+    messagesFailed.inc({ session: sessionId, reason });
+  };
+
+  // Hooked to the session manager's state changes
+  const recordStateChange = (session, from, to) => {
+    if (to === "initializing" && ["disconnected", "failed"].includes(from)) {
+      reconnects.inc({ session: session.id });
+    }
+  };
+
+  return {
+    registry,
+    httpMiddleware,
+    recordSent,
+    recordFailed,
+    recordStateChange,
+  };
+};
@@ -0,0 +1,814 @@
+import { schemas } from "./schemas.js";
+
+export const API_PREFIX = "/v1";
+
+const INTERACTIVE_SCHEMAS = [
+  "LocationMessage",
+  "ContactMessage",
+  "ListMessage",
+  "ButtonsMessage",
+  "PollMessage",
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ "application/json": { schema } });
+
+const errorResponse = (description) => ({ description, content: json(ref("Error")) });
+
+// Answers every send route can give besides 202
+const sendErrors = {
+  400: { description: "The request failed validation", content: json(ref("ValidationError")) },
+  401: errorResponse("Missing or invalid API key"),
+  403: errorResponse('Missing the "send" scope, or the recipient opted out'),
+  404: errorResponse("Unknown session, group or template"),
+  409: errorResponse("Idempotency-Key reused for a different request, or still in progress"),
+  429: errorResponse("Rate limit or send limit reached; see Retry-After"),
+};
+
+const sendOperation = ({ summary, description, requestBody }) => ({
+  tags: ["Messages"],
+  summary,
+  description,
+  security: [{ apiKey: [] }],
+  parameters: [
+    {
+      name: "Idempotency-Key",
+      in: "header",
+      required: false,
+      description: "Retries with the same key get the original response instead of sending again",
+      schema: { type: "string", maxLength: 255 },
+    },
+  ],
+  requestBody: { required: true, content: requestBody },
+  responses: {
+    202: { description: "Queued (or scheduled) for delivery", content: json(ref("QueuedMessage")) },
+    ...sendErrors,
+  },
+});
+
+// The send routes, described in full from the request schemas
+const sendPaths = {
+  "/messages": {
+    post: sendOperation({
+      summary: "Send a message",
+      description:
+        '"type" picks the kind of message: text (the default), media, location, contact, ' +
+        "list, buttons or poll. Files can also be uploaded as multipart/form-data.",
+      requestBody: {
+        ...json({
+          oneOf: ["TextMessage", "MediaMessage", ...INTERACTIVE_SCHEMAS].map(ref),
+        }),
+        "multipart/form-data": { schema: ref("MediaUpload") },
+      },
+    }),
+  },
+  "/messages/template": {
+    post: sendOperation({
+      summary: "Send a rendered template",
+      requestBody: json(ref("TemplateMessage")),
+    }),
+  },
+};
+
+// Every other route: method, path, scopes, tag, summary, and the schemas of
+// its answer ("response", with "status" when it is not 200) and of the body
+// it is validated against. "media" is a non-JSON answer, such as a CSV export.
+const ENDPOINTS = [
+  [
+    "get",
+    "/status",
+    ["read-status"],
+    "Service",
+    "Status of the default session and queue",
+    { response: "ServiceStatus" },
+  ],
+  ["get", "/metrics", ["read-status"], "Service", "Prometheus metrics", { media: "text/plain" }],
+  [
+    "get",
+    "/qr",
+    ["admin"],
+    "Service",
+    "Current login QR code of the default session",
+    { media: "text/html" },
+  ],
+  [
+    "get",
+    "/templates",
+    ["send", "read-status"],
+    "Templates",
+    "List message templates",
+    { response: "TemplateList" },
+  ],
+  [
+    "get",
+    "/templates/{id}",
+    ["send", "read-status"],
+    "Templates",
+    "Get a template",
+    { response: "TemplateResponse" },
+  ],
+  [
+    "post",
+    "/templates",
+    ["admin"],
+    "Templates",
+    "Create a template",
+    { body: "TemplateRequest", response: "TemplateResponse", status: 201 },
+  ],
+  [
+    "put",
+    "/templates/{id}",
+    ["admin"],
+    "Templates",
+    "Update a template",
+    { body: "TemplateUpdate", response: "TemplateResponse" },
+  ],
+  [
+    "delete",
+    "/templates/{id}",
+    ["admin"],
+    "Templates",
+    "Delete a template",
+    { response: "TemplateResponse" },
+  ],
+  [
+    "post",
+    "/batches",
+    ["send"],
+    "Batches",
+    "Start a broadcast batch",
+    { body: "BatchRequest", response: "BatchResponse", status: 202 },
+  ],
+  [
+    "get",
+    "/batches",
+    ["send", "read-status"],
+    "Batches",
+    "List batches",
+    { response: "BatchList" },
+  ],
+  [
+    "get",
+    "/batches/{id}",
+    ["send", "read-status"],
+    "Batches",
+    "Batch progress and results",
+    { response: "BatchResponse" },
+  ],
+  [
+    "post",
+    "/batches/{id}/pause",
+    ["send"],
+    "Batches",
+    "Pause a batch",
+    { response: "BatchResponse" },
+  ],
+  [
+    "post",
+    "/batches/{id}/resume",
+    ["send"],
+    "Batches",
+    "Resume a batch",
+    { response: "BatchResponse" },
+  ],
+  [
+    "post",
+    "/batches/{id}/cancel",
+    ["send"],
+    "Batches",
+    "Cancel a batch",
+    { response: "BatchResponse" },
+  ],
+  [
+    "get",
+    "/scheduled",
+    ["send", "read-status"],
+    "Scheduled",
+    "Pending scheduled messages",
+    { response: "QueueJobList" },
+  ],
+  [
+    "get",
+    "/scheduled/{id}",
+    ["send", "read-status"],
+    "Scheduled",
+    "Get a scheduled message",
+    { response: "QueueJobResponse" },
+  ],
+  [
+    "patch",
+    "/scheduled/{id}",
+    ["send"],
+    "Scheduled",
+    "Reschedule a message",
+    { response: "QueueJobResponse" },
+  ],
+  [
+    "delete",
+    "/scheduled/{id}",
+    ["send"],
+    "Scheduled",
+    "Cancel a scheduled message",
+    { response: "QueueJobResponse" },
+  ],
+  [
+    "get",
+    "/queue",
+    ["read-status"],
+    "Queue",
+    "Queue counts by status",
+    { response: "QueueStatsResponse" },
+  ],
+  [
+    "get",
+    "/queue/jobs/{id}",
+    ["send", "read-status"],
+    "Queue",
+    "Status of a queued message",
+    { response: "QueueJobResponse" },
+  ],
+  [
+    "get",
+    "/queue/dead-letter",
+    ["admin"],
+    "Queue",
+    "Messages that kept failing",
+    { response: "QueueJobList" },
+  ],
+  [
+    "post",
+    "/queue/dead-letter/{id}/retry",
+    ["admin"],
+    "Queue",
+    "Retry a dead-lettered message",
+    { response: "QueueJobResponse", status: 202 },
+  ],
+  [
+    "delete",
+    "/queue/dead-letter/{id}",
+    ["admin"],
+    "Queue",
+    "Discard a dead-lettered message",
+    { response: "QueueJobResponse" },
+  ],
+  [
+    "get",
+    "/messages",
+    ["read-messages"],
+    "Messages",
+    "Search sent and received messages",
+    { response: "MessageHistoryPage" },
+  ],
+  [
+    "get",
+    "/messages/export",
+    ["read-messages"],
+    "Messages",
+    "Export message history",
+    { response: "MessageExport", media: "text/csv" },
+  ],
+  [
+    "get",
+    "/messages/{id}",
+    ["send", "read-status"],
+    "Messages",
+    "Delivery status history",
+    { response: "MessageStatusResponse" },
+  ],
+  [
+    "get",
+    "/inbox",
+    ["read-messages"],
+    "Inbox",
+    "Incoming customer messages",
+    { response: "InboxPage" },
+  ],
+  [
+    "get",
+    "/inbox/{id}",
+    ["read-messages"],
+    "Inbox",
+    "Get an incoming message",
+    { response: "InboxMessageResponse" },
+  ],
+  [
+    "post",
+    "/contacts/check",
+    ["send", "read-messages"],
+    "Contacts",
+    "Which numbers use WhatsApp",
+    { body: "ContactCheckRequest", response: "ContactCheckResponse" },
+  ],
+  [
+    "get",
+    "/contacts/{number}",
+    ["read-messages"],
+    "Contacts",
+    "Contact profile name and picture",
+    { response: "ContactResponse" },
+  ],
+  [
+    "get",
+    "/chats",
+    ["read-messages"],
+    "Contacts",
+    "Recent chats on the linked phone",
+    { response: "ChatList" },
+  ],
+  [
+    "get",
+    "/chats/{chatId}/messages",
+    ["read-messages"],
+    "Contacts",
+    "Latest messages of a chat",
+    { response: "ChatMessagesPage" },
+  ],
+  ["get", "/groups", ["send", "read-messages"], "Groups", "List groups", { response: "GroupList" }],
+  [
+    "get",
+    "/groups/{group}",
+    ["send", "read-messages"],
+    "Groups",
+    "Group and its participants",
+    { response: "GroupResponse" },
+  ],
+  [
+    "post",
+    "/groups",
+    ["admin"],
+    "Groups",
+    "Create a group",
+    { body: "GroupRequest", response: "CreatedGroupResponse", status: 201 },
+  ],
+  [
+    "post",
+    "/groups/{group}/participants",
+    ["admin"],
+    "Groups",
+    "Add group participants",
+    { body: "ParticipantsRequest", response: "ParticipantResults" },
+  ],
+  [
+    "delete",
+    "/groups/{group}/participants/{number}",
+    ["admin"],
+    "Groups",
+    "Remove a participant",
+    { response: "ParticipantRemoved" },
+  ],
+  [
+    "get",
+    "/sessions",
+    ["read-status"],
+    "Sessions",
+    "WhatsApp sessions and their status",
+    { response: "SessionList" },
+  ],
+  [
+    "post",
+    "/sessions",
+    ["admin"],
+    "Sessions",
+    "Add a session",
+    { body: "SessionRequest", response: "SessionResponse", status: 201 },
+  ],
+  [
+    "get",
+    "/sessions/{id}/status",
+    ["read-status"],
+    "Sessions",
+    "Status of a session",
+    { response: "SessionStatus" },
+  ],
+  [
+    "get",
+    "/sessions/{id}/qr",
+    ["admin"],
+    "Sessions",
+    "Login QR code of a session",
+    { media: "text/html" },
+  ],
+  [
+    "get",
+    "/sessions/{id}/pairing",
+    ["admin"],
+    "Sessions",
+    "QR or pairing code with its expiry",
+    { response: "PairingResponse" },
+  ],
+  [
+    "post",
+    "/sessions/{id}/pairing-link",
+    ["admin"],
+    "Sessions",
+    "Link to the live pairing page",
+    { response: "PairingLinkResponse", status: 201 },
+  ],
+  [
+    "post",
+    "/sessions/{id}/pairing-code",
+    ["admin"],
+    "Sessions",
+    "Log in with a pairing code",
+    { body: "PairingCodeRequest", response: "PairingResponse", status: 202 },
+  ],
+  [
+    "post",
+    "/sessions/{id}/start",
+    ["admin"],
+    "Sessions",
+    "Start a session",
+    { response: "SessionResponse" },
+  ],
+  [
+    "post",
+    "/sessions/{id}/stop",
+    ["admin"],
+    "Sessions",
+    "Stop a session",
+    { response: "SessionResponse" },
+  ],
+  [
+    "post",
+    "/sessions/{id}/restart",
+    ["admin"],
+    "Sessions",
+    "Restart a session",
+    { response: "SessionResponse" },
+  ],
+  [
+    "post",
+    "/sessions/{id}/logout",
+    ["admin"],
+    "Sessions",
+    "Log a session out",
+    { response: "SessionResponse" },
+  ],
+  [
+    "post",
+    "/sessions/{id}/re-pair",
+    ["admin"],
+    "Sessions",
+    "Log out and show a new QR code",
+    { response: "SessionResponse" },
+  ],
+  [
+    "delete",
+    "/sessions/{id}/auth",
+    ["admin"],
+    "Sessions",
+    "Forget a stopped session's login",
+    { response: "SessionResponse" },
+  ],
+  [
+    "delete",
+    "/sessions/{id}",
+    ["admin"],
+    "Sessions",
+    "Remove a session",
+    { response: "SessionResponse" },
+  ],
+  ["get", "/admin/api-keys", ["admin"], "Admin", "List API keys", { response: "ApiKeyList" }],
+  [
+    "post",
+    "/admin/api-keys",
+    ["admin"],
+    "Admin",
+    "Issue an API key",
+    { body: "ApiKeyRequest", response: "ApiKeyResponse", status: 201 },
+  ],
+  [
+    "post",
+    "/admin/api-keys/{id}/rotate",
+    ["admin"],
+    "Admin",
+    "Rotate an API key",
+    { body: "ApiKeyRotation", response: "ApiKeyResponse" },
+  ],
+  [
+    "put",
+    "/admin/api-keys/{id}/send-limits",
+    ["admin"],
+    "Admin",
+    "Set a client's send limits",
+    { body: "SendLimitsUpdate", response: "ApiKeyResponse" },
+  ],
+  [
+    "delete",
+    "/admin/api-keys/{id}",
+    ["admin"],
+    "Admin",
+    "Revoke an API key",
+    { response: "ApiKeyResponse" },
+  ],
+  ["get", "/admin/webhooks", ["admin"], "Admin", "List webhooks", { response: "WebhookList" }],
+  [
+    "post",
+    "/admin/webhooks",
+    ["admin"],
+    "Admin",
+    "Register a webhook",
+    { body: "WebhookRequest", response: "WebhookResponse", status: 201 },
+  ],
+  [
+    "patch",
+    "/admin/webhooks/{id}",
+    ["admin"],
+    "Admin",
+    "Update a webhook",
+    { body: "WebhookUpdate", response: "WebhookResponse" },
+  ],
+  [
+    "delete",
+    "/admin/webhooks/{id}",
+    ["admin"],
+    "Admin",
+    "Remove a webhook",
+    { response: "WebhookResponse" },
+  ],
+  [
+    "post",
+    "/admin/webhooks/{id}/test",
+    ["admin"],
+    "Admin",
+    "Send a test event",
+    { response: "WebhookDeliveryResponse", status: 202 },
+  ],
+  [
+    "get",
+    "/admin/webhooks/deliveries",
+    ["admin"],
+    "Admin",
+    "Recent webhook deliveries",
+    { response: "WebhookDeliveryList" },
+  ],
+  [
+    "post",
+    "/admin/webhooks/deliveries/{id}/redeliver",
+    ["admin"],
+    "Admin",
+    "Redeliver",
+    { response: "WebhookDeliveryResponse", status: 202 },
+  ],
+  [
+    "get",
+    "/admin/auto-replies",
+    ["admin"],
+    "Admin",
+    "List auto-reply rules",
+    { response: "AutoReplyRuleList" },
+  ],
+  [
+    "post",
+    "/admin/auto-replies",
+    ["admin"],
+    "Admin",
+    "Create an auto-reply rule",
+    { body: "AutoReplyRule", response: "AutoReplyRuleResponse", status: 201 },
+  ],
+  [
+    "post",
+    "/admin/auto-replies/test",
+    ["admin"],
+    "Admin",
+    "Try a message against the rules",
+    { body: "AutoReplyTest", response: "AutoReplyMatch" },
+  ],
+  [
+    "get",
+    "/admin/auto-replies/{id}",
+    ["admin"],
+    "Admin",
+    "Get an auto-reply rule",
+    { response: "AutoReplyRuleResponse" },
+  ],
+  [
+    "put",
+    "/admin/auto-replies/{id}",
+    ["admin"],
+    "Admin",
+    "Update an auto-reply rule",
+    { body: "AutoReplyRule", response: "AutoReplyRuleResponse" },
+  ],
+  [
+    "delete",
+    "/admin/auto-replies/{id}",
+    ["admin"],
+    "Admin",
+    "Delete an auto-reply rule",
+    { response: "AutoReplyRuleResponse" },
+  ],
+  [
+    "get",
+    "/admin/suppressions",
+    ["admin"],
+    "Admin",
+    "Opted-out recipients",
+    { response: "SuppressionList" },
+  ],
+  [
+    "get",
+    "/admin/suppressions/export",
+    ["admin"],
+    "Admin",
+    "Export the suppression list",
+    { response: "SuppressionExport", media: "text/csv" },
+  ],
+  [
+    "get",
+    "/admin/suppressions/{number}",
+    ["admin"],
+    "Admin",
+    "Check whether a number opted out",
+    { response: "SuppressionLookup" },
+  ],
+  [
+    "post",
+    "/admin/suppressions",
+    ["admin"],
+    "Admin",
+    "Add a number to the suppression list",
+    { body: "SuppressionRequest", response: "SuppressionResponse", status: 201 },
+  ],
+  [
+    "delete",
+    "/admin/suppressions/{number}",
+    ["admin"],
+    "Admin",
+    "Remove a number from the list",
+    { response: "SuppressionResponse" },
+  ],
+];
+
+// The original send endpoints, kept for existing clients
+const legacyAlias = (path) => ({
+  post: {
+    ...sendPaths[path].post,
+    summary: `Legacy alias of POST ${API_PREFIX}${path}`,
+    deprecated: true,
+  },
+});
+
+const pathParameters = (path) =>
+  [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  }));
+
+// The pairing page behind a pairing link. The token in the path is its only
+// credential, so these need no API key.
+const pairingOperation = (summary, responses, requestBody) => ({
+  tags: ["Pairing"],
+  summary,
+  parameters: pathParameters("{token}"),
+  ...(requestBody && { requestBody }),
+  responses: {
+    ...responses,
+    404: errorResponse("Unknown or expired pairing link"),
+  },
+});
+
+// Switching a session to a pairing code or back to the QR code
+const pairingSwitch = (summary, requestBody) =>
+  pairingOperation(
+    summary,
+    {
+      202: { description: "Accepted", content: json(ref("PairingResponse")) },
+      ...(requestBody && { 400: errorResponse("Not the phone number of a WhatsApp account") }),
+      409: errorResponse("The session is busy or already linked"),
+    },
+    requestBody
+  );
+
+// Unversioned routes outside the API prefix
+const ROOT_PATHS = {
+  "/": {
+    get: {
+      tags: ["Service"],
+      summary: "Service info and every documented endpoint",
+      responses: { 200: { description: "Service info" } },
+    },
+  },
+  "/send-whatsapp": legacyAlias("/messages"),
+  "/send-template": legacyAlias("/messages/template"),
+  "/health": {
+    get: {
+      tags: ["Service"],
+      summary: "Health check for monitoring",
+      responses: { 200: { description: "The server is up" } },
+    },
+  },
+  "/openapi.json": {
+    get: {
+      tags: ["Service"],
+      summary: "This document",
+      responses: { 200: { description: "OpenAPI document" } },
+    },
+  },
+  "/docs": {
+    get: {
+      tags: ["Service"],
+      summary: "Interactive API documentation",
+      responses: { 200: { description: "HTML page" } },
+    },
+  },
+  "/pair/{token}": {
+    get: pairingOperation("Pairing page of a session", { 200: { description: "HTML page" } }),
+  },
+  "/pair/{token}/events": {
+    get: pairingOperation("Live pairing status", {
+      200: {
+        description: 'Server-Sent Events: "link", then "status" until "expired" or "deleted"',
+        content: { "text/event-stream": { schema: { type: "string" } } },
+      },
+    }),
+  },
+  "/pair/{token}/pairing-code": {
+    post: pairingSwitch("Link with a pairing code instead of the QR code", {
+      required: true,
+      content: json(ref("PairingCodeRequest")),
+    }),
+  },
+  "/pair/{token}/qr": {
+    post: pairingSwitch("Go back to linking with the QR code"),
+  },
+};
+
+const STATUS_DESCRIPTIONS = { 200: "Success", 201: "Created", 202: "Accepted" };
+
+const catalogOperation = ([, path, scopes, tag, summary, schemaNames]) => {
+  const { body, response, status = 200, media } = schemaNames;
+  return {
+    tags: [tag],
+    summary,
+    description: `Needs the ${scopes.map((scope) => `"${scope}"`).join(" or ")} scope`,
+    security: [{ apiKey: [] }],
+    parameters: pathParameters(path),
+    ...(body && {
+      requestBody: {
+        required: Boolean(schemas[body].required),
+        content: json(ref(body)),
+      },
+    }),
+    responses: {
+      [status]: {
+        description: STATUS_DESCRIPTIONS[status],
+        content: {
+          ...(media && { [media]: { schema: { type: "string" } } }),
+          ...(response && json(ref(response))),
+        },
+      },
+      ...(body && {
+        400: {
+          description: "The request failed validation",
+          content: json(ref("ValidationError")),
+        },
+      }),
+      401: errorResponse("Missing or invalid API key"),
+      403: errorResponse("Missing scope"),
+    },
+  };
+};
+
+// The OpenAPI 3.1 document for the API, with the request and response schemas
+// as components
+export const createOpenApiDocument = ({ version = "1.0.0" } = {}) => {
+  const paths = {};
+  Object.entries(sendPaths).forEach(([path, operations]) => {
+    paths[`${API_PREFIX}${path}`] = { ...operations };
+  });
+  ENDPOINTS.forEach((endpoint) => {
+    const [method, path] = endpoint;
+    const fullPath = `${API_PREFIX}${path}`;
+    paths[fullPath] = { ...paths[fullPath], [method]: catalogOperation(endpoint) };
+  });
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "WhatsApp Backend Service",
+      version,
+      description:
+        `The API lives under ${API_PREFIX}. The same routes without the prefix, and ` +
+        "POST /send-whatsapp and /send-template, remain as legacy aliases.",
+    },
+    paths: { ...paths, ...ROOT_PATHS },
+    components: {
+      schemas,
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+    },
+  };
+};
+
+// "METHOD /path" for every operation, e.g. for a 404 response
+export const listEndpoints = (document) =>
+  Object.entries(document.paths).flatMap(([path, operations]) =>
+    Object.keys(operations).map(
+      (method) => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ":$1")}`
+    )
+  );
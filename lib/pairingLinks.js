@@ -0,0 +1,51 @@
+import crypto from "crypto";
+
+// Short-lived links to a session's pairing page. A browser cannot send the
+// API key header when it opens a page or an EventSource, so an admin hands
+// out a link instead: its token only lets the holder watch and pair that
+// one session, and only until it expires. Links live in memory, so a
+// restart invalidates them.
+export const createPairingLinks = ({ ttlMs = 10 * 60 * 1000 }) => {
+  const links = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    links.forEach((link, token) => {
+      if (Date.parse(link.expiresAt) <= now) {
+        links.delete(token);
+      }
+    });
+  };
+
+  const create = (sessionId, { createdBy }) => {
+    prune();
+    const token = crypto.randomBytes(24).toString("base64url");
+    const link = {
+      sessionId,
+      createdBy,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    };
+    links.set(token, link);
+    return { token, ...link };
+  };
+
+  // The link for a token, or null when it is unknown or has expired
+  const resolve = (token) => {
+    const link = links.get(token);
+    if (!link || Date.parse(link.expiresAt) <= Date.now()) {
+      return null;
+    }
+    return link;
+  };
+
+  // Used when a session is deleted
+  const revokeSession = (sessionId) => {
+    links.forEach((link, token) => {
+      if (link.sessionId === sessionId) {
+        links.delete(token);
+      }
+    });
+  };
+
+  return { create, resolve, revokeSession };
+};
@@ -0,0 +1,57 @@
+import { parsePhoneNumberFromString } from "libphonenumber-js/max";
+
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+const USER_ID_PATTERN = /^(\d+)@c\.us$/;
+
+// Raised for input that cannot be a WhatsApp recipient
+export class PhoneNumberError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PhoneNumberError";
+  }
+}
+
+const parseValid = (input, region) => {
+  const parsed = parsePhoneNumberFromString(input, region);
+  return parsed && parsed.isValid() ? parsed : null;
+};
+
+// Resolve caller input to a WhatsApp chat id. Accepts E.164, national
+// numbers in defaultRegion (including trunk prefixes like "0987..."),
+// international numbers written without "+", explicit "@c.us" ids, and
+// group ids ("...@g.us").
+export const resolveRecipient = (input, { defaultRegion = "IN" } = {}) => {
+  const value = typeof input === "string" ? input.trim() : "";
+  if (!value) {
+    throw new PhoneNumberError("Phone number is required");
+  }
+
+  if (GROUP_ID_PATTERN.test(value)) {
+    return { type: "group", chatId: value, normalized: value };
+  }
+
+  const userId = USER_ID_PATTERN.exec(value);
+  const candidate = userId ? `+${userId[1]}` : value;
+
+  // Read the number in the default region first, then as an international
+  // number whose "+" was left off (e.g. "447911123456")
+  const digits = candidate.replace(/\D/g, "");
+  const parsed =
+    parseValid(candidate, defaultRegion) ||
+    (!candidate.startsWith("+") && digits.length > 0
+      ? parseValid(`+${digits}`)
+      : null);
+
+  if (!parsed) {
+    throw new PhoneNumberError(
+      `"${value}" is not a valid phone number (default region ${defaultRegion})`
+    );
+  }
+
+  return {
+    type: "user",
+    chatId: `${parsed.number.slice(1)}@c.us`,
+    normalized: parsed.number,
+    country: parsed.country,
+  };
+};
@@ -0,0 +1,71 @@
+// Masking of customer data before it reaches the logs
+
+export const REDACT_CATEGORIES = ["phone", "message"];
+
+// Fields that hold a phone number or chat id, masked wherever they appear
+const PHONE_FIELDS = ["number", "to", "from", "chatId", "normalizedNumber", "phone"];
+
+// Fields that hold message text
+const MESSAGE_FIELDS = ["message", "body", "caption", "text", "question"];
+
+// Runs of 7+ digits inside any other string (chat ids, paths, error
+// messages). Digits next to hex letters or hyphens belong to a UUID or hash,
+// as in jobId or batchId, and are left alone.
+const DIGIT_RUN_PATTERN = /(?<![\dA-Fa-f-])\+?\d{7,}(?![\dA-Fa-f-])/g;
+
+// Keep the last four digits so support can still tell numbers apart
+const maskDigits = (text) => text.replace(/\d(?=(?:\D*\d){4})/g, "*");
+
+// Parse LOG_REDACT ("phone,message" by default, "off" for none)
+export const parseRedactCategories = (value) => {
+  if (value === undefined || value === "") {
+    return REDACT_CATEGORIES;
+  }
+  if (value === "off" || value === "none") {
+    return [];
+  }
+  return value
+    .split(",")
+    .map((category) => category.trim())
+    .filter((category) => REDACT_CATEGORIES.includes(category));
+};
+
+// Returns a function that redacts one log field value. "fields" adds
+// names whose values are hidden like message text.
+export const createRedactor = ({ categories = REDACT_CATEGORIES, fields = [] } = {}) => {
+  const phone = categories.includes("phone");
+  const hiddenFields = new Set([
+    ...(categories.includes("message") ? MESSAGE_FIELDS : []),
+    ...fields,
+  ]);
+
+  const redactString = (text) =>
+    phone ? text.replace(DIGIT_RUN_PATTERN, (digits) => maskDigits(digits)) : text;
+
+  const redact = (key, value, depth = 0) => {
+    if (typeof value === "string") {
+      if (hiddenFields.has(key)) {
+        return `[redacted, ${value.length} chars]`;
+      }
+      return phone && PHONE_FIELDS.includes(key) ? maskDigits(value) : redactString(value);
+    }
+    if (depth > 8 || value === null || typeof value !== "object") {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(key, item, depth + 1));
+    }
+    if (value instanceof Error || value instanceof Date) {
+      return value;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, redact(name, item, depth + 1)])
+    );
+  };
+
+  return {
+    enabled: phone || hiddenFields.size > 0,
+    redact,
+    redactString,
+  };
+};
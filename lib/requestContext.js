@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Accept a caller's id only if it is safe to echo back and log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+// Correlation id of the request (or queued job) being handled, if any
+export const currentRequestId = () => storage.getStore()?.requestId;
+
+// Run fn with requestId as the current correlation id; everything it logs,
+// including after awaits and timers, carries the id
+export const runWithRequestId = (requestId, fn) => storage.run({ requestId }, fn);
+
+// Express middleware: reuse the caller's X-Request-Id or create one, and
+// return it on the response
+export const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  runWithRequestId(req.id, next);
+};
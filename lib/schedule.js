@@ -0,0 +1,143 @@
+// Helpers for turning a caller's "sendAt" into an absolute instant
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+// Raised for a sendAt/timezone combination we cannot schedule
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleError";
+  }
+}
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of timeZone from UTC, in milliseconds, at the given instant
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, value])
+  );
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - (timestamp - (timestamp % 1000));
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Day of week (0 = Sunday) and minutes since midnight in timeZone
+export const localTimeParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+  };
+};
+
+// Interpret a wall-clock time ("2024-05-01T09:00") in an IANA time zone.
+// The offset is looked up twice so times next to a DST change resolve to
+// the offset that is actually in effect at that moment.
+const zonedTimeToUtc = (match, timeZone) => {
+  const [, year, month, day, hour, minute, second = "0", millis = "0"] = match;
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millis.padEnd(3, "0")
+  );
+
+  const firstGuess = wallClock - zoneOffset(wallClock, timeZone);
+  return wallClock - zoneOffset(firstGuess, timeZone);
+};
+
+// Resolve sendAt to a Date. Strings with an explicit offset ("Z",
+// "+05:30") are absolute; otherwise the time is read in timeZone.
+export const parseSendAt = (sendAt, timeZone = "UTC") => {
+  if (typeof sendAt !== "string" || !sendAt.trim()) {
+    throw new ScheduleError('"sendAt" must be an ISO 8601 date-time string');
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new ScheduleError(`Unknown time zone "${timeZone}"`);
+  }
+
+  const value = sendAt.trim();
+  if (OFFSET_PATTERN.test(value)) {
+    const timestamp = Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+      throw new ScheduleError(`Invalid "sendAt" date-time: ${value}`);
+    }
+    return new Date(timestamp);
+  }
+
+  const match = LOCAL_PATTERN.exec(value);
+  if (!match) {
+    throw new ScheduleError(
+      `Invalid "sendAt" date-time: ${value} (expected e.g. 2024-05-01T09:00:00)`
+    );
+  }
+
+  return new Date(zonedTimeToUtc(match, timeZone));
+};
+
+// Parse and check that the time falls inside the allowed scheduling window
+export const resolveSchedule = (
+  sendAt,
+  timeZone,
+  { maxAheadMs = 365 * 24 * 60 * 60 * 1000, toleranceMs = 60 * 1000 } = {}
+) => {
+  const date = parseSendAt(sendAt, timeZone);
+  const now = Date.now();
+
+  if (date.getTime() < now - toleranceMs) {
+    throw new ScheduleError(`"sendAt" is in the past (${date.toISOString()})`);
+  }
+  if (date.getTime() > now + maxAheadMs) {
+    throw new ScheduleError(
+      `"sendAt" is too far in the future (max ${Math.round(
+        maxAheadMs / (24 * 60 * 60 * 1000)
+      )} days)`
+    );
+  }
+
+  return date;
+};
@@ -0,0 +1,1285 @@
+import { SCOPES } from "./apiKeys.js";
+import { INTERACTIVE_EXAMPLES, INTERACTIVE_TYPES, MESSAGE_TYPES } from "./interactive.js";
+import { SESSION_ID_PATTERN, SESSION_STATES } from "./sessions.js";
+import { TEMPLATE_ID_PATTERN } from "./templates.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+
+// JSON Schemas for the request and response bodies. The validator checks
+// requests against them and the OpenAPI document is built from them, so the
+// docs cannot drift from what the API accepts.
+
+const MAX_TEXT_LENGTH = 4096;
+
+const text = (maxLength, description) => ({
+  type: "string",
+  minLength: 1,
+  maxLength,
+  pattern: "\\S",
+  ...(description && { description }),
+});
+
+// Fields every send route accepts next to the message itself
+const sendFields = {
+  number: {
+    type: "string",
+    minLength: 1,
+    description:
+      "Recipient in international format (e.g. +919876543210). National numbers are " +
+      "read in the default region. A group id (...@g.us) is also accepted.",
+  },
+  group: {
+    type: "string",
+    minLength: 1,
+    description: 'Instead of "number": a group the account is in, by id or name',
+  },
+  sessionId: { type: "string", description: "Session to send from (default session if omitted)" },
+  sendAt: {
+    type: "string",
+    description:
+      'ISO 8601 date-time to send at. Without an offset it is read in "timezone".',
+  },
+  timezone: { type: "string", description: 'IANA time zone for "sendAt", e.g. Asia/Kolkata' },
+};
+
+const sendRequest = (properties, required, example) => ({
+  type: "object",
+  properties: { ...sendFields, ...properties },
+  required: ["number", ...required],
+  example: { number: "919876543210", ...example },
+});
+
+const textMessage = sendRequest(
+  {
+    type: { const: "text" },
+    message: text(MAX_TEXT_LENGTH, "Message text"),
+  },
+  ["message"],
+  { message: "Hello from backend 🚀" }
+);
+
+const mediaFields = {
+  type: { const: "media" },
+  message: false,
+  caption: { type: "string", maxLength: MAX_TEXT_LENGTH, description: "Shown under the file" },
+  asDocument: {
+    enum: [true, false, "true", "false"],
+    description: "Send as a document instead of a photo or video",
+  },
+};
+
+const mediaMessage = sendRequest(
+  {
+    ...mediaFields,
+    media: {
+      type: "object",
+      description: 'The file, as base64 "data" or a "url" to download it from',
+      properties: {
+        data: { type: "string", minLength: 1, description: "Base64 file contents" },
+        url: { type: "string", pattern: "^https?://", description: "http(s) URL of the file" },
+        mimetype: { type: "string" },
+        filename: { type: "string" },
+      },
+      oneOf: [{ required: ["data"] }, { required: ["url"] }],
+    },
+  },
+  ["media"],
+  {
+    caption: "Invoice #1042",
+    media: {
+      url: "https://shop.example.com/invoices/1042.pdf",
+      filename: "invoice-1042.pdf",
+    },
+  }
+);
+
+// The multipart form of a media send; the file itself is the "file" part
+const mediaUpload = sendRequest(
+  {
+    ...mediaFields,
+    file: { type: "string", format: "binary", description: "The file to send" },
+    filename: { type: "string", description: "Filename shown to the recipient" },
+  },
+  [],
+  { caption: "Invoice #1042" }
+);
+
+const optionalText = (maxLength) => ({ type: "string", maxLength, pattern: "\\S" });
+
+// Shapes of the typed messages; lib/interactive.js adds the rules a schema
+// cannot express (row totals, case-insensitive poll options)
+const interactiveSchemas = {
+  location: {
+    type: "object",
+    properties: {
+      latitude: { type: "number", minimum: -90, maximum: 90 },
+      longitude: { type: "number", minimum: -180, maximum: 180 },
+      name: optionalText(256),
+      address: optionalText(256),
+      url: { type: "string", pattern: "^https?://\\S+$" },
+    },
+    required: ["latitude", "longitude"],
+  },
+  contact: {
+    type: "object",
+    properties: {
+      name: text(256),
+      number: { type: "string", pattern: "^\\+?[\\d\\s().-]+$" },
+      organization: optionalText(256),
+      email: { type: "string", pattern: "^[^\\s@]+@[^\\s@]+$" },
+    },
+    required: ["name", "number"],
+  },
+  list: {
+    type: "object",
+    properties: {
+      body: text(4096),
+      buttonText: text(20),
+      title: optionalText(60),
+      footer: optionalText(60),
+      sections: {
+        type: "array",
+        minItems: 1,
+        maxItems: 10,
+        items: {
+          type: "object",
+          properties: {
+            title: optionalText(24),
+            rows: {
+              type: "array",
+              minItems: 1,
+              maxItems: 10,
+              items: {
+                type: "object",
+                properties: {
+                  id: optionalText(200),
+                  title: text(24),
+                  description: optionalText(72),
+                },
+                required: ["title"],
+              },
+            },
+          },
+          required: ["rows"],
+        },
+      },
+    },
+    required: ["body", "buttonText", "sections"],
+  },
+  buttons: {
+    type: "object",
+    properties: {
+      body: text(1024),
+      title: optionalText(60),
+      footer: optionalText(60),
+      options: {
+        type: "array",
+        minItems: 1,
+        maxItems: 3,
+        items: {
+          type: "object",
+          properties: { id: optionalText(256), text: text(20) },
+          required: ["text"],
+        },
+      },
+    },
+    required: ["body", "options"],
+  },
+  poll: {
+    type: "object",
+    properties: {
+      question: text(255),
+      options: { type: "array", minItems: 2, maxItems: 12, items: text(100) },
+      allowMultipleAnswers: { type: "boolean" },
+    },
+    required: ["question", "options"],
+  },
+};
+
+const interactiveMessage = (type) =>
+  sendRequest(
+    {
+      type: { const: type },
+      message: false,
+      [type]: interactiveSchemas[type],
+    },
+    ["type", type],
+    { type, [type]: INTERACTIVE_EXAMPLES[type] }
+  );
+
+const templateVariables = {
+  type: "object",
+  additionalProperties: { type: ["string", "number", "boolean"] },
+  description: "Values for the template's {{placeholders}}",
+};
+
+const templateMessage = sendRequest(
+  {
+    templateId: { type: "string", minLength: 1, description: "Id of a registered template" },
+    variables: templateVariables,
+    language: { type: "string", description: "Preferred template language, e.g. hi" },
+  },
+  ["templateId"],
+  {
+    templateId: "order-shipped",
+    variables: { customerName: "Asha", orderId: "1042" },
+    language: "hi",
+  }
+);
+
+// Bodies of the management endpoints. Their routers add the checks a
+// schema cannot express, such as configured limits or a regex that compiles.
+
+const httpUrl = (description) => ({
+  type: "string",
+  format: "uri",
+  pattern: "^https?://",
+  description,
+});
+
+const batchRequest = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    sessionId: sendFields.sessionId,
+    templateId: { type: "string", minLength: 1, description: "Template sent to everyone" },
+    message: {
+      type: "string",
+      maxLength: MAX_TEXT_LENGTH,
+      description: 'Text for recipients without their own "message"',
+    },
+    variables: templateVariables,
+    language: { type: "string", description: "Preferred template language, e.g. hi" },
+    intervalMs: {
+      type: "integer",
+      minimum: 1,
+      description: "Pause between recipients, in milliseconds",
+    },
+    recipients: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          number: { type: "string" },
+          message: { type: "string" },
+          variables: templateVariables,
+          language: { type: "string" },
+        },
+      },
+      description: "Numbers that fail to resolve are reported per recipient",
+    },
+  },
+  required: ["recipients"],
+  // A batch is either a template or a plain message
+  if: { required: ["templateId"] },
+  then: { properties: { message: false } },
+  example: {
+    name: "Diwali sale",
+    templateId: "sale-announcement",
+    variables: { discount: "20%" },
+    recipients: [
+      { number: "919876543210", variables: { customerName: "Asha" } },
+      { number: "919812345678", variables: { customerName: "Ravi" } },
+    ],
+  },
+};
+
+const templateFields = {
+  description: { type: "string" },
+  body: text(MAX_TEXT_LENGTH, "Default text, with {{placeholders}}"),
+  variants: {
+    type: "object",
+    propertyNames: { type: "string", pattern: "^[a-z]{2,3}(-[A-Za-z]{2,4})?$" },
+    additionalProperties: text(MAX_TEXT_LENGTH),
+    description: 'Text per language code, e.g. "hi" or "pt-BR"',
+  },
+};
+
+const templateExample = {
+  id: "order-shipped",
+  description: "Sent when an order leaves the warehouse",
+  body: "Hi {{customerName}}, order {{orderId}} is on its way!",
+  variants: {
+    hi: "नमस्ते {{customerName}}, आपका ऑर्डर {{orderId}} भेज दिया गया है!",
+  },
+};
+
+const templateRequest = {
+  type: "object",
+  properties: {
+    id: {
+      type: "string",
+      pattern: TEMPLATE_ID_PATTERN.source,
+      description: 'Lowercase letters, digits, "-" or "_" (max 64 characters)',
+    },
+    ...templateFields,
+  },
+  required: ["id", "body"],
+  example: templateExample,
+};
+
+const templateUpdate = {
+  type: "object",
+  properties: templateFields,
+  example: { body: templateExample.body },
+};
+
+const webhookFields = {
+  url: httpUrl("Where events are POSTed"),
+  events: {
+    type: "array",
+    minItems: 1,
+    items: { enum: ["*", ...WEBHOOK_EVENTS] },
+    description: 'Events to receive; "*" for all',
+  },
+  secret: {
+    type: "string",
+    minLength: 16,
+    description: "Signing secret; one is generated when omitted",
+  },
+  active: { type: "boolean" },
+  description: { type: "string" },
+};
+
+const webhookRequest = {
+  type: "object",
+  properties: webhookFields,
+  required: ["url"],
+  example: {
+    url: "https://shop.example.com/whatsapp/events",
+    events: ["ready", "disconnected", "qr"],
+  },
+};
+
+const webhookUpdate = {
+  type: "object",
+  properties: webhookFields,
+  example: { active: false },
+};
+
+const sendLimits = {
+  type: "object",
+  properties: {
+    perMinute: { type: "integer", minimum: 0, description: "Sends per minute (0 = unlimited)" },
+    perRecipient: {
+      type: "integer",
+      minimum: 0,
+      description: "Sends per recipient per window (0 = unlimited)",
+    },
+    quietHours: {
+      type: "string",
+      pattern: "^(off|([01]\\d|2[0-3]):[0-5]\\d-([01]\\d|2[0-3]):[0-5]\\d)$",
+      description: 'e.g. "22:00-08:00", or "off"',
+    },
+  },
+  description: "Overrides of the send governor defaults for this client",
+};
+
+const apiKeyRequest = {
+  type: "object",
+  properties: {
+    client: { type: "string", minLength: 1, description: "Name of the calling application" },
+    scopes: { type: "array", minItems: 1, items: { enum: SCOPES } },
+    rateLimit: { type: "integer", minimum: 1, description: "Requests per rate-limit window" },
+    sendLimits,
+  },
+  required: ["client", "scopes"],
+  example: { client: "storefront", scopes: ["send", "read-status"] },
+};
+
+const apiKeyRotation = {
+  type: "object",
+  properties: {
+    graceMs: {
+      type: "integer",
+      minimum: 0,
+      description: "How long the old key keeps working",
+    },
+  },
+  example: { graceMs: 3600000 },
+};
+
+const sendLimitsUpdate = {
+  type: "object",
+  properties: {
+    sendLimits: {
+      ...sendLimits,
+      type: ["object", "null"],
+      description: "null goes back to the defaults",
+    },
+  },
+  required: ["sendLimits"],
+  example: { sendLimits: { perMinute: 30, perRecipient: 3, quietHours: "21:00-09:00" } },
+};
+
+const timeOfDay = {
+  type: "string",
+  pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+  description: "HH:MM",
+};
+
+const autoReplyRule = {
+  type: "object",
+  properties: {
+    name: text(200),
+    enabled: { type: "boolean" },
+    priority: { type: "integer", description: "Lower runs first" },
+    cooldownMinutes: {
+      type: "number",
+      minimum: 0,
+      description: "Minimum time between replies to the same chat",
+    },
+    conditions: {
+      type: "object",
+      properties: {
+        keywords: { type: "array", minItems: 1, items: text(MAX_TEXT_LENGTH) },
+        regex: { type: "string", maxLength: 500 },
+        flags: { type: "string" },
+        timeWindow: {
+          type: "object",
+          properties: {
+            start: timeOfDay,
+            end: timeOfDay,
+            days: {
+              type: "array",
+              items: { type: "integer", minimum: 0, maximum: 6 },
+              description: "Weekdays, 0 = Sunday",
+            },
+            timezone: { type: "string" },
+            outside: { type: "boolean", description: "Match outside the window instead" },
+          },
+          required: ["start", "end"],
+        },
+      },
+      anyOf: [{ required: ["keywords"] }, { required: ["regex"] }, { required: ["timeWindow"] }],
+    },
+    action: {
+      type: "object",
+      properties: {
+        type: { enum: ["reply", "lookup"] },
+        message: text(MAX_TEXT_LENGTH),
+        url: httpUrl("Asked for the reply text"),
+        headers: { type: "object", additionalProperties: { type: "string" } },
+        fallbackMessage: text(MAX_TEXT_LENGTH),
+      },
+      required: ["type"],
+      allOf: [
+        {
+          if: { properties: { type: { const: "reply" } }, required: ["type"] },
+          then: { required: ["message"] },
+        },
+        {
+          if: { properties: { type: { const: "lookup" } }, required: ["type"] },
+          then: { required: ["url"] },
+        },
+      ],
+    },
+  },
+  required: ["name", "conditions", "action"],
+  example: {
+    name: "After hours",
+    priority: 10,
+    cooldownMinutes: 60,
+    conditions: {
+      timeWindow: {
+        days: [1, 2, 3, 4, 5],
+        start: "09:00",
+        end: "18:00",
+        timezone: "Asia/Kolkata",
+        outside: true,
+      },
+    },
+    action: {
+      type: "reply",
+      message: "Thanks {{name}}! We're closed right now and will reply after 9:00.",
+    },
+  },
+};
+
+const autoReplyTest = {
+  type: "object",
+  properties: { body: { type: "string", description: "Text of a customer message" } },
+  required: ["body"],
+  example: { body: "What are your opening hours?" },
+};
+
+const suppressionRequest = {
+  type: "object",
+  properties: {
+    number: { type: "string", minLength: 1 },
+    reason: { type: "string" },
+  },
+  required: ["number"],
+  example: { number: "+919876543210", reason: "Asked by phone not to be contacted" },
+};
+
+const participants = (minItems) => ({
+  type: "array",
+  minItems,
+  maxItems: 50,
+  items: { type: "string" },
+  description: "Phone numbers",
+});
+
+const groupRequest = {
+  type: "object",
+  properties: {
+    name: text(100),
+    participants: participants(0),
+    sessionId: sendFields.sessionId,
+  },
+  required: ["name"],
+  example: { name: "Warehouse alerts", participants: ["+919876543210"] },
+};
+
+const participantsRequest = {
+  type: "object",
+  properties: { participants: participants(1), sessionId: sendFields.sessionId },
+  required: ["participants"],
+  example: { participants: ["+919876543210"] },
+};
+
+const sessionRequest = {
+  type: "object",
+  properties: {
+    id: {
+      type: "string",
+      pattern: SESSION_ID_PATTERN.source,
+      description: 'Letters, digits, "-" or "_" (max 64 characters)',
+    },
+    label: { type: "string", description: "Shown next to the id in listings" },
+  },
+  required: ["id"],
+  example: { id: "shop-mumbai", label: "Mumbai store" },
+};
+
+const pairingCodeRequest = {
+  type: "object",
+  properties: {
+    number: {
+      type: "string",
+      minLength: 1,
+      description: "Phone number of the WhatsApp account to link, in international format",
+    },
+  },
+  required: ["number"],
+  example: { number: "+919876543210" },
+};
+
+const contactCheckRequest = {
+  type: "object",
+  properties: {
+    numbers: {
+      type: "array",
+      minItems: 1,
+      maxItems: 50,
+      items: { type: "string" },
+      description: "Numbers that cannot be read are reported per number",
+    },
+    sessionId: sendFields.sessionId,
+  },
+  required: ["numbers"],
+  example: { numbers: ["+919876543210", "09876543211"] },
+};
+
+const queuedMessage = {
+  type: "object",
+  properties: {
+    success: { const: true },
+    message: { type: "string" },
+    data: {
+      type: "object",
+      properties: {
+        jobId: { type: "string" },
+        status: { type: "string" },
+        sessionId: { type: "string" },
+        to: { type: "string" },
+        normalizedNumber: { type: "string" },
+        chatId: { type: "string" },
+        type: { enum: MESSAGE_TYPES },
+        media: {
+          type: "object",
+          properties: {
+            mimetype: { type: "string" },
+            filename: { type: "string" },
+            size: { type: "integer" },
+          },
+        },
+        template: {
+          type: "object",
+          properties: { id: { type: "string" }, language: { type: "string" } },
+        },
+        scheduledFor: { type: "string", format: "date-time" },
+        timezone: { type: "string" },
+        deferredUntil: {
+          type: "string",
+          format: "date-time",
+          description: "Set when quiet hours hold the message back",
+        },
+        statusUrl: { type: "string" },
+        timestamp: { type: "string", format: "date-time" },
+      },
+      required: ["jobId", "status", "sessionId", "to", "chatId", "type", "statusUrl", "timestamp"],
+    },
+  },
+  required: ["success", "message", "data"],
+};
+
+// Response bodies. The tests check real responses against them.
+
+const nullable = (type) => ({ type: [type, "null"] });
+
+const dateTime = { type: "string", format: "date-time" };
+
+const nullableDateTime = { type: ["string", "null"], format: "date-time" };
+
+const resource = (properties, required) => ({ type: "object", properties, required });
+
+// { success: true, data } around a resource or a list of them, plus any
+// fields the route sends next to "data"
+const dataResponse = (data, extra = {}) => ({
+  type: "object",
+  properties: { success: { const: true }, message: { type: "string" }, data, ...extra },
+  required: ["success", "data", ...Object.keys(extra)],
+});
+
+const listOf = (items) => ({ type: "array", items });
+
+const pagination = resource(
+  {
+    total: { type: "integer", minimum: 0 },
+    limit: { type: "integer", minimum: 1 },
+    offset: { type: "integer", minimum: 0 },
+  },
+  ["total", "limit", "offset"]
+);
+
+const queueStats = resource(
+  {
+    queued: { type: "integer" },
+    processing: { type: "integer" },
+    sent: { type: "integer" },
+    cancelled: { type: "integer" },
+    dead: { type: "integer" },
+  },
+  ["queued", "processing", "sent", "cancelled", "dead"]
+);
+
+const account = {
+  ...resource({ wid: { type: "string" }, pushname: nullable("string") }, ["wid"]),
+  type: ["object", "null"],
+};
+
+const session = resource(
+  {
+    id: { type: "string" },
+    label: nullable("string"),
+    status: { enum: ["Connected", "Connecting", "Stopped", "Disconnected"] },
+    state: { enum: SESSION_STATES },
+    stateChangedAt: nullableDateTime,
+    ready: { type: "boolean" },
+    initializing: { type: "boolean" },
+    qrAvailable: { type: "boolean" },
+    pairingCodeAvailable: { type: "boolean" },
+    account,
+    readyAt: nullableDateTime,
+    reconnect: resource(
+      {
+        attempts: { type: "integer" },
+        maxAttempts: { type: "integer" },
+        nextRetryAt: nullableDateTime,
+        circuitOpen: { type: "boolean" },
+      },
+      ["attempts", "maxAttempts", "nextRetryAt", "circuitOpen"]
+    ),
+    lastError: nullable("string"),
+    lastDisconnectReason: nullable("string"),
+    history: listOf(
+      resource(
+        {
+          from: { enum: SESSION_STATES },
+          to: { enum: SESSION_STATES },
+          at: dateTime,
+          reason: { type: "string" },
+        },
+        ["from", "to", "at"]
+      )
+    ),
+    createdAt: nullableDateTime,
+  },
+  ["id", "status", "state", "ready", "initializing", "reconnect", "history"]
+);
+
+const pairing = resource(
+  {
+    sessionId: { type: "string" },
+    label: nullable("string"),
+    state: { enum: SESSION_STATES },
+    status: session.properties.status,
+    method: { enum: ["qr", "code"] },
+    qr: { ...nullable("string"), description: "QR code as a data: URL" },
+    qrExpiresAt: nullableDateTime,
+    pairingCode: nullable("string"),
+    pairingCodeExpiresAt: nullableDateTime,
+    account,
+    lastError: nullable("string"),
+  },
+  ["sessionId", "state", "status", "method", "qr", "pairingCode", "account"]
+);
+
+const pairingLink = resource(
+  {
+    sessionId: { type: "string" },
+    url: {
+      type: "string",
+      format: "uri",
+      description: "Opens the pairing page; no API key needed",
+    },
+    expiresAt: dateTime,
+  },
+  ["sessionId", "url", "expiresAt"]
+);
+
+const queueJob = resource(
+  {
+    id: { type: "string" },
+    status: { enum: ["queued", "processing", "sent", "cancelled", "dead"] },
+    payload: { type: "object", description: "The message as it will be sent" },
+    client: { type: "string" },
+    sessionId: { type: "string" },
+    requestId: nullable("string"),
+    attempts: { type: "integer" },
+    lastError: nullable("string"),
+    lastErrorCode: nullable("string"),
+    result: { type: "object", properties: { messageId: { type: "string" } } },
+    scheduledFor: dateTime,
+    timezone: { type: "string" },
+    nextAttemptAt: dateTime,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+  ["id", "status", "payload", "sessionId", "attempts", "createdAt", "updatedAt"]
+);
+
+const batchRecipient = resource(
+  {
+    index: { type: "integer" },
+    number: { type: "string" },
+    status: { enum: ["invalid", "pending", "queued", "sent", "failed", "cancelled"] },
+    error: nullable("string"),
+    reason: { type: "string" },
+    jobId: { type: "string" },
+    messageId: { type: "string" },
+    completedAt: dateTime,
+  },
+  ["index", "status"]
+);
+
+const batch = resource(
+  {
+    id: { type: "string" },
+    name: { type: "string" },
+    client: { type: "string" },
+    sessionId: { type: "string" },
+    status: { enum: ["running", "paused", "completed", "cancelled"] },
+    intervalMs: { type: "integer" },
+    total: { type: "integer" },
+    counts: {
+      type: "object",
+      additionalProperties: { type: "integer" },
+      description: "Recipients per status",
+    },
+    createdAt: dateTime,
+    nextSendAt: nullableDateTime,
+    completedAt: dateTime,
+    statusUrl: { type: "string", description: "Only in the response to POST" },
+    recipients: {
+      ...listOf(batchRecipient),
+      description: 'Only for a single batch, filtered by "status"',
+    },
+  },
+  ["id", "status", "total", "counts", "createdAt"]
+);
+
+const template = resource(
+  {
+    ...templateFields,
+    id: { type: "string" },
+    variables: { type: "array", items: { type: "string" }, description: "Placeholder names" },
+    languages: { type: "array", items: { type: "string" } },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+  ["id", "body", "variables", "languages", "createdAt", "updatedAt"]
+);
+
+const webhook = resource(
+  {
+    id: { type: "string" },
+    ...webhookFields,
+    secret: {
+      type: "string",
+      description: "Only in the response to POST; signs every delivery",
+    },
+    createdAt: dateTime,
+  },
+  ["id", "url", "events", "active", "createdAt"]
+);
+
+const webhookDelivery = resource(
+  {
+    id: { type: "string" },
+    webhookId: { type: "string" },
+    event: { type: "string" },
+    data: { type: "object" },
+    status: { enum: ["pending", "succeeded", "failed"] },
+    attempts: { type: "integer" },
+    attemptLog: listOf(
+      resource(
+        {
+          at: dateTime,
+          statusCode: { type: "integer" },
+          durationMs: { type: "integer" },
+          error: { type: "string" },
+        },
+        ["at"]
+      )
+    ),
+    lastError: nullable("string"),
+    redeliveryOf: { type: "string", description: "The delivery this one repeats" },
+    createdAt: dateTime,
+    nextAttemptAt: nullableDateTime,
+    deliveredAt: dateTime,
+  },
+  ["id", "webhookId", "event", "status", "attempts", "attemptLog", "createdAt"]
+);
+
+const apiKey = resource(
+  {
+    id: { type: "string" },
+    client: { type: "string" },
+    scopes: { type: "array", items: { enum: SCOPES } },
+    rateLimit: { type: "integer" },
+    sendLimits: { ...sendLimits, type: ["object", "null"] },
+    active: { type: "boolean", description: "Only in listings" },
+    createdAt: dateTime,
+    expiresAt: dateTime,
+    revokedAt: dateTime,
+    rotatedFrom: { type: "string", description: "The key this one replaced" },
+    key: { type: "string", description: "Only when issued or rotated; shown once" },
+  },
+  ["id", "client", "scopes", "createdAt"]
+);
+
+const storedAutoReplyRule = resource(
+  {
+    id: { type: "string" },
+    ...autoReplyRule.properties,
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+  ["id", "name", "enabled", "priority", "conditions", "action", "createdAt", "updatedAt"]
+);
+
+const autoReplyMatch = resource(
+  {
+    matched: { type: "boolean" },
+    ruleId: { type: "string" },
+    name: { type: "string" },
+    groups: { type: "array", description: "Regex capture groups" },
+  },
+  ["matched"]
+);
+
+const suppression = resource(
+  {
+    chatId: { type: "string" },
+    number: { type: "string" },
+    optedOutAt: dateTime,
+    source: { type: "string", description: 'e.g. "keyword" or "admin"' },
+    keyword: { type: "string" },
+    reason: { type: "string" },
+    client: { type: "string" },
+  },
+  ["chatId", "number", "optedOutAt", "source"]
+);
+
+const suppressionEvent = resource(
+  {
+    action: { enum: ["opt_out", "opt_in"] },
+    chatId: { type: "string" },
+    number: { type: "string" },
+    source: { type: "string" },
+    at: dateTime,
+  },
+  ["action", "chatId", "at"]
+);
+
+const suppressionLookup = resource(
+  {
+    number: { type: "string" },
+    chatId: { type: "string" },
+    suppressed: { type: "boolean" },
+    entry: { ...suppression, type: ["object", "null"] },
+    history: listOf(suppressionEvent),
+  },
+  ["number", "chatId", "suppressed", "entry", "history"]
+);
+
+const historyEntry = resource(
+  {
+    id: { type: "string" },
+    direction: { enum: ["inbound", "outbound"] },
+    status: { type: "string" },
+    sessionId: { type: "string" },
+    chatId: { type: "string" },
+    messageId: { type: "string" },
+    type: { type: "string" },
+    body: { type: "string" },
+    client: { type: "string" },
+    attempts: { type: "integer" },
+    error: nullable("string"),
+    errorCode: nullable("string"),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+  ["id", "direction", "status", "chatId", "createdAt"]
+);
+
+const messageExport = resource(
+  {
+    exportedAt: dateTime,
+    filters: { type: "object" },
+    messages: listOf(historyEntry),
+  },
+  ["exportedAt", "filters", "messages"]
+);
+
+const suppressionExport = resource(
+  {
+    exportedAt: dateTime,
+    entries: listOf(suppression),
+    history: listOf(suppressionEvent),
+  },
+  ["exportedAt", "entries", "history"]
+);
+
+const messageStatus = resource(
+  {
+    messageId: { type: "string" },
+    jobId: { type: "string" },
+    sessionId: { type: "string" },
+    to: { type: "string" },
+    status: nullable("string"),
+    history: listOf(resource({ status: { type: "string" }, at: dateTime }, ["status", "at"])),
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  },
+  ["messageId", "status", "history", "createdAt"]
+);
+
+const incomingMessage = resource(
+  {
+    id: { type: "string" },
+    sessionId: { type: "string" },
+    from: { type: "string" },
+    name: nullable("string"),
+    type: { type: "string" },
+    body: { type: "string" },
+    hasMedia: { type: "boolean" },
+    timestamp: dateTime,
+    receivedAt: dateTime,
+  },
+  ["id", "sessionId", "from", "type", "receivedAt"]
+);
+
+const chatMessage = resource(
+  {
+    id: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    type: { type: "string" },
+    body: { type: "string" },
+    hasMedia: { type: "boolean" },
+    fromMe: { type: "boolean" },
+    ack: nullable("integer"),
+    timestamp: dateTime,
+  },
+  ["id", "type", "fromMe", "timestamp"]
+);
+
+const chat = resource(
+  {
+    id: { type: "string" },
+    name: nullable("string"),
+    isGroup: { type: "boolean" },
+    unreadCount: { type: "integer" },
+    archived: { type: "boolean" },
+    pinned: { type: "boolean" },
+    muted: { type: "boolean" },
+    timestamp: nullableDateTime,
+    lastMessage: { ...chatMessage, type: ["object", "null"] },
+  },
+  ["id", "name", "isGroup", "unreadCount"]
+);
+
+const contactCheck = resource(
+  {
+    input: {},
+    valid: { type: "boolean" },
+    number: { type: "string" },
+    chatId: { type: "string" },
+    registered: { type: "boolean" },
+    error: { type: "string", description: "Why the number could not be read" },
+  },
+  ["input", "valid"]
+);
+
+const contact = resource(
+  {
+    number: { type: "string" },
+    chatId: { type: "string" },
+    registered: { type: "boolean" },
+    name: nullable("string"),
+    pushname: nullable("string"),
+    isBusiness: nullable("boolean"),
+    isMyContact: nullable("boolean"),
+    isBlocked: nullable("boolean"),
+    profilePicUrl: nullable("string"),
+    fetchedAt: dateTime,
+  },
+  ["number", "chatId", "registered", "fetchedAt"]
+);
+
+const group = resource(
+  {
+    id: { type: "string" },
+    name: nullable("string"),
+    description: nullable("string"),
+    participantCount: { type: "integer" },
+    isAdmin: { type: "boolean", description: "Whether the linked account is a group admin" },
+    createdAt: nullableDateTime,
+    participants: {
+      ...listOf(
+        resource(
+          {
+            id: { type: "string" },
+            isAdmin: { type: "boolean" },
+            isSuperAdmin: { type: "boolean" },
+          },
+          ["id", "isAdmin"]
+        )
+      ),
+      description: "Only for a single group",
+    },
+  },
+  ["id", "name", "participantCount", "isAdmin"]
+);
+
+const participantResult = resource(
+  {
+    id: { type: "string" },
+    added: { type: "boolean" },
+    code: { type: "integer" },
+    message: { type: "string" },
+  },
+  ["id", "added"]
+);
+
+const createdGroup = resource(
+  { id: { type: "string" }, name: { type: "string" }, participants: listOf(participantResult) },
+  ["id", "name", "participants"]
+);
+
+const serviceStatus = resource(
+  {
+    success: { const: true },
+    whatsappConnected: { type: "boolean" },
+    clientInitializing: { type: "boolean" },
+    sessionId: { type: "string" },
+    connection: resource(
+      {
+        state: { enum: SESSION_STATES },
+        stateChangedAt: nullableDateTime,
+        reconnect: session.properties.reconnect,
+        history: session.properties.history,
+      },
+      ["state", "reconnect", "history"]
+    ),
+    sessions: listOf(session),
+    uptime: { type: "number" },
+    memory: { type: "object" },
+    queue: queueStats,
+    timestamp: dateTime,
+  },
+  ["success", "whatsappConnected", "sessionId", "connection", "sessions", "queue", "timestamp"]
+);
+
+const fetchedAt = { fetchedAt: dateTime };
+
+const responses = {
+  ServiceStatus: serviceStatus,
+  QueueStatsResponse: dataResponse(queueStats),
+  QueueJobResponse: dataResponse(queueJob),
+  QueueJobList: dataResponse(listOf(queueJob)),
+  SessionResponse: dataResponse(session),
+  SessionList: dataResponse(listOf(session)),
+  SessionStatus: dataResponse({
+    ...session,
+    properties: { ...session.properties, queue: queueStats },
+    required: [...session.required, "queue"],
+  }),
+  PairingResponse: dataResponse(pairing),
+  PairingLinkResponse: dataResponse(pairingLink),
+  BatchResponse: dataResponse(batch),
+  BatchList: dataResponse(listOf(batch)),
+  TemplateResponse: dataResponse(template),
+  TemplateList: dataResponse(listOf(template)),
+  WebhookResponse: dataResponse(webhook),
+  WebhookList: dataResponse(listOf(webhook)),
+  WebhookDeliveryResponse: dataResponse(webhookDelivery),
+  WebhookDeliveryList: dataResponse(listOf(webhookDelivery)),
+  ApiKeyResponse: dataResponse(apiKey),
+  ApiKeyList: dataResponse(listOf(apiKey)),
+  AutoReplyRuleResponse: dataResponse(storedAutoReplyRule),
+  AutoReplyRuleList: dataResponse(listOf(storedAutoReplyRule)),
+  AutoReplyMatch: dataResponse(autoReplyMatch),
+  SuppressionResponse: dataResponse(suppression),
+  SuppressionList: dataResponse(listOf(suppression)),
+  SuppressionLookup: dataResponse(suppressionLookup),
+  SuppressionExport: suppressionExport,
+  MessageHistoryPage: dataResponse(listOf(historyEntry), { pagination }),
+  MessageExport: messageExport,
+  MessageStatusResponse: dataResponse(messageStatus),
+  InboxPage: dataResponse(listOf(incomingMessage), { pagination }),
+  InboxMessageResponse: dataResponse(incomingMessage),
+  ContactCheckResponse: dataResponse(listOf(contactCheck), {
+    summary: resource(
+      {
+        total: { type: "integer" },
+        registered: { type: "integer" },
+        notRegistered: { type: "integer" },
+        invalid: { type: "integer" },
+      },
+      ["total", "registered", "notRegistered", "invalid"]
+    ),
+  }),
+  ContactResponse: dataResponse(contact),
+  ChatList: dataResponse(listOf(chat), { pagination, ...fetchedAt }),
+  ChatMessagesPage: dataResponse(listOf(chatMessage), {
+    pagination: resource(
+      {
+        limit: pagination.properties.limit,
+        offset: pagination.properties.offset,
+        hasMore: { type: "boolean" },
+      },
+      ["limit", "offset", "hasMore"]
+    ),
+    chatId: { type: "string" },
+    ...fetchedAt,
+  }),
+  GroupList: dataResponse(listOf(group), fetchedAt),
+  GroupResponse: dataResponse(group, fetchedAt),
+  CreatedGroupResponse: dataResponse(createdGroup),
+  ParticipantResults: dataResponse(listOf(participantResult), {
+    summary: resource({ added: { type: "integer" }, failed: { type: "integer" } }, [
+      "added",
+      "failed",
+    ]),
+  }),
+  ParticipantRemoved: dataResponse(
+    resource({ id: { type: "string" }, removed: { const: true } }, ["id", "removed"])
+  ),
+};
+
+const error = {
+  type: "object",
+  properties: {
+    success: { const: false },
+    error: { type: "string", description: "Human-readable description" },
+    code: { type: "string", description: 'Machine-readable error code, e.g. "batch_not_found"' },
+  },
+  required: ["success", "error", "code"],
+};
+
+const validationError = {
+  type: "object",
+  properties: {
+    success: { const: false },
+    error: { type: "string", description: "The first problem found" },
+    code: { const: "validation_failed" },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string", description: 'Path of the field, e.g. "poll.options"' },
+          code: {
+            enum: [
+              "required",
+              "invalid_type",
+              "invalid_value",
+              "invalid_format",
+              "too_short",
+              "too_long",
+              "out_of_range",
+              "not_allowed",
+            ],
+          },
+          message: { type: "string" },
+        },
+        required: ["field", "code", "message"],
+      },
+    },
+  },
+  required: ["success", "error", "code", "details"],
+};
+
+export const schemas = {
+  TextMessage: textMessage,
+  MediaMessage: mediaMessage,
+  MediaUpload: mediaUpload,
+  ...Object.fromEntries(
+    INTERACTIVE_TYPES.map((type) => [
+      `${type[0].toUpperCase()}${type.slice(1)}Message`,
+      interactiveMessage(type),
+    ])
+  ),
+  TemplateMessage: templateMessage,
+  BatchRequest: batchRequest,
+  TemplateRequest: templateRequest,
+  TemplateUpdate: templateUpdate,
+  WebhookRequest: webhookRequest,
+  WebhookUpdate: webhookUpdate,
+  ApiKeyRequest: apiKeyRequest,
+  ApiKeyRotation: apiKeyRotation,
+  SendLimitsUpdate: sendLimitsUpdate,
+  AutoReplyRule: autoReplyRule,
+  AutoReplyTest: autoReplyTest,
+  SuppressionRequest: suppressionRequest,
+  GroupRequest: groupRequest,
+  ParticipantsRequest: participantsRequest,
+  SessionRequest: sessionRequest,
+  PairingCodeRequest: pairingCodeRequest,
+  ContactCheckRequest: contactCheckRequest,
+  QueuedMessage: queuedMessage,
+  ...responses,
+  Error: error,
+  ValidationError: validationError,
+};
+
+// The schema a send request is checked against. "type" picks it; without
+// it the request is text, or media when a file or "media" object is present.
+export const sendSchemaName = (body, hasFile) => {
+  const { type } = body;
+  if (INTERACTIVE_TYPES.includes(type)) {
+    return `${type[0].toUpperCase()}${type.slice(1)}Message`;
+  }
+  if (hasFile) {
+    return "MediaUpload";
+  }
+  if (type === "media" || (type === undefined && body.media !== undefined)) {
+    return "MediaMessage";
+  }
+  return "TextMessage";
+};
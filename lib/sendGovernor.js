@@ -0,0 +1,170 @@
+import { localTimeParts } from "./schedule.js";
+
+const QUIET_HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// Parse "22:00-08:00" into minutes since midnight. "off" or an empty value
+// disables quiet hours; anything else unparseable returns undefined.
+export const parseQuietHours = (value) => {
+  if (value === undefined || value === null || value === "" || value === "off") {
+    return null;
+  }
+  const match = QUIET_HOURS_PATTERN.exec(value);
+  if (!match) {
+    return undefined;
+  }
+  const [, startHours, startMinutes, endHours, endMinutes] = match.map(Number);
+  return { start: startHours * 60 + startMinutes, end: endHours * 60 + endMinutes };
+};
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms).unref();
+  });
+
+// Keeps sending within limits that look human to WhatsApp and polite to
+// customers:
+// - admit() refuses API sends over the per-client or per-recipient caps
+// - pace() makes the queue worker respect the global per-minute cap and
+//   wait a random delay between messages
+// - isQuiet() holds a client's messages during quiet hours
+// Per-client overrides come from the API key's "sendLimits".
+export const createSendGovernor = ({
+  logger,
+  getClientLimits = () => null,
+  globalPerMinute = 20,
+  clientPerMinute = 0,
+  perRecipientLimit = 5,
+  perRecipientWindowMs = 60 * MINUTE_MS,
+  minDelayMs = 1000,
+  maxDelayMs = 4000,
+  quietHours = null,
+  timezone = "UTC",
+  exemptClients = [],
+  random = Math.random,
+}) => {
+  // Recent send times, oldest first
+  const globalSends = [];
+  const clientSends = new Map();
+  const recipientSends = new Map();
+  let lastSentAt = 0;
+
+  const recent = (times, windowMs, now) => {
+    while (times.length > 0 && times[0] <= now - windowMs) {
+      times.shift();
+    }
+    return times;
+  };
+
+  const timesFor = (map, key) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    return map.get(key);
+  };
+
+  // Drop keys with no recent sends so the maps do not grow forever
+  const sweep = (map, windowMs, now) => {
+    map.forEach((times, key) => {
+      if (recent(times, windowMs, now).length === 0) {
+        map.delete(key);
+      }
+    });
+  };
+
+  const limitsFor = (client, limits) => {
+    const overrides = limits || getClientLimits(client) || {};
+    return {
+      perMinute: overrides.perMinute ?? clientPerMinute,
+      perRecipient: overrides.perRecipient ?? perRecipientLimit,
+      quietHours:
+        overrides.quietHours !== undefined ? parseQuietHours(overrides.quietHours) : quietHours,
+    };
+  };
+
+  // Check an API send against the caps and count it when it is allowed.
+  // Returns null, or { code, error, retryAfterMs } when it must wait.
+  const admit = ({ client, chatId, limits }, now = Date.now()) => {
+    const { perMinute, perRecipient } = limitsFor(client, limits);
+    const clientTimes = recent(timesFor(clientSends, client), MINUTE_MS, now);
+    const recipientTimes = recent(timesFor(recipientSends, chatId), perRecipientWindowMs, now);
+
+    if (perMinute > 0 && clientTimes.length >= perMinute) {
+      return {
+        code: "client_rate_limited",
+        error: `Send limit reached for this API client (${perMinute} per minute)`,
+        retryAfterMs: clientTimes[clientTimes.length - perMinute] + MINUTE_MS - now,
+      };
+    }
+    if (perRecipient > 0 && recipientTimes.length >= perRecipient) {
+      return {
+        code: "recipient_rate_limited",
+        error: `Too many messages to this recipient (${perRecipient} per ${Math.round(
+          perRecipientWindowMs / MINUTE_MS
+        )} minutes)`,
+        retryAfterMs:
+          recipientTimes[recipientTimes.length - perRecipient] + perRecipientWindowMs - now,
+      };
+    }
+
+    clientTimes.push(now);
+    recipientTimes.push(now);
+    if (recipientSends.size > 10000) {
+      sweep(recipientSends, perRecipientWindowMs, now);
+    }
+    return null;
+  };
+
+  const minutesUntilQuietEnds = (client, now) => {
+    if (exemptClients.includes(client)) {
+      return 0;
+    }
+    const window = limitsFor(client).quietHours;
+    if (!window) {
+      return 0;
+    }
+
+    const { minutes } = localTimeParts(now, timezone);
+    const inside =
+      window.start <= window.end
+        ? minutes >= window.start && minutes < window.end
+        : minutes >= window.start || minutes < window.end;
+    return inside ? (window.end - minutes + DAY_MINUTES) % DAY_MINUTES : 0;
+  };
+
+  const isQuiet = (client, now = new Date()) => minutesUntilQuietEnds(client, now) > 0;
+
+  // When a client's quiet hours end, or null outside quiet hours
+  const quietUntil = (client, now = new Date()) => {
+    const minutes = minutesUntilQuietEnds(client, now);
+    if (minutes === 0) {
+      return null;
+    }
+    const startOfMinute = now.getTime() - (now.getTime() % MINUTE_MS);
+    return new Date(startOfMinute + minutes * MINUTE_MS);
+  };
+
+  // Wait until the next message may go out, then count it
+  const pace = async () => {
+    const now = Date.now();
+    recent(globalSends, MINUTE_MS, now);
+
+    const gap = minDelayMs + random() * Math.max(0, maxDelayMs - minDelayMs);
+    const waits = [lastSentAt + gap - now];
+    if (globalPerMinute > 0 && globalSends.length >= globalPerMinute) {
+      waits.push(globalSends[globalSends.length - globalPerMinute] + MINUTE_MS - now);
+    }
+
+    const waitMs = Math.max(0, ...waits);
+    if (waitMs > 0) {
+      logger.debug("⏳ Pacing outbound message", { waitMs: Math.round(waitMs) });
+      await sleep(waitMs);
+    }
+
+    lastSentAt = Date.now();
+    globalSends.push(lastSentAt);
+  };
+
+  return { admit, isQuiet, quietUntil, pace };
+};
@@ -0,0 +1,702 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import qrcode from "qrcode";
+import { createJsonStore } from "./jsonStore.js";
+
+// LocalAuth only accepts these characters in a clientId
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Connection states. "idle" is a stopped session; "failed" means the
+// circuit breaker gave up reconnecting.
+export const SESSION_STATES = [
+  "idle",
+  "initializing",
+  "awaiting_qr",
+  "awaiting_code",
+  "authenticated",
+  "ready",
+  "disconnected",
+  "failed",
+];
+
+const CONNECTING_STATES = ["initializing", "awaiting_qr", "awaiting_code", "authenticated"];
+
+// WhatsApp Web's first QR code is valid for about a minute and each
+// replacement for about 20 seconds. A pairing code is replaced every 3 minutes.
+const FIRST_QR_LIFETIME_MS = 60 * 1000;
+const QR_LIFETIME_MS = 20 * 1000;
+const PAIRING_CODE_LIFETIME_MS = 3 * 60 * 1000;
+
+// Raised for session operations that conflict with the current state;
+// "status" and "code" are what the API should answer with
+export class SessionError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = "SessionError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Runs several named WhatsApp clients side by side. Each session has its
+// own LocalAuth data, QR code and connection state machine. The list of
+// sessions is kept on disk so they come back after a restart.
+//
+// Failed connections are retried with exponential backoff and jitter.
+// After maxReconnectAttempts failures in a row the circuit opens and the
+// session moves to "failed"; one more attempt is made every
+// circuitResetMs (0 disables this) until it connects or an admin acts.
+// A watchdog treats initialize() as failed when it makes no progress
+// within initTimeoutMs.
+export const createSessionManager = ({
+  filePath,
+  defaultSessionId,
+  authDataPath,
+  createClient,
+  onEvent = () => {},
+  onStateChange = () => {},
+  logger,
+  reconnectBaseMs = 5000,
+  reconnectMaxMs = 5 * 60 * 1000,
+  maxReconnectAttempts = 10,
+  initTimeoutMs = 2 * 60 * 1000,
+  circuitResetMs = 15 * 60 * 1000,
+  historySize = 50,
+}) => {
+  const store = createJsonStore(filePath, { sessions: [] });
+  const state = store.read();
+  state.sessions = state.sessions || [];
+
+  const persist = () => store.write(state);
+
+  if (!state.sessions.some((entry) => entry.id === defaultSessionId)) {
+    state.sessions.unshift({
+      id: defaultSessionId,
+      label: "Default",
+      autoStart: true,
+      createdAt: new Date().toISOString(),
+    });
+    persist();
+  }
+
+  const sessions = new Map();
+
+  // Pairing status changes, by session id, for live pairing pages
+  const changes = new EventEmitter();
+  changes.setMaxListeners(0);
+
+  const register = (entry) => {
+    const session = {
+      ...entry,
+      client: null,
+      state: "idle",
+      stateChangedAt: new Date().toISOString(),
+      history: [],
+      ready: false,
+      initializing: false,
+      attempts: 0,
+      nextRetryAt: null,
+      retryTimer: null,
+      watchdogTimer: null,
+      qrCodeDataUrl: null,
+      qrGeneratedAt: null,
+      qrExpiresAt: null,
+      pairingNumber: null,
+      pairingCode: null,
+      pairingCodeExpiresAt: null,
+      account: null,
+      readyAt: null,
+      lastError: null,
+      lastDisconnectReason: null,
+      busy: false,
+    };
+    sessions.set(entry.id, session);
+    return session;
+  };
+
+  state.sessions.forEach(register);
+
+  const updateEntry = (id, changes) => {
+    const entry = state.sessions.find((candidate) => candidate.id === id);
+    if (entry) {
+      Object.assign(entry, changes);
+      persist();
+    }
+  };
+
+  const get = (id) => sessions.get(id) || null;
+
+  const mustGet = (id) => {
+    const session = get(id);
+    if (!session) {
+      throw new SessionError(`Session "${id}" not found`, 404, "session_not_found");
+    }
+    return session;
+  };
+
+  const transition = (session, to, reason) => {
+    const from = session.state;
+    if (from === to) {
+      return;
+    }
+
+    const at = new Date().toISOString();
+    session.state = to;
+    session.stateChangedAt = at;
+    session.ready = to === "ready";
+    session.initializing = CONNECTING_STATES.includes(to);
+    session.history.push({ from, to, at, reason });
+    if (session.history.length > historySize) {
+      session.history.splice(0, session.history.length - historySize);
+    }
+
+    logger.info("🔀 Session state changed", { sessionId: session.id, from, to, reason });
+    onStateChange(session, from, to, reason);
+    notify(session);
+  };
+
+  const statusOf = (session) =>
+    session.ready
+      ? "Connected"
+      : session.initializing
+      ? "Connecting"
+      : session.state === "idle"
+      ? "Stopped"
+      : "Disconnected";
+
+  const summary = (session) => ({
+    id: session.id,
+    label: session.label,
+    status: statusOf(session),
+    state: session.state,
+    stateChangedAt: session.stateChangedAt,
+    ready: session.ready,
+    initializing: session.initializing,
+    qrAvailable: Boolean(session.qrCodeDataUrl),
+    pairingCodeAvailable: Boolean(session.pairingCode),
+    account: session.account,
+    readyAt: session.readyAt,
+    reconnect: {
+      attempts: session.attempts,
+      maxAttempts: maxReconnectAttempts,
+      nextRetryAt: session.nextRetryAt,
+      circuitOpen: session.state === "failed",
+    },
+    lastError: session.lastError,
+    lastDisconnectReason: session.lastDisconnectReason,
+    history: session.history,
+    createdAt: session.createdAt,
+  });
+
+  const list = () => [...sessions.values()].map(summary);
+
+  // What a pairing page needs to show: the current QR code or pairing code
+  // and when it expires, or the linked account once connected
+  const pairingStatus = (session) => ({
+    sessionId: session.id,
+    label: session.label,
+    state: session.state,
+    status: statusOf(session),
+    method: session.pairingNumber ? "code" : "qr",
+    qr: session.qrCodeDataUrl,
+    qrExpiresAt: session.qrExpiresAt,
+    pairingCode: session.pairingCode,
+    pairingCodeExpiresAt: session.pairingCodeExpiresAt,
+    account: session.ready ? session.account : null,
+    lastError: session.lastError,
+  });
+
+  const notify = (session) => changes.emit(session.id, pairingStatus(session));
+
+  const clearPairing = (session) => {
+    session.qrCodeDataUrl = null;
+    session.qrGeneratedAt = null;
+    session.qrExpiresAt = null;
+    session.pairingCode = null;
+    session.pairingCodeExpiresAt = null;
+  };
+
+  const clearTimers = (session) => {
+    clearTimeout(session.retryTimer);
+    clearTimeout(session.watchdogTimer);
+    session.retryTimer = null;
+    session.watchdogTimer = null;
+    session.nextRetryAt = null;
+  };
+
+  const armWatchdog = (session, client) => {
+    clearTimeout(session.watchdogTimer);
+    session.watchdogTimer = setTimeout(() => {
+      session.watchdogTimer = null;
+      if (session.client === client) {
+        fail(session, `No progress from ${session.state} within ${initTimeoutMs} ms`);
+      }
+    }, initTimeoutMs);
+    session.watchdogTimer.unref();
+  };
+
+  // Detach the current client and close its browser in the background
+  const discardClient = (session) => {
+    const { client } = session;
+    session.client = null;
+    clearPairing(session);
+    if (client) {
+      client.destroy().catch((error) => {
+        logger.warn("Error destroying stale WhatsApp client", {
+          sessionId: session.id,
+          error: error.message,
+        });
+      });
+    }
+  };
+
+  // Exponential backoff with "equal jitter": half the delay is fixed and
+  // half random, so sessions that drop together do not retry in lockstep
+  const backoffDelay = (attempt) => {
+    const delay = Math.min(reconnectMaxMs, reconnectBaseMs * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  };
+
+  const scheduleRetry = (session) => {
+    clearTimers(session);
+
+    if (session.attempts >= maxReconnectAttempts) {
+      transition(session, "failed", `Gave up after ${session.attempts} reconnect attempts`);
+      logger.error("⛔ Session reconnect circuit opened", {
+        sessionId: session.id,
+        attempts: session.attempts,
+      });
+      onEvent("connection_failed", session, {
+        attempts: session.attempts,
+        error: session.lastError,
+      });
+
+      if (circuitResetMs > 0) {
+        session.nextRetryAt = new Date(Date.now() + circuitResetMs).toISOString();
+        session.retryTimer = setTimeout(() => {
+          session.retryTimer = null;
+          session.nextRetryAt = null;
+          initialize(session, "Circuit half-open retry");
+        }, circuitResetMs);
+      }
+      return;
+    }
+
+    session.attempts += 1;
+    const delay = backoffDelay(session.attempts);
+    session.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    logger.info("🔄 Reconnect scheduled", {
+      sessionId: session.id,
+      attempt: session.attempts,
+      delayMs: delay,
+    });
+
+    session.retryTimer = setTimeout(() => {
+      session.retryTimer = null;
+      session.nextRetryAt = null;
+      initialize(session, `Reconnect attempt ${session.attempts}`);
+    }, delay);
+  };
+
+  // Any failed connection: drop the client and retry with backoff
+  const fail = (session, reason) => {
+    session.lastError = reason;
+    transition(session, "disconnected", reason);
+    discardClient(session);
+    scheduleRetry(session);
+  };
+
+  // Where LocalAuth keeps the browser profile for a session
+  const authDir = (id) => path.join(authDataPath, `session-${id}`);
+
+  const clearAuthData = async (session) => {
+    await fs.promises.rm(authDir(session.id), { recursive: true, force: true });
+    session.account = null;
+    session.readyAt = null;
+    logger.info("🧹 Stored WhatsApp login cleared", { sessionId: session.id });
+  };
+
+  const initialize = (session, reason) => {
+    if (session.client && CONNECTING_STATES.includes(session.state)) {
+      logger.warn("WhatsApp client initialization already in progress", {
+        sessionId: session.id,
+      });
+      return;
+    }
+
+    clearTimers(session);
+    transition(session, "initializing", reason);
+    logger.info("🚀 Initializing WhatsApp client...", { sessionId: session.id });
+
+    const client = createClient(session, { pairingNumber: session.pairingNumber });
+    session.client = client;
+    armWatchdog(session, client);
+    let qrCount = 0;
+
+    // Events from a client that was since stopped or replaced are ignored
+    const current = () => session.client === client;
+
+    // QR Code generation. Waiting for a scan is not a stall, so the
+    // watchdog is paused until the phone links.
+    client.on("qr", (qr) => {
+      if (!current()) {
+        return;
+      }
+      logger.info("📱 QR Code generated for WhatsApp login", { sessionId: session.id });
+      clearTimeout(session.watchdogTimer);
+      transition(session, "awaiting_qr", "QR code issued");
+      qrCount += 1;
+      const lifetimeMs = qrCount === 1 ? FIRST_QR_LIFETIME_MS : QR_LIFETIME_MS;
+      qrcode.toDataURL(qr, (err, url) => {
+        if (err) {
+          logger.error("Failed to generate QR code data URL", {
+            sessionId: session.id,
+            error: err,
+          });
+          return;
+        }
+        if (current()) {
+          session.qrCodeDataUrl = url;
+          session.qrGeneratedAt = new Date().toISOString();
+          session.qrExpiresAt = new Date(Date.now() + lifetimeMs).toISOString();
+          notify(session);
+        }
+      });
+      onEvent("qr", session, { qr });
+    });
+
+    // Pairing code, when linking by phone number instead of a QR scan
+    client.on("code", (code) => {
+      if (!current()) {
+        return;
+      }
+      logger.info("🔢 Pairing code generated for WhatsApp login", { sessionId: session.id });
+      clearTimeout(session.watchdogTimer);
+      session.pairingCode = code;
+      session.pairingCodeExpiresAt = new Date(Date.now() + PAIRING_CODE_LIFETIME_MS).toISOString();
+      // A replacement code does not change the state, so announce it directly
+      if (session.state === "awaiting_code") {
+        notify(session);
+      } else {
+        transition(session, "awaiting_code", "Pairing code issued");
+      }
+      onEvent("pairing_code", session, { code, phoneNumber: session.pairingNumber });
+    });
+
+    // Authentication events
+    client.on("authenticated", () => {
+      if (!current()) {
+        return;
+      }
+      logger.info("✅ WhatsApp authenticated successfully", { sessionId: session.id });
+      clearPairing(session);
+      transition(session, "authenticated", "Login accepted");
+      armWatchdog(session, client);
+      onEvent("authenticated", session);
+    });
+
+    // A rejected login will not recover by itself: wipe it so the next
+    // attempt shows a fresh QR code
+    client.on("auth_failure", (msg) => {
+      if (!current()) {
+        return;
+      }
+      logger.error("❌ WhatsApp authentication failed", {
+        sessionId: session.id,
+        error: msg,
+      });
+      onEvent("auth_failure", session, { message: msg });
+      fail(session, `Authentication failed: ${msg}`);
+      clearAuthData(session).catch((error) => {
+        logger.error("Failed to clear stored WhatsApp login", {
+          sessionId: session.id,
+          error: error.message,
+        });
+      });
+    });
+
+    // Ready event
+    client.on("ready", () => {
+      if (!current()) {
+        return;
+      }
+      logger.info("🎉 WhatsApp client is ready", { sessionId: session.id });
+      clearTimers(session);
+      session.attempts = 0;
+      clearPairing(session);
+      session.pairingNumber = null;
+      session.readyAt = new Date().toISOString();
+      session.lastError = null;
+      session.account = client.account();
+      transition(session, "ready", "Client ready");
+      onEvent("ready", session, session.account);
+    });
+
+    // Disconnection handling
+    client.on("disconnected", (reason) => {
+      if (!current()) {
+        return;
+      }
+      logger.warn("📴 WhatsApp client disconnected", { sessionId: session.id, reason });
+      session.lastDisconnectReason = reason;
+      onEvent("disconnected", session, { reason });
+      fail(session, `Disconnected: ${reason}`);
+    });
+
+    // Error handling
+    client.on("error", (error) => {
+      if (!current()) {
+        return;
+      }
+      logger.error("💥 WhatsApp client error", {
+        sessionId: session.id,
+        error: error.message,
+        stack: error.stack,
+      });
+      session.lastError = error.message;
+    });
+
+    // Initialize the client
+    client.initialize().catch((error) => {
+      if (!current()) {
+        return;
+      }
+      logger.error("Failed to initialize WhatsApp client", {
+        sessionId: session.id,
+        error: error.message,
+      });
+      fail(session, `Initialization failed: ${error.message}`);
+    });
+  };
+
+  // Detach and destroy the running client and move to "idle". With logout
+  // the device is also unlinked on the phone.
+  const shutdown = async (session, { logout = false, reason = "Stopped" } = {}) => {
+    clearTimers(session);
+
+    const { client, ready } = session;
+    session.client = null;
+    clearPairing(session);
+    transition(session, "idle", reason);
+
+    if (!client) {
+      return;
+    }
+
+    if (logout && ready) {
+      try {
+        await client.logout();
+        logger.info("👋 WhatsApp session logged out", { sessionId: session.id });
+      } catch (error) {
+        logger.error("Error logging out WhatsApp client", {
+          sessionId: session.id,
+          error: error.message,
+        });
+      }
+    }
+
+    try {
+      await client.destroy();
+      logger.info("WhatsApp client destroyed successfully", { sessionId: session.id });
+    } catch (error) {
+      logger.error("Error destroying WhatsApp client", {
+        sessionId: session.id,
+        error: error.message,
+      });
+    }
+  };
+
+  // Admin actions run one at a time per session
+  const exclusive = async (id, action) => {
+    const session = mustGet(id);
+    if (session.busy) {
+      throw new SessionError(
+        `Session "${id}" is busy with another action`,
+        409,
+        "session_busy"
+      );
+    }
+
+    session.busy = true;
+    try {
+      await action(session);
+      return summary(session);
+    } finally {
+      session.busy = false;
+    }
+  };
+
+  // Begin a fresh connection with a full reconnect budget
+  const begin = (session, reason) => {
+    session.attempts = 0;
+    updateEntry(session.id, { autoStart: true });
+    initialize(session, reason);
+  };
+
+  // Start a stopped session, or one that is waiting to reconnect or whose
+  // circuit breaker has opened
+  const start = (id) =>
+    exclusive(id, async (session) => {
+      if (session.ready || session.initializing) {
+        throw new SessionError(
+          `Session "${id}" is already running`,
+          409,
+          "session_already_running"
+        );
+      }
+      await shutdown(session, { reason: "Starting" });
+      begin(session, "Started by admin");
+    });
+
+  // Destroy the browser but keep the LocalAuth data, so a later start
+  // reconnects without a new QR scan
+  const stop = (id) =>
+    exclusive(id, async (session) => {
+      updateEntry(id, { autoStart: false });
+      await shutdown(session, { reason: "Stopped by admin" });
+    });
+
+  // Destroy and start again with the same login
+  const restart = (id) =>
+    exclusive(id, async (session) => {
+      await shutdown(session, { reason: "Restarting" });
+      begin(session, "Restarted by admin");
+    });
+
+  // Unlink the device and leave the session stopped
+  const logout = (id) =>
+    exclusive(id, async (session) => {
+      updateEntry(id, { autoStart: false });
+      await shutdown(session, { logout: true, reason: "Logged out by admin" });
+      await clearAuthData(session);
+    });
+
+  // Remove the stored login of a stopped session
+  const clearAuth = (id) =>
+    exclusive(id, async (session) => {
+      if (session.state !== "idle") {
+        throw new SessionError(
+          `Stop session "${id}" before clearing its login`,
+          409,
+          "session_running"
+        );
+      }
+      await clearAuthData(session);
+    });
+
+  // Log out, wipe the stored login and start again so a fresh QR is shown
+  const repair = (id) =>
+    exclusive(id, async (session) => {
+      await shutdown(session, { logout: true, reason: "Re-pairing" });
+      await clearAuthData(session);
+      begin(session, "Re-pair requested by admin");
+    });
+
+  // Link the phone with a pairing code sent to phoneNumber (digits with
+  // country code) instead of a QR code, or go back to the QR code when
+  // phoneNumber is null. The client is restarted in the chosen mode.
+  const pairWith = (id, { phoneNumber = null } = {}) =>
+    exclusive(id, async (session) => {
+      if (session.ready || session.state === "authenticated") {
+        throw new SessionError(
+          `Session "${id}" is already linked`,
+          409,
+          "session_already_linked"
+        );
+      }
+      await shutdown(session, {
+        reason: phoneNumber ? "Switching to pairing code" : "Switching to QR code",
+      });
+      session.pairingNumber = phoneNumber;
+      begin(session, phoneNumber ? "Pairing code requested" : "QR code requested");
+    });
+
+  // Follow a session's pairing status. The listener gets the current status
+  // straight away, then every change, and null if the session is deleted.
+  // Returns a function that unsubscribes.
+  const subscribe = (id, listener) => {
+    const session = mustGet(id);
+    changes.on(id, listener);
+    listener(pairingStatus(session));
+    return () => changes.off(id, listener);
+  };
+
+  const create = ({ id, label }) => {
+    if (sessions.has(id)) {
+      throw new SessionError(`Session "${id}" already exists`, 409, "session_exists");
+    }
+
+    const entry = { id, label, autoStart: true, createdAt: new Date().toISOString() };
+    state.sessions.push(entry);
+    persist();
+    logger.info("🆕 WhatsApp session created", { sessionId: id });
+
+    const session = register(entry);
+    initialize(session, "Session created");
+    return summary(session);
+  };
+
+  const remove = async (id) => {
+    if (id === defaultSessionId) {
+      throw new SessionError(
+        "The default session cannot be deleted",
+        409,
+        "default_session_protected"
+      );
+    }
+
+    const removed = await exclusive(id, async (session) => {
+      await shutdown(session, { logout: true, reason: "Deleted" });
+      await clearAuthData(session);
+    });
+    sessions.delete(id);
+    state.sessions = state.sessions.filter((entry) => entry.id !== id);
+    persist();
+    logger.info("🗑️ WhatsApp session deleted", { sessionId: id });
+    changes.emit(id, null);
+    changes.removeAllListeners(id);
+
+    return removed;
+  };
+
+  const getClient = (id) => get(id)?.client || null;
+
+  const isReady = (id) => Boolean(get(id)?.ready);
+
+  // Start every session that was running when the service last stopped
+  const startAll = () => {
+    state.sessions
+      .filter((entry) => entry.autoStart !== false)
+      .forEach((entry) => initialize(sessions.get(entry.id), "Service started"));
+  };
+
+  const stopAll = () =>
+    Promise.all(
+      [...sessions.values()].map((session) =>
+        shutdown(session, { reason: "Service shutting down" })
+      )
+    );
+
+  return {
+    defaultSessionId,
+    get,
+    list,
+    summary: (id) => summary(mustGet(id)),
+    pairing: (id) => pairingStatus(mustGet(id)),
+    create,
+    start,
+    stop,
+    restart,
+    logout,
+    clearAuth,
+    repair,
+    pairWith,
+    subscribe,
+    remove,
+    getClient,
+    isReady,
+    startAll,
+    stopAll,
+  };
+};
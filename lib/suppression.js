@@ -0,0 +1,113 @@
+import { toCsv as writeCsv } from "./csv.js";
+import { createJsonStore } from "./jsonStore.js";
+
+// Words like CANCEL are left out: customers use them about an order, and
+// our own buttons may carry them
+export const DEFAULT_OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "QUIT"];
+export const DEFAULT_OPT_IN_KEYWORDS = ["START", "UNSTOP", "SUBSCRIBE"];
+
+// Error code used wherever a send is refused because of the suppression list
+export const OPTED_OUT_CODE = "recipient_opted_out";
+
+// Taps on buttons and list rows we sent. Their text is our own label, not
+// something the customer typed, so it is never read as a keyword.
+const REPLY_MESSAGE_TYPES = ["buttons_response", "list_response", "template_button_reply"];
+
+const CSV_COLUMNS = ["number", "chatId", "optedOutAt", "source", "keyword", "reason", "client"];
+
+export const toCsv = (entries) => writeCsv(CSV_COLUMNS, entries);
+
+// Recipients who asked not to be messaged. Entries are keyed by chat id;
+// every opt-out and opt-in is also kept in an audit history.
+export const createSuppressionList = ({
+  filePath,
+  logger,
+  optOutKeywords = DEFAULT_OPT_OUT_KEYWORDS,
+  optInKeywords = DEFAULT_OPT_IN_KEYWORDS,
+  maxHistory = 50000,
+}) => {
+  const store = createJsonStore(filePath, { entries: {}, history: [] });
+  const state = store.read();
+  state.entries = state.entries || {};
+  state.history = state.history || [];
+
+  const optOut = new Set(optOutKeywords.map((keyword) => keyword.toUpperCase()));
+  const optIn = new Set(optInKeywords.map((keyword) => keyword.toUpperCase()));
+
+  const persist = () => store.write(state);
+
+  const audit = (action, entry) => {
+    state.history.push({ action, ...entry, at: new Date().toISOString() });
+    if (state.history.length > maxHistory) {
+      state.history.splice(0, state.history.length - maxHistory);
+    }
+  };
+
+  const has = (chatId) => Boolean(state.entries[chatId]);
+
+  const get = (chatId) => state.entries[chatId] || null;
+
+  // Oldest opt-out first
+  const list = () =>
+    Object.values(state.entries).sort((a, b) => a.optedOutAt.localeCompare(b.optedOutAt));
+
+  const history = ({ chatId } = {}) =>
+    chatId ? state.history.filter((event) => event.chatId === chatId) : [...state.history];
+
+  const add = ({ chatId, number, source, keyword, reason, client }) => {
+    if (state.entries[chatId]) {
+      return { entry: state.entries[chatId], created: false };
+    }
+
+    const entry = {
+      chatId,
+      number,
+      optedOutAt: new Date().toISOString(),
+      source,
+      keyword,
+      reason,
+      client,
+    };
+    state.entries[chatId] = entry;
+    audit("opt_out", { chatId, number, source, keyword, reason, client });
+    persist();
+    logger.info("🚫 Recipient opted out", { chatId, source, keyword, client });
+
+    return { entry, created: true };
+  };
+
+  const remove = (chatId, { source, keyword, client } = {}) => {
+    const entry = state.entries[chatId];
+    if (!entry) {
+      return null;
+    }
+
+    delete state.entries[chatId];
+    audit("opt_in", { chatId, number: entry.number, source, keyword, client });
+    persist();
+    logger.info("✅ Recipient opted back in", { chatId, source, keyword, client });
+
+    return entry;
+  };
+
+  // Apply an incoming message. Returns "opt_out" or "opt_in" when the
+  // message was a keyword, null otherwise.
+  const handleIncoming = ({ chatId, number, body, type }) => {
+    if (REPLY_MESSAGE_TYPES.includes(type)) {
+      return null;
+    }
+    const keyword = (body || "").trim().toUpperCase();
+
+    if (optOut.has(keyword)) {
+      add({ chatId, number, source: "keyword", keyword });
+      return "opt_out";
+    }
+    if (optIn.has(keyword)) {
+      remove(chatId, { source: "keyword", keyword });
+      return "opt_in";
+    }
+    return null;
+  };
+
+  return { has, get, list, history, add, remove, handleIncoming };
+};
@@ -0,0 +1,122 @@
+import { createJsonStore } from "./jsonStore.js";
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+export const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Raised when a template cannot be rendered; "missing" lists the variables
+// the caller did not supply.
+export class TemplateError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = "TemplateError";
+    this.missing = missing;
+  }
+}
+
+export const extractVariables = (text) => [
+  ...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1])),
+];
+
+// Every variable used by the default body or any language variant
+const templateVariables = (template) => [
+  ...new Set(
+    [template.body, ...Object.values(template.variants || {})].flatMap(
+      extractVariables
+    )
+  ),
+];
+
+// Named message templates with {{placeholder}} variables and optional
+// per-language variants, persisted in a JSON file.
+export const createTemplateStore = ({ filePath, logger }) => {
+  const store = createJsonStore(filePath, { templates: [] });
+  const state = store.read();
+  state.templates = state.templates || [];
+
+  const persist = () => store.write(state);
+
+  const describe = (template) => ({
+    ...template,
+    variables: templateVariables(template),
+    languages: Object.keys(template.variants || {}),
+  });
+
+  const list = () => state.templates.map(describe);
+
+  const get = (id) => {
+    const template = state.templates.find((item) => item.id === id);
+    return template ? describe(template) : null;
+  };
+
+  const create = ({ id, description, body, variants = {} }) => {
+    const now = new Date().toISOString();
+    const template = { id, description, body, variants, createdAt: now, updatedAt: now };
+
+    state.templates.push(template);
+    persist();
+    logger.info("📝 Template created", { templateId: id });
+
+    return describe(template);
+  };
+
+  const update = (id, changes) => {
+    const template = state.templates.find((item) => item.id === id);
+    if (!template) {
+      return null;
+    }
+
+    ["description", "body", "variants"].forEach((field) => {
+      if (changes[field] !== undefined) {
+        template[field] = changes[field];
+      }
+    });
+    template.updatedAt = new Date().toISOString();
+    persist();
+    logger.info("📝 Template updated", { templateId: id });
+
+    return describe(template);
+  };
+
+  const remove = (id) => {
+    const template = state.templates.find((item) => item.id === id);
+    if (!template) {
+      return null;
+    }
+
+    state.templates = state.templates.filter((item) => item.id !== id);
+    persist();
+    logger.info("🗑️ Template deleted", { templateId: id });
+
+    return describe(template);
+  };
+
+  // Render a template, falling back to the default body when the requested
+  // language has no variant. Throws TemplateError for missing variables.
+  const render = (id, variables = {}, language) => {
+    const template = state.templates.find((item) => item.id === id);
+    if (!template) {
+      throw new TemplateError(`Template "${id}" not found`);
+    }
+
+    const useVariant = language && template.variants?.[language];
+    const text = useVariant ? template.variants[language] : template.body;
+
+    const missing = extractVariables(text).filter(
+      (name) => variables[name] === undefined || variables[name] === null
+    );
+    if (missing.length > 0) {
+      throw new TemplateError(
+        `Missing template variables: ${missing.join(", ")}`,
+        missing
+      );
+    }
+
+    return {
+      text: text.replace(PLACEHOLDER_PATTERN, (match, name) => String(variables[name])),
+      language: useVariant ? language : "default",
+    };
+  };
+
+  return { list, get, create, update, remove, render };
+};
@@ -0,0 +1,60 @@
+import { createWhatsAppWebTransport } from "./whatsappWebTransport.js";
+import { createFakeTransport } from "./fakeTransport.js";
+
+// How the service talks to WhatsApp. A transport builds one client per
+// session with createClient(session, { pairingNumber }), and every client
+// has the same shape whichever driver is behind it. Clients are
+// EventEmitters with:
+//
+//   initialize(), destroy(), logout()   connection lifecycle, all promises
+//   account()                           { wid, pushname } of the linked phone
+//   isRegistered(chatId)                false when a number has no WhatsApp
+//   sendMessage(chatId, content)        resolves to { id }. content is one of
+//                                       { text }, { media, caption, asDocument }
+//                                       (media is { mimetype, data, filename })
+//                                       or { interactive }
+//   getContact(chatId)                  { id, number, name, pushname, isBusiness,
+//                                       isMyContact, isBlocked, profilePicUrl }
+//   getChats()                          chats, most recently active first
+//   getChatMessages(chatId, { limit })  the last limit messages of a chat,
+//                                       oldest first, or null if there is no chat
+//   getGroups()                         groups the account belongs to
+//   getGroup(groupId)                   one group with its participants, or null
+//   createGroup(name, participantIds)   resolves to { id, name, participants }
+//   addParticipants(groupId, ids)       one { id, added, code, message } per id
+//   removeParticipants(groupId, ids)    one { id, removed } per id
+//
+// Connection events: "qr" (qr), "code" (pairing code, when a pairingNumber
+// was given), "authenticated", "auth_failure" (message), "ready",
+// "disconnected" (reason) and "error" (error).
+// Message events: "message" for incoming messages, shaped
+// { id, from, to, type, body, hasMedia, name, timestamp }, plus
+// "message_sent" ({ id, to, type }) and "message_ack" ({ id, to, ack }) for
+// our own messages. ack uses the whatsapp-web.js MessageAck values. Chats
+// are shaped { id, name, isGroup, unreadCount, archived, pinned, muted,
+// timestamp, lastMessage } and chat messages add fromMe and ack to the
+// incoming message shape.
+//
+// Groups are shaped { id, name, description, participantCount, isAdmin,
+// createdAt }, where isAdmin says whether the linked account can manage the
+// group; getGroup() adds participants ({ id, isAdmin, isSuperAdmin }).
+// Adding or removing participants of a group the account doesn't administer
+// fails with an error whose code is "not_group_admin".
+export const TRANSPORTS = {
+  "whatsapp-web": createWhatsAppWebTransport,
+  fake: createFakeTransport,
+};
+
+// Each driver picks the options it needs
+export const createTransport = (name, options) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown WhatsApp transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(
+        ", "
+      )})`
+    );
+  }
+  options.logger.info("🔌 WhatsApp transport selected", { transport: name });
+  return { name, ...factory(options) };
+};
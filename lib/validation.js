@@ -0,0 +1,188 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+export const VALIDATION_FAILED_CODE = "validation_failed";
+
+// "/poll/options/0" -> "poll.options.0"
+const fieldOf = (instancePath, property) =>
+  [...instancePath.split("/").slice(1), property].filter((part) => part !== undefined).join(".") ||
+  "body";
+
+const listValues = (values) => values.map((value) => JSON.stringify(value)).join(", ");
+
+// One Ajv error as { field, code, message }
+const describeError = (error) => {
+  const { keyword, params, instancePath, schema } = error;
+  const field = fieldOf(instancePath, keyword === "required" ? params.missingProperty : undefined);
+  const quoted = `"${field}"`;
+
+  switch (keyword) {
+    case "required":
+      return { field, code: "required", message: `${quoted} is required` };
+    case "type":
+      return {
+        field,
+        code: "invalid_type",
+        message: `${quoted} must be of type ${[].concat(params.type).join(" or ")}`,
+      };
+    case "const":
+      return {
+        field,
+        code: "invalid_value",
+        message: `${quoted} must be ${listValues([params.allowedValue])}`,
+      };
+    case "enum":
+      return {
+        field,
+        code: "invalid_value",
+        message: `${quoted} must be one of: ${listValues(params.allowedValues)}`,
+      };
+    case "minLength":
+    case "minItems": {
+      const unit = keyword === "minItems" ? "items" : "characters";
+      return params.limit === 1
+        ? { field, code: "too_short", message: `${quoted} must not be empty` }
+        : { field, code: "too_short", message: `${quoted} needs at least ${params.limit} ${unit}` };
+    }
+    case "maxLength":
+    case "maxItems": {
+      const unit = keyword === "maxItems" ? "items" : "characters";
+      return {
+        field,
+        code: "too_long",
+        message: `${quoted} is too long (max ${params.limit} ${unit})`,
+      };
+    }
+    case "minimum":
+    case "maximum":
+      return {
+        field,
+        code: "out_of_range",
+        message: `${quoted} must be ${params.comparison} ${params.limit}`,
+      };
+    case "pattern":
+      return params.pattern === "\\S"
+        ? { field, code: "too_short", message: `${quoted} must not be blank` }
+        : { field, code: "invalid_format", message: `${quoted} has an invalid format` };
+    case "format":
+      return {
+        field,
+        code: "invalid_format",
+        message: `${quoted} must be a valid ${params.format}`,
+      };
+    case "propertyNames":
+      return {
+        field,
+        code: "invalid_format",
+        message: `${quoted} has an invalid key "${params.propertyName}"`,
+      };
+    case "false schema":
+      return { field, code: "not_allowed", message: `${quoted} is not allowed here` };
+    case "oneOf":
+      // A choice between required fields, e.g. media.data or media.url
+      if (schema.every((branch) => branch.required?.length === 1)) {
+        const choices = schema.map((branch) => `"${fieldOf(instancePath, branch.required[0])}"`);
+        return {
+          field,
+          code: "invalid_value",
+          message: `Provide exactly one of ${choices.join(" or ")}`,
+        };
+      }
+      return {
+        field,
+        code: "invalid_value",
+        message: `${quoted} does not match any allowed form`,
+      };
+    case "anyOf":
+      // At least one of several fields, e.g. a rule's conditions
+      if (schema.every((branch) => branch.required?.length === 1)) {
+        const choices = schema.map((branch) => `"${fieldOf(instancePath, branch.required[0])}"`);
+        return {
+          field,
+          code: "required",
+          message: `Provide at least one of ${choices.join(", ")}`,
+        };
+      }
+      return {
+        field,
+        code: "invalid_value",
+        message: `${quoted} does not match any allowed form`,
+      };
+    default:
+      return { field, code: "invalid_value", message: `${quoted} ${error.message}` };
+  }
+};
+
+// Ajv also reports why each oneOf branch failed and which key broke a
+// propertyNames rule; the outer error says all there is to say. A failed
+// "if" is explained by the then/else error next to it.
+const toDetails = (errors) => {
+  const seen = new Set();
+  return errors
+    .filter(
+      (error) =>
+        error.keyword !== "if" &&
+        !/\/((oneOf|anyOf)\/\d+|propertyNames)\//.test(error.schemaPath)
+    )
+    .map(describeError)
+    .filter((detail) => {
+      const key = `${detail.field}:${detail.code}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+// Checks request bodies against named JSON Schemas and answers 400 with a
+// list of machine-readable problems when they do not match
+export const createRequestValidator = ({ schemas, logger }) => {
+  const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+  addFormats(ajv);
+  // OpenAPI annotations that are not JSON Schema keywords
+  ajv.addKeyword("example");
+  ajv.addFormat("binary", true);
+  Object.entries(schemas).forEach(([name, schema]) => ajv.addSchema(schema, name));
+
+  // Problems with value against the named schema; empty when it matches
+  const check = (name, value) => {
+    const validate = ajv.getSchema(name);
+    if (!validate) {
+      throw new Error(`Unknown schema "${name}"`);
+    }
+    return validate(value) ? [] : toDetails(validate.errors);
+  };
+
+  // Answer 400 for the given problems
+  const reject = (req, res, details, extra = {}) => {
+    logger.warn("Validation failed: Request does not match schema", {
+      path: req.originalUrl.split("?")[0],
+      errors: details.map(({ field, code }) => `${field}:${code}`),
+      ip: req.ip,
+      client: req.apiClient?.client,
+    });
+
+    res.locals.rejectReason = "validation";
+    res.status(400).json({
+      success: false,
+      error: details[0].message,
+      code: VALIDATION_FAILED_CODE,
+      details,
+      ...extra,
+    });
+  };
+
+  // Middleware checking req.body against a schema name, or a function of
+  // the request that picks one
+  const body = (schema) => (req, res, next) => {
+    const name = typeof schema === "function" ? schema(req) : schema;
+    const details = check(name, req.body ?? {});
+    if (details.length > 0) {
+      return reject(req, res, details, { example: ajv.getSchema(name).schema.example });
+    }
+    next();
+  };
+
+  return { check, reject, body };
+};
@@ -0,0 +1,319 @@
+import crypto from "crypto";
+import { createJsonStore } from "./jsonStore.js";
+
+export const WEBHOOK_EVENTS = [
+  "qr",
+  "pairing_code",
+  "authenticated",
+  "auth_failure",
+  "ready",
+  "disconnected",
+  "connection_failed",
+  "message_ack",
+  "message",
+];
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+// Strip the signing secret before a webhook leaves the dispatcher
+const sanitize = ({ secret, ...webhook }) => webhook;
+
+// Delivers client events to registered URLs as signed JSON POSTs. Pending
+// deliveries are persisted so retries resume after a restart, and the most
+// recent deliveries are kept as a log.
+export const createWebhookDispatcher = ({
+  filePath,
+  logger,
+  maxAttempts = 6,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  timeoutMs = 10000,
+  logSize = 500,
+}) => {
+  const store = createJsonStore(filePath, { webhooks: [], deliveries: [] });
+  const state = store.read();
+  state.webhooks = state.webhooks || [];
+  state.deliveries = state.deliveries || [];
+
+  const timers = new Map();
+
+  const persist = () => {
+    try {
+      store.write(state);
+    } catch (error) {
+      logger.error("Failed to persist webhooks", { error: error.message });
+    }
+  };
+
+  const trimLog = () => {
+    if (state.deliveries.length <= logSize) {
+      return;
+    }
+    // Never drop deliveries that still have retries scheduled
+    const excess = state.deliveries.length - logSize;
+    let dropped = 0;
+    state.deliveries = state.deliveries.filter((delivery) => {
+      if (dropped < excess && delivery.status !== "pending") {
+        dropped += 1;
+        return false;
+      }
+      return true;
+    });
+  };
+
+  const backoffDelay = (attempts) =>
+    Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  const schedule = (delivery, delayMs) => {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => attempt(delivery), Math.max(0, delayMs));
+    timer.unref();
+    timers.set(delivery.id, timer);
+  };
+
+  const attempt = async (delivery) => {
+    timers.delete(delivery.id);
+    const webhook = state.webhooks.find((item) => item.id === delivery.webhookId);
+    if (!webhook) {
+      delivery.status = "failed";
+      delivery.lastError = "Webhook no longer registered";
+      persist();
+      return;
+    }
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      timestamp: delivery.createdAt,
+      data: delivery.data,
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+    const record = { at: new Date().toISOString() };
+
+    delivery.attempts += 1;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "whatsapp-backend-webhooks/1.0",
+          "X-Webhook-Id": webhook.id,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      record.statusCode = response.status;
+      if (!response.ok) {
+        throw new Error(`Receiver responded with HTTP ${response.status}`);
+      }
+
+      record.durationMs = Date.now() - startTime;
+      delivery.attemptLog.push(record);
+      delivery.status = "succeeded";
+      delivery.lastError = null;
+      delivery.deliveredAt = new Date().toISOString();
+
+      logger.info("🪝 Webhook delivered", {
+        deliveryId: delivery.id,
+        webhookId: webhook.id,
+        event: delivery.event,
+        statusCode: response.status,
+        attempts: delivery.attempts,
+      });
+    } catch (error) {
+      record.durationMs = Date.now() - startTime;
+      record.error = error.message;
+      delivery.attemptLog.push(record);
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= maxAttempts) {
+        delivery.status = "failed";
+        logger.error("🪝 Webhook delivery failed permanently", {
+          deliveryId: delivery.id,
+          webhookId: webhook.id,
+          event: delivery.event,
+          attempts: delivery.attempts,
+          error: error.message,
+        });
+      } else {
+        const delay = backoffDelay(delivery.attempts);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        schedule(delivery, delay);
+        logger.warn("🪝 Webhook delivery failed, retrying", {
+          deliveryId: delivery.id,
+          webhookId: webhook.id,
+          event: delivery.event,
+          attempts: delivery.attempts,
+          retryInMs: delay,
+          error: error.message,
+        });
+      }
+    }
+
+    persist();
+  };
+
+  const createDelivery = (webhook, event, data) => {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: generateId("dlv"),
+      webhookId: webhook.id,
+      event,
+      data,
+      status: "pending",
+      attempts: 0,
+      attemptLog: [],
+      lastError: null,
+      createdAt: now,
+      nextAttemptAt: now,
+    };
+
+    state.deliveries.push(delivery);
+    trimLog();
+    schedule(delivery, 0);
+    return delivery;
+  };
+
+  const emit = (event, data = {}) => {
+    const targets = state.webhooks.filter(
+      (webhook) =>
+        webhook.active &&
+        (webhook.events.includes("*") || webhook.events.includes(event))
+    );
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const deliveries = targets.map((webhook) => createDelivery(webhook, event, data));
+    persist();
+    return deliveries;
+  };
+
+  const register = ({ url, events = ["*"], secret, description }) => {
+    const webhook = {
+      id: generateId("whk"),
+      url,
+      events,
+      description,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      active: true,
+      createdAt: new Date().toISOString(),
+    };
+
+    state.webhooks.push(webhook);
+    persist();
+    logger.info("🪝 Webhook registered", { webhookId: webhook.id, url, events });
+
+    return webhook;
+  };
+
+  const update = (id, changes) => {
+    const webhook = state.webhooks.find((item) => item.id === id);
+    if (!webhook) {
+      return null;
+    }
+
+    ["url", "events", "description", "active"].forEach((field) => {
+      if (changes[field] !== undefined) {
+        webhook[field] = changes[field];
+      }
+    });
+    webhook.updatedAt = new Date().toISOString();
+    persist();
+
+    return sanitize(webhook);
+  };
+
+  const remove = (id) => {
+    const webhook = state.webhooks.find((item) => item.id === id);
+    if (!webhook) {
+      return null;
+    }
+
+    state.webhooks = state.webhooks.filter((item) => item.id !== id);
+    persist();
+    logger.info("🪝 Webhook removed", { webhookId: id });
+
+    return sanitize(webhook);
+  };
+
+  // Send a "ping" event to a single webhook to check the receiver
+  const ping = (id) => {
+    const webhook = state.webhooks.find((item) => item.id === id);
+    if (!webhook) {
+      return null;
+    }
+
+    const delivery = createDelivery(webhook, "ping", { webhookId: id });
+    persist();
+    return delivery;
+  };
+
+  const redeliver = (deliveryId) => {
+    const original = state.deliveries.find((item) => item.id === deliveryId);
+    const webhook =
+      original && state.webhooks.find((item) => item.id === original.webhookId);
+    if (!webhook) {
+      return null;
+    }
+
+    const delivery = createDelivery(webhook, original.event, original.data);
+    delivery.redeliveryOf = original.id;
+    persist();
+    return delivery;
+  };
+
+  const list = () => state.webhooks.map(sanitize);
+
+  const listDeliveries = ({ webhookId, status, limit = 50 } = {}) =>
+    state.deliveries
+      .filter(
+        (delivery) =>
+          (!webhookId || delivery.webhookId === webhookId) &&
+          (!status || delivery.status === status)
+      )
+      .slice(-limit)
+      .reverse();
+
+  // Resume retries that were pending when the process stopped
+  const start = () => {
+    const pending = state.deliveries.filter((delivery) => delivery.status === "pending");
+    pending.forEach((delivery) =>
+      schedule(delivery, Date.parse(delivery.nextAttemptAt) - Date.now())
+    );
+    if (pending.length > 0) {
+      logger.info("🪝 Resuming pending webhook deliveries", {
+        count: pending.length,
+      });
+    }
+  };
+
+  const stop = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return {
+    emit,
+    register,
+    update,
+    remove,
+    ping,
+    redeliver,
+    list,
+    listDeliveries,
+    start,
+    stop,
+  };
+};
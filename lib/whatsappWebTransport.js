@@ -0,0 +1,307 @@
+import { EventEmitter } from "events";
+import pkg from "whatsapp-web.js";
+import { toVCard } from "./interactive.js";
+const { Buttons, Client, List, LocalAuth, Location, MessageMedia, Poll } = pkg;
+
+const PUPPETEER_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-accelerated-2d-canvas",
+  "--no-first-run",
+  "--no-zygote",
+  "--single-process",
+  "--disable-gpu",
+  "--disable-web-security",
+  "--disable-features=VizDisplayCompositor",
+];
+
+// Passed through unchanged; the session manager listens for all of them
+const CONNECTION_EVENTS = [
+  "qr",
+  "code",
+  "authenticated",
+  "auth_failure",
+  "ready",
+  "disconnected",
+  "error",
+];
+
+// The whatsapp-web.js content and send options for an interactive payload
+const buildInteractiveMessage = (interactive) => {
+  switch (interactive.type) {
+    case "location": {
+      const { latitude, longitude, name, address, url } = interactive;
+      return { content: new Location(latitude, longitude, { name, address, url }) };
+    }
+    case "contact":
+      // vCard text is sent as a contact card (parseVCards is on by default)
+      return { content: toVCard(interactive), options: { parseVCards: true } };
+    case "list": {
+      const { body, buttonText, sections, title, footer } = interactive;
+      return { content: new List(body, buttonText, sections, title, footer) };
+    }
+    case "buttons": {
+      const { body, options, title, footer } = interactive;
+      const buttons = options.map((option) => ({ id: option.id, body: option.text }));
+      return { content: new Buttons(body, buttons, title, footer) };
+    }
+    case "poll": {
+      const { question, options, allowMultipleAnswers = false } = interactive;
+      return { content: new Poll(question, options, { allowMultipleAnswers }) };
+    }
+    default:
+      throw new Error(`Unsupported interactive message type "${interactive.type}"`);
+  }
+};
+
+const toIncomingMessage = (message) => ({
+  id: message.id._serialized,
+  from: message.from,
+  to: message.to,
+  type: message.type,
+  body: message.body,
+  hasMedia: message.hasMedia,
+  name: message._data?.notifyName || null,
+  timestamp: new Date(message.timestamp * 1000).toISOString(),
+});
+
+// A message of a chat's history, in either direction
+const toChatMessage = (message) => ({
+  ...toIncomingMessage(message),
+  fromMe: message.fromMe,
+  ack: message.fromMe ? message.ack : null,
+});
+
+const toChat = (chat) => ({
+  id: chat.id._serialized,
+  name: chat.name || null,
+  isGroup: chat.isGroup,
+  unreadCount: chat.unreadCount,
+  archived: Boolean(chat.archived),
+  pinned: Boolean(chat.pinned),
+  muted: Boolean(chat.isMuted),
+  timestamp: chat.timestamp ? new Date(chat.timestamp * 1000).toISOString() : null,
+  lastMessage: chat.lastMessage ? toChatMessage(chat.lastMessage) : null,
+});
+
+const toParticipant = (participant) => ({
+  id: participant.id._serialized,
+  isAdmin: Boolean(participant.isAdmin || participant.isSuperAdmin),
+  isSuperAdmin: Boolean(participant.isSuperAdmin),
+});
+
+// A group chat as seen by the account ownId
+const toGroup = (chat, ownId) => {
+  const participants = (chat.participants || []).map(toParticipant);
+  return {
+    id: chat.id._serialized,
+    name: chat.name || null,
+    description: chat.description || null,
+    participantCount: participants.length,
+    isAdmin: participants.some((participant) => participant.id === ownId && participant.isAdmin),
+    createdAt: chat.createdAt ? chat.createdAt.toISOString() : null,
+    participants,
+  };
+};
+
+// whatsapp-web.js reports group failures as a string result
+const groupError = (result) => {
+  const error = new Error(result.replace(/^\w+Error: /, ""));
+  if (/admin rights/.test(result)) {
+    error.code = "not_group_admin";
+  }
+  return error;
+};
+
+const notGroupAdmin = (groupId) => {
+  const error = new Error(`The linked account is not an admin of group "${groupId}"`);
+  error.code = "not_group_admin";
+  return error;
+};
+
+// The real driver: WhatsApp Web in headless Chromium. Each session keeps its
+// login under sessionPath (LocalAuth), keyed by the session id. With a
+// pairingNumber the client asks for a pairing code instead of a QR code.
+export const createWhatsAppWebTransport = ({ sessionPath }) => {
+  const createClient = (session, { pairingNumber = null } = {}) => {
+    const client = new Client({
+      authStrategy: new LocalAuth({
+        clientId: session.id,
+        dataPath: sessionPath,
+      }),
+      puppeteer: {
+        headless: true, // Force headless mode for server environments
+        args: PUPPETEER_ARGS,
+      },
+      pairWithPhoneNumber: pairingNumber
+        ? { phoneNumber: pairingNumber, showNotification: true }
+        : undefined,
+    });
+    const events = new EventEmitter();
+
+    CONNECTION_EVENTS.forEach((event) => {
+      client.on(event, (...args) => events.emit(event, ...args));
+    });
+
+    client.on("message_create", (message) => {
+      if (message.fromMe) {
+        events.emit("message_sent", {
+          id: message.id._serialized,
+          to: message.to,
+          type: message.type,
+        });
+      }
+    });
+    client.on("message_ack", (message, ack) => {
+      if (message.fromMe) {
+        events.emit("message_ack", { id: message.id._serialized, to: message.to, ack });
+      }
+    });
+    client.on("message", (message) => events.emit("message", toIncomingMessage(message)));
+
+    const sendMessage = async (chatId, { text, media, caption, asDocument, interactive }) => {
+      let sent;
+      if (media) {
+        const { mimetype, data, filename } = media;
+        sent = await client.sendMessage(chatId, new MessageMedia(mimetype, data, filename), {
+          caption,
+          sendMediaAsDocument: asDocument,
+        });
+      } else if (interactive) {
+        const { content, options } = buildInteractiveMessage(interactive);
+        sent = await client.sendMessage(chatId, content, options);
+      } else {
+        sent = await client.sendMessage(chatId, text);
+      }
+      return { id: sent.id._serialized };
+    };
+
+    const getContact = async (chatId) => {
+      const contact = await client.getContactById(chatId);
+      // Private pictures come back empty, and some accounts make it throw
+      const profilePicUrl = await client.getProfilePicUrl(chatId).catch(() => null);
+      return {
+        id: contact.id._serialized,
+        number: contact.number || null,
+        name: contact.name || null,
+        pushname: contact.pushname || null,
+        isBusiness: Boolean(contact.isBusiness),
+        isMyContact: Boolean(contact.isMyContact),
+        isBlocked: Boolean(contact.isBlocked),
+        profilePicUrl: profilePicUrl || null,
+      };
+    };
+
+    // Most recently active first
+    const getChats = async () => {
+      const chats = await client.getChats();
+      return chats
+        .map(toChat)
+        .sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
+    };
+
+    // The last `limit` messages, oldest first, or null for an unknown chat
+    const getChatMessages = async (chatId, { limit }) => {
+      const chat = await client.getChatById(chatId).catch(() => null);
+      if (!chat) {
+        return null;
+      }
+      const messages = await chat.fetchMessages({ limit });
+      return messages.map(toChatMessage);
+    };
+
+    const ownId = () => client.info?.wid?._serialized;
+
+    const findGroupChat = async (groupId) => {
+      const chat = await client.getChatById(groupId).catch(() => null);
+      return chat && chat.isGroup ? chat : null;
+    };
+
+    const getGroups = async () => {
+      const chats = await client.getChats();
+      return chats.filter((chat) => chat.isGroup).map((chat) => {
+        const { participants, ...group } = toGroup(chat, ownId());
+        return group;
+      });
+    };
+
+    const getGroup = async (groupId) => {
+      const chat = await findGroupChat(groupId);
+      return chat ? toGroup(chat, ownId()) : null;
+    };
+
+    const createGroup = async (name, participantIds) => {
+      const result = await client.createGroup(name, participantIds);
+      if (typeof result === "string") {
+        throw groupError(result);
+      }
+      return {
+        id: result.gid._serialized,
+        name: result.title,
+        participants: Object.entries(result.participants).map(([id, outcome]) => ({
+          id,
+          added: outcome.statusCode === 200,
+          code: outcome.statusCode,
+          message: outcome.message,
+        })),
+      };
+    };
+
+    const addParticipants = async (groupId, participantIds) => {
+      const chat = await findGroupChat(groupId);
+      if (!chat) {
+        throw new Error(`Group "${groupId}" not found`);
+      }
+      const result = await chat.addParticipants(participantIds);
+      if (typeof result === "string") {
+        throw groupError(result);
+      }
+      return Object.entries(result).map(([id, outcome]) => ({
+        id,
+        added: outcome.code === 200,
+        code: outcome.code,
+        message: outcome.message,
+      }));
+    };
+
+    // whatsapp-web.js quietly skips ids that aren't in the group, so they are
+    // reported from the participant list read beforehand
+    const removeParticipants = async (groupId, participantIds) => {
+      const chat = await findGroupChat(groupId);
+      if (!chat) {
+        throw new Error(`Group "${groupId}" not found`);
+      }
+      const group = toGroup(chat, ownId());
+      if (!group.isAdmin) {
+        throw notGroupAdmin(groupId);
+      }
+      const members = participantIds.filter((id) =>
+        group.participants.some((participant) => participant.id === id)
+      );
+      if (members.length > 0) {
+        await chat.removeParticipants(members);
+      }
+      return participantIds.map((id) => ({ id, removed: members.includes(id) }));
+    };
+
+    return Object.assign(events, {
+      initialize: () => client.initialize(),
+      destroy: () => client.destroy(),
+      logout: () => client.logout(),
+      account: () => ({ wid: client.info?.wid?._serialized, pushname: client.info?.pushname }),
+      isRegistered: async (chatId) => Boolean(await client.getNumberId(chatId)),
+      sendMessage,
+      getContact,
+      getChats,
+      getChatMessages,
+      getGroups,
+      getGroup,
+      createGroup,
+      addParticipants,
+      removeParticipants,
+    });
+  };
+
+  return { createClient };
+};
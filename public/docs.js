@@ -0,0 +1,8 @@
+// API docs page: Swagger UI over /openapi.json. Kept out of docs.html so
+// the page works under the default Content-Security-Policy.
+window.ui = SwaggerUIBundle({
+  url: "/openapi.json",
+  dom_id: "#swagger-ui",
+  deepLinking: true,
+  persistAuthorization: true,
+});
@@ -0,0 +1,126 @@
+// Live pairing page: follows /pair/<token>/events and shows the current QR
+// code or pairing code with a countdown, then the linked account.
+(() => {
+  const base = window.location.pathname.replace(/\/$/, "");
+  const $ = (id) => document.getElementById(id);
+
+  let status = null;
+  let linkExpiresAt = null;
+  let closed = false;
+
+  const show = (id, visible) => {
+    $(id).hidden = !visible;
+  };
+
+  const secondsUntil = (iso) => Math.max(0, Math.round((Date.parse(iso) - Date.now()) / 1000));
+
+  const countdown = (iso, expiredText) => {
+    if (!iso) {
+      return "";
+    }
+    const seconds = secondsUntil(iso);
+    return seconds > 0 ? `Expires in ${seconds}s` : expiredText;
+  };
+
+  const formatAccount = (account) => {
+    const number = account && account.wid ? `+${account.wid.split("@")[0]}` : "this phone";
+    return account && account.pushname ? `${number} (${account.pushname})` : number;
+  };
+
+  const showError = (message) => {
+    $("error").textContent = message;
+    show("error", Boolean(message));
+  };
+
+  const render = () => {
+    if (!status) {
+      return;
+    }
+    const connected = status.state === "ready";
+    const hasQr = !connected && Boolean(status.qr);
+    const hasCode = !connected && Boolean(status.pairingCode);
+
+    $("session").textContent = status.label || status.sessionId;
+    $("state").textContent = status.status;
+
+    show("qr-panel", hasQr);
+    if (hasQr && $("qr").getAttribute("src") !== status.qr) {
+      $("qr").src = status.qr;
+    }
+    $("qr-countdown").textContent = countdown(status.qrExpiresAt, "Getting a new code…");
+
+    show("code-panel", hasCode);
+    $("code").textContent = hasCode ? status.pairingCode.replace(/^(.{4})(.{4})$/, "$1-$2") : "";
+    $("code-countdown").textContent = countdown(status.pairingCodeExpiresAt, "Getting a new code…");
+
+    show("waiting", !connected && !hasQr && !hasCode && !closed);
+    show("connected", connected);
+    $("connected").textContent = connected ? `✅ Connected as ${formatAccount(status.account)}` : "";
+
+    if (linkExpiresAt && !connected && !closed) {
+      $("link-expiry").textContent = `This link expires in ${Math.ceil(
+        secondsUntil(linkExpiresAt) / 60
+      )} min`;
+    } else {
+      $("link-expiry").textContent = "";
+    }
+  };
+
+  const close = (message) => {
+    closed = true;
+    events.close();
+    show("qr-panel", false);
+    show("code-panel", false);
+    show("code-form", false);
+    showError(status && status.state === "ready" ? "" : message);
+    render();
+  };
+
+  const events = new EventSource(`${base}/events`);
+
+  events.addEventListener("link", (event) => {
+    linkExpiresAt = JSON.parse(event.data).expiresAt;
+  });
+  events.addEventListener("status", (event) => {
+    status = JSON.parse(event.data);
+    showError(status.lastError && status.state !== "ready" ? status.lastError : "");
+    render();
+  });
+  events.addEventListener("expired", () => close("This pairing link has expired."));
+  events.addEventListener("deleted", () => close("This session was deleted."));
+  events.addEventListener("error", () => {
+    // The browser reconnects by itself unless the link is gone
+    if (events.readyState === EventSource.CLOSED) {
+      close("This pairing link is invalid or has expired.");
+    }
+  });
+
+  const post = async (path, body) => {
+    showError("");
+    const response = await fetch(`${base}/${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      showError(result.error || `Request failed (${response.status})`);
+      return false;
+    }
+    return true;
+  };
+
+  $("use-code").addEventListener("click", () => {
+    show("code-form", true);
+    $("number").focus();
+  });
+  $("use-qr").addEventListener("click", () => post("qr"));
+  $("code-form").addEventListener("submit", async (event) => {
+    event.preventDefault();
+    if (await post("pairing-code", { number: $("number").value })) {
+      show("code-form", false);
+    }
+  });
+
+  setInterval(render, 1000);
+})();
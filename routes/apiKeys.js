@@ -0,0 +1,81 @@
+import express from "express";
+
+// Admin endpoints for issuing, rotating and revoking API keys
+export const createApiKeysRouter = ({ keyStore, validator, logger }) => {
+  const router = express.Router();
+
+  const notFound = (res, error = "API key not found or no longer active") =>
+    res.status(404).json({
+      success: false,
+      error: error,
+      code: "api_key_not_found",
+    });
+
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: keyStore.list(),
+    });
+  });
+
+  router.post("/", validator.body("ApiKeyRequest"), (req, res) => {
+    const { client, scopes, rateLimit, sendLimits } = req.body;
+    const { key, entry } = keyStore.create({ client, scopes, rateLimit, sendLimits });
+    logger.info("API key issued via admin API", {
+      keyId: entry.id,
+      client,
+      issuedBy: req.apiClient.client,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Store this key now, it will not be shown again",
+      data: { ...entry, key },
+    });
+  });
+
+  router.post("/:id/rotate", validator.body("ApiKeyRotation"), (req, res) => {
+    const graceMs =
+      req.body.graceMs !== undefined
+        ? req.body.graceMs
+        : parseInt(process.env.API_KEY_ROTATION_GRACE_MS) || 0;
+
+    const result = keyStore.rotate(req.params.id, { graceMs });
+    if (!result) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Store this key now, it will not be shown again",
+      data: { ...result.entry, key: result.key },
+    });
+  });
+
+  // Per-client send governor overrides; send null to go back to the defaults
+  router.put("/:id/send-limits", validator.body("SendLimitsUpdate"), (req, res) => {
+    const entry = keyStore.setSendLimits(req.params.id, req.body.sendLimits);
+    if (!entry) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  });
+
+  router.delete("/:id", (req, res) => {
+    const entry = keyStore.revoke(req.params.id);
+    if (!entry) {
+      return notFound(res, "API key not found");
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,110 @@
+import express from "express";
+import { validateRule } from "../lib/autoReply.js";
+
+const RULE_FIELDS = ["name", "enabled", "priority", "cooldownMinutes", "conditions", "action"];
+
+const pickRule = (body) =>
+  Object.fromEntries(
+    RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+// Admin endpoints for managing auto-reply rules at runtime
+export const createAutoRepliesRouter = ({ autoReplies, validator, logger }) => {
+  const router = express.Router();
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Auto-reply rule not found",
+      code: "rule_not_found",
+    });
+
+  // The AutoReplyRule schema checks the shape; validateRule also checks
+  // what it cannot, such as whether the regex compiles
+  const validate = [
+    validator.body("AutoReplyRule"),
+    (req, res, next) => {
+      req.rule = pickRule(req.body);
+      const error = validateRule(req.rule);
+      if (error) {
+        return validator.reject(req, res, [
+          { field: "body", code: "invalid_value", message: error },
+        ]);
+      }
+      next();
+    },
+  ];
+
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: autoReplies.list(),
+    });
+  });
+
+  router.get("/:id", (req, res) => {
+    const rule = autoReplies.get(req.params.id);
+    if (!rule) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  });
+
+  router.post("/", validate, (req, res) => {
+    const created = autoReplies.create(req.rule);
+    logger.info("Auto-reply rule created via admin API", {
+      ruleId: created.id,
+      client: req.apiClient.client,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+    });
+  });
+
+  // PUT replaces the whole rule so conditions never mix old and new fields
+  router.put("/:id", validate, (req, res) => {
+    if (!autoReplies.get(req.params.id)) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: autoReplies.replace(req.params.id, req.rule),
+    });
+  });
+
+  router.delete("/:id", (req, res) => {
+    const rule = autoReplies.remove(req.params.id);
+    if (!rule) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  });
+
+  // Dry run: which rule would answer this message right now?
+  router.post("/test", validator.body("AutoReplyTest"), (req, res) => {
+    const result = autoReplies.evaluate(req.body.body);
+
+    res.json({
+      success: true,
+      data: result
+        ? { matched: true, ruleId: result.rule.id, name: result.rule.name, groups: result.groups }
+        : { matched: false },
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,142 @@
+import express from "express";
+import { hasScope } from "../lib/apiKeys.js";
+
+// Broadcast batches: create, inspect, pause, resume and cancel
+export const createBatchesRouter = ({
+  batches,
+  prepareRecipient,
+  resolveSession,
+  idempotent,
+  requireScope,
+  validator,
+  logger,
+  maxRecipients = 1000,
+  minIntervalMs = 1000,
+}) => {
+  const router = express.Router();
+
+  // Callers only see their own batches unless they are admins
+  const visibleTo = (req, batch) =>
+    batch &&
+    (hasScope(req.apiClient, "admin") || batch.client === req.apiClient.client);
+
+  // Limits set in the environment, on top of the BatchRequest schema
+  const limitProblems = ({ recipients, intervalMs }) => {
+    const problems = [];
+    if (recipients.length > maxRecipients) {
+      problems.push({
+        field: "recipients",
+        code: "too_long",
+        message: `Too many recipients (max ${maxRecipients} per batch)`,
+      });
+    }
+    if (intervalMs !== undefined && intervalMs < minIntervalMs) {
+      problems.push({
+        field: "intervalMs",
+        code: "out_of_range",
+        message: `"intervalMs" must be at least ${minIntervalMs}`,
+      });
+    }
+    return problems;
+  };
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Batch not found",
+      code: "batch_not_found",
+    });
+
+  router.post(
+    "/",
+    requireScope("send"),
+    idempotent,
+    validator.body("BatchRequest"),
+    resolveSession,
+    (req, res) => {
+      const problems = limitProblems(req.body);
+      if (problems.length > 0) {
+        return validator.reject(req, res, problems);
+      }
+
+      const { name, intervalMs } = req.body;
+      const recipients = req.body.recipients.map((recipient) =>
+        prepareRecipient(recipient, req.body)
+      );
+      const batch = batches.create({
+        client: req.apiClient.client,
+        sessionId: req.sessionId,
+        name,
+        intervalMs,
+        recipients,
+      });
+
+      logger.info("📣 Batch queued", {
+        batchId: batch.id,
+        total: batch.total,
+        invalid: batch.counts.invalid || 0,
+        ip: req.ip,
+        client: req.apiClient.client,
+      });
+
+      res.status(202).json({
+        success: true,
+        message: "Batch accepted",
+        data: {
+          ...batch,
+          statusUrl: `${req.baseUrl}/${batch.id}`,
+        },
+      });
+    }
+  );
+
+  router.get("/", requireScope("send", "read-status"), (req, res) => {
+    res.json({
+      success: true,
+      data: batches.list({
+        client: hasScope(req.apiClient, "admin") ? undefined : req.apiClient.client,
+      }),
+    });
+  });
+
+  router.get("/:id", requireScope("send", "read-status"), (req, res) => {
+    const batch = batches.get(req.params.id, { status: req.query.status });
+    if (!visibleTo(req, batch)) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: batch,
+    });
+  });
+
+  ["pause", "resume", "cancel"].forEach((action) => {
+    router.post(`/:id/${action}`, requireScope("send"), (req, res) => {
+      if (!visibleTo(req, batches.get(req.params.id))) {
+        return notFound(res);
+      }
+
+      const batch = batches[action](req.params.id);
+      if (!batch) {
+        return res.status(409).json({
+          success: false,
+          error: `Batch cannot ${action} from its current status`,
+          code: "invalid_batch_status",
+        });
+      }
+
+      logger.info(`📣 Batch ${action} requested`, {
+        batchId: req.params.id,
+        client: req.apiClient.client,
+      });
+
+      res.json({
+        success: true,
+        data: batch,
+      });
+    });
+  });
+
+  return router;
+};
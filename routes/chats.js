@@ -0,0 +1,135 @@
+import express from "express";
+import { PhoneNumberError } from "../lib/phone.js";
+
+const MAX_PAGE_SIZE = 100;
+// Older messages have to be loaded into the browser first, so stop at some
+// point and point people at GET /messages for anything further back
+const MAX_HISTORY_DEPTH = 500;
+
+// Read "limit" and "offset" from the query. Returns { limit, offset } or
+// { error } with a validation detail.
+const parsePage = (query) => {
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return {
+      error: {
+        field: "limit",
+        code: "out_of_range",
+        message: `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      },
+    };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return {
+      error: {
+        field: "offset",
+        code: "out_of_range",
+        message: '"offset" must be a non-negative integer',
+      },
+    };
+  }
+  return { limit, offset };
+};
+
+// Recent chats and their latest messages as the linked phone sees them,
+// for support tooling. Results are cached per session for a short while.
+export const createChatsRouter = ({
+  sessions,
+  lookupCache,
+  resolveSession,
+  requireConnectedSession,
+  formatPhoneNumber,
+  requireScope,
+  validator,
+}) => {
+  const router = express.Router();
+
+  const clientOf = (req) => sessions.get(req.sessionId).client;
+
+  router.use(requireScope("read-messages"), resolveSession, requireConnectedSession);
+
+  router.get("/", async (req, res, next) => {
+    const { limit, offset, error } = parsePage(req.query);
+    if (error) {
+      return validator.reject(req, res, [error]);
+    }
+
+    try {
+      const { value: chats, fetchedAt } = await lookupCache.get(`${req.sessionId}:chats`, () =>
+        clientOf(req).getChats()
+      );
+
+      res.json({
+        success: true,
+        data: chats.slice(offset, offset + limit),
+        pagination: { total: chats.length, limit, offset },
+        fetchedAt,
+      });
+    } catch (lookupError) {
+      next(lookupError);
+    }
+  });
+
+  // Newest first. chatId is a chat id or a phone number.
+  router.get("/:chatId/messages", async (req, res, next) => {
+    const { limit, offset, error } = parsePage(req.query);
+    if (error) {
+      return validator.reject(req, res, [error]);
+    }
+    if (offset + limit > MAX_HISTORY_DEPTH) {
+      return validator.reject(req, res, [
+        {
+          field: "offset",
+          code: "out_of_range",
+          message: `Only the last ${MAX_HISTORY_DEPTH} messages of a chat can be read here`,
+        },
+      ]);
+    }
+
+    let chatId;
+    try {
+      chatId = formatPhoneNumber(req.params.chatId).chatId;
+    } catch (parseError) {
+      if (!(parseError instanceof PhoneNumberError)) {
+        return next(parseError);
+      }
+      return res
+        .status(400)
+        .json({ success: false, error: parseError.message, code: "invalid_number" });
+    }
+
+    try {
+      // History is read backwards from the newest message, so a page further
+      // back means loading every message after it too
+      const depth = offset + limit;
+      const { value: messages, fetchedAt } = await lookupCache.get(
+        `${req.sessionId}:messages:${chatId}:${depth}`,
+        () => clientOf(req).getChatMessages(chatId, { limit: depth })
+      );
+      if (!messages) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Chat not found", code: "chat_not_found" });
+      }
+
+      const newestFirst = messages.slice().reverse();
+      res.json({
+        success: true,
+        data: newestFirst.slice(offset, offset + limit),
+        pagination: {
+          limit,
+          offset,
+          hasMore: messages.length === depth && depth < MAX_HISTORY_DEPTH,
+        },
+        chatId,
+        fetchedAt,
+      });
+    } catch (lookupError) {
+      next(lookupError);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,132 @@
+import express from "express";
+import { PhoneNumberError } from "../lib/phone.js";
+
+// Read a phone number for a lookup. Returns { recipient } or { error }.
+const parseNumber = (formatPhoneNumber, input) => {
+  let recipient;
+  try {
+    recipient = formatPhoneNumber(input);
+  } catch (error) {
+    if (error instanceof PhoneNumberError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+  if (recipient.type !== "user") {
+    return { error: "Contact lookups need a phone number, not a group id" };
+  }
+  return { recipient };
+};
+
+// Registration and profile lookups for support tooling, answered by the
+// session's WhatsApp client. Results are cached per session for a short
+// while.
+export const createContactsRouter = ({
+  sessions,
+  lookupCache,
+  resolveSession,
+  requireConnectedSession,
+  formatPhoneNumber,
+  requireScope,
+  validator,
+  logger,
+}) => {
+  const router = express.Router();
+
+  const clientOf = (req) => sessions.get(req.sessionId).client;
+
+  // The same check the send path makes before sending
+  const isRegistered = (req, chatId) =>
+    lookupCache.get(`${req.sessionId}:registered:${chatId}`, () =>
+      clientOf(req).isRegistered(chatId)
+    );
+
+  router.post(
+    "/check",
+    requireScope("send", "read-messages"),
+    validator.body("ContactCheckRequest"),
+    resolveSession,
+    requireConnectedSession,
+    async (req, res, next) => {
+      const { numbers } = req.body;
+
+      const results = [];
+      try {
+        // One at a time, so a long list doesn't queue up in the browser
+        for (const input of numbers) {
+          const { recipient, error } = parseNumber(formatPhoneNumber, input);
+          if (error) {
+            results.push({ input, valid: false, error });
+            continue;
+          }
+          const { value: registered } = await isRegistered(req, recipient.chatId);
+          results.push({
+            input,
+            valid: true,
+            number: recipient.normalized,
+            chatId: recipient.chatId,
+            registered,
+          });
+        }
+      } catch (error) {
+        return next(error);
+      }
+
+      const summary = {
+        total: results.length,
+        registered: results.filter((result) => result.registered === true).length,
+        notRegistered: results.filter((result) => result.registered === false).length,
+        invalid: results.filter((result) => !result.valid).length,
+      };
+      logger.info("Contact registration checked", {
+        sessionId: req.sessionId,
+        ...summary,
+        client: req.apiClient.client,
+      });
+
+      res.json({ success: true, data: results, summary });
+    }
+  );
+
+  router.get(
+    "/:number",
+    requireScope("read-messages"),
+    resolveSession,
+    requireConnectedSession,
+    async (req, res, next) => {
+      const { recipient, error } = parseNumber(formatPhoneNumber, req.params.number);
+      if (error) {
+        return res.status(400).json({ success: false, error, code: "invalid_number" });
+      }
+
+      try {
+        const registration = await isRegistered(req, recipient.chatId);
+        const profile = registration.value
+          ? await lookupCache.get(`${req.sessionId}:contact:${recipient.chatId}`, () =>
+              clientOf(req).getContact(recipient.chatId)
+            )
+          : null;
+
+        res.json({
+          success: true,
+          data: {
+            number: recipient.normalized,
+            chatId: recipient.chatId,
+            registered: registration.value,
+            name: profile?.value.name ?? null,
+            pushname: profile?.value.pushname ?? null,
+            isBusiness: profile?.value.isBusiness ?? null,
+            isMyContact: profile?.value.isMyContact ?? null,
+            isBlocked: profile?.value.isBlocked ?? null,
+            profilePicUrl: profile?.value.profilePicUrl ?? null,
+            fetchedAt: [registration.fetchedAt, profile?.fetchedAt].filter(Boolean).sort()[0],
+          },
+        });
+      } catch (lookupError) {
+        next(lookupError);
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,28 @@
+import express from "express";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { createRequire } from "module";
+
+const publicDir = join(dirname(fileURLToPath(import.meta.url)), "..", "public");
+
+// Swagger UI ships as static files
+const require = createRequire(import.meta.url);
+const swaggerUiDir = dirname(require.resolve("swagger-ui-dist/package.json"));
+
+// Interactive API documentation for /openapi.json. Like the spec itself
+// it needs no API key; "Authorize" takes one for trying requests out.
+export const createDocsRouter = () => {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.sendFile(join(publicDir, "docs.html"));
+  });
+
+  router.get("/assets/docs.js", (req, res) => {
+    res.sendFile(join(publicDir, "docs.js"));
+  });
+
+  router.use("/assets/swagger-ui", express.static(swaggerUiDir, { index: false }));
+
+  return router;
+};
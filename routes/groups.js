@@ -0,0 +1,285 @@
+import express from "express";
+import { PhoneNumberError } from "../lib/phone.js";
+
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+
+// Find a group by id or by name (case-insensitive). Returns { group }, or
+// { status, error, code } when there is no single match.
+export const findGroup = (groups, idOrName) => {
+  const value = typeof idOrName === "string" ? idOrName.trim() : "";
+  if (GROUP_ID_PATTERN.test(value)) {
+    const group = groups.find((candidate) => candidate.id === value);
+    return group
+      ? { group }
+      : { status: 404, error: `Group "${value}" not found`, code: "group_not_found" };
+  }
+
+  const matches = groups.filter(
+    (candidate) => candidate.name?.toLowerCase() === value.toLowerCase()
+  );
+  if (matches.length === 0) {
+    return { status: 404, error: `No group named "${value}"`, code: "group_not_found" };
+  }
+  if (matches.length > 1) {
+    return {
+      status: 409,
+      error: `${matches.length} groups are named "${value}"; use the group id instead`,
+      code: "group_name_ambiguous",
+      matches: matches.map(({ id, name }) => ({ id, name })),
+    };
+  }
+  return { group: matches[0] };
+};
+
+// Read a list of participant phone numbers, already checked against the
+// request schema. Returns { chatIds } or { error, invalid }.
+const parseParticipants = (formatPhoneNumber, input = []) => {
+  const chatIds = [];
+  const invalid = [];
+  input.forEach((number) => {
+    try {
+      const recipient = formatPhoneNumber(number);
+      if (recipient.type !== "user") {
+        throw new PhoneNumberError(`"${number}" is a group, not a phone number`);
+      }
+      chatIds.push(recipient.chatId);
+    } catch (error) {
+      if (!(error instanceof PhoneNumberError)) {
+        throw error;
+      }
+      invalid.push({ number, error: error.message });
+    }
+  });
+  if (invalid.length > 0) {
+    return { error: "Some participants are not valid phone numbers", invalid };
+  }
+  return { chatIds: Array.from(new Set(chatIds)) };
+};
+
+// Groups the linked account belongs to, and group management for admins.
+// Groups can be addressed by id or by name everywhere.
+export const createGroupsRouter = ({
+  sessions,
+  lookupCache,
+  listGroups,
+  resolveSession,
+  requireConnectedSession,
+  formatPhoneNumber,
+  requireScope,
+  validator,
+  logger,
+}) => {
+  const router = express.Router();
+
+  const clientOf = (req) => sessions.get(req.sessionId).client;
+  const connected = [resolveSession, requireConnectedSession];
+
+  // Group lists and details change with every management call
+  const forgetGroups = (req) => lookupCache.clear(`${req.sessionId}:group`);
+
+  // Resolve :group to a group from the (cached) list, or answer the error
+  const withGroup = async (req, res, next) => {
+    try {
+      const { value: groups } = await listGroups(req.sessionId);
+      const { group, status, ...problem } = findGroup(groups, req.params.group);
+      if (!group) {
+        return res.status(status).json({ success: false, ...problem });
+      }
+      req.group = group;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const notGroupAdmin = (req, res) => {
+    logger.warn("Group change refused: Not a group admin", {
+      sessionId: req.sessionId,
+      groupId: req.group.id,
+      client: req.apiClient.client,
+    });
+    res.status(403).json({
+      success: false,
+      error:
+        `The linked account is not an admin of the group "${req.group.name}", ` +
+        "so it cannot change its participants",
+      code: "not_group_admin",
+    });
+  };
+
+  // Participants can only be changed by a group admin. The list may be a
+  // little old, so the driver checks again.
+  const requireGroupAdmin = (req, res, next) => {
+    if (!req.group.isAdmin) {
+      return notGroupAdmin(req, res);
+    }
+    next();
+  };
+
+  const participantsOf = (req, res) => {
+    const { chatIds, error, invalid } = parseParticipants(formatPhoneNumber, req.body.participants);
+    if (error) {
+      res.status(400).json({
+        success: false,
+        error,
+        code: "invalid_number",
+        invalid,
+        example: { participants: ["+919876543210"] },
+      });
+      return null;
+    }
+    return chatIds;
+  };
+
+  router.get("/", requireScope("send", "read-messages"), connected, async (req, res, next) => {
+    try {
+      const { value: groups, fetchedAt } = await listGroups(req.sessionId);
+      res.json({
+        success: true,
+        data: groups.slice().sort((a, b) => (a.name || "").localeCompare(b.name || "")),
+        fetchedAt,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get(
+    "/:group",
+    requireScope("send", "read-messages"),
+    connected,
+    withGroup,
+    async (req, res, next) => {
+      try {
+        const { value: group, fetchedAt } = await lookupCache.get(
+          `${req.sessionId}:group:${req.group.id}`,
+          () => clientOf(req).getGroup(req.group.id)
+        );
+        if (!group) {
+          return res.status(404).json({
+            success: false,
+            error: `Group "${req.group.id}" not found`,
+            code: "group_not_found",
+          });
+        }
+        res.json({ success: true, data: group, fetchedAt });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.post(
+    "/",
+    requireScope("admin"),
+    validator.body("GroupRequest"),
+    connected,
+    async (req, res, next) => {
+      const name = req.body.name.trim();
+      const chatIds = participantsOf(req, res);
+      if (!chatIds) {
+        return;
+      }
+
+      try {
+        const group = await clientOf(req).createGroup(name, chatIds);
+        forgetGroups(req);
+        logger.info("👥 Group created", {
+          sessionId: req.sessionId,
+          groupId: group.id,
+          participants: chatIds.length,
+          added: group.participants.filter((participant) => participant.added).length,
+          client: req.apiClient.client,
+        });
+        res.status(201).json({ success: true, data: group });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.post(
+    "/:group/participants",
+    requireScope("admin"),
+    validator.body("ParticipantsRequest"),
+    connected,
+    withGroup,
+    requireGroupAdmin,
+    async (req, res, next) => {
+      const chatIds = participantsOf(req, res);
+      if (!chatIds) {
+        return;
+      }
+
+      try {
+        const results = await clientOf(req).addParticipants(req.group.id, chatIds);
+        forgetGroups(req);
+        const added = results.filter((result) => result.added).length;
+        logger.info("👥 Group participants added", {
+          sessionId: req.sessionId,
+          groupId: req.group.id,
+          added: added,
+          failed: results.length - added,
+          client: req.apiClient.client,
+        });
+        res.json({
+          success: true,
+          data: results,
+          summary: { added, failed: results.length - added },
+        });
+      } catch (error) {
+        if (error.code === "not_group_admin") {
+          return notGroupAdmin(req, res);
+        }
+        next(error);
+      }
+    }
+  );
+
+  router.delete(
+    "/:group/participants/:number",
+    requireScope("admin"),
+    connected,
+    withGroup,
+    requireGroupAdmin,
+    async (req, res, next) => {
+      let chatId;
+      try {
+        chatId = formatPhoneNumber(req.params.number).chatId;
+      } catch (error) {
+        if (!(error instanceof PhoneNumberError)) {
+          return next(error);
+        }
+        return res
+          .status(400)
+          .json({ success: false, error: error.message, code: "invalid_number" });
+      }
+
+      try {
+        const [result] = await clientOf(req).removeParticipants(req.group.id, [chatId]);
+        forgetGroups(req);
+        if (!result.removed) {
+          return res.status(404).json({
+            success: false,
+            error: `${req.params.number} is not a participant of "${req.group.name}"`,
+            code: "participant_not_found",
+          });
+        }
+        logger.info("👥 Group participant removed", {
+          sessionId: req.sessionId,
+          groupId: req.group.id,
+          participant: chatId,
+          client: req.apiClient.client,
+        });
+        res.json({ success: true, data: result });
+      } catch (error) {
+        if (error.code === "not_group_admin") {
+          return notGroupAdmin(req, res);
+        }
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
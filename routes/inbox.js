@@ -0,0 +1,72 @@
+import express from "express";
+
+const MAX_PAGE_SIZE = 200;
+
+// Read access to messages customers sent to us
+export const createInboxRouter = ({ inbox, requireScope, validator }) => {
+  const router = express.Router();
+
+  router.get("/", requireScope("read-messages"), (req, res) => {
+    const { from, sessionId, since, until } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return validator.reject(req, res, [
+        {
+          field: "limit",
+          code: "out_of_range",
+          message: `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+        },
+      ]);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return validator.reject(req, res, [
+        {
+          field: "offset",
+          code: "out_of_range",
+          message: '"offset" must be a non-negative integer',
+        },
+      ]);
+    }
+    const invalidDate = [
+      ["since", since],
+      ["until", until],
+    ].find(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)));
+    if (invalidDate) {
+      return validator.reject(req, res, [
+        {
+          field: invalidDate[0],
+          code: "invalid_format",
+          message: `"${invalidDate[0]}" must be an ISO 8601 date-time`,
+        },
+      ]);
+    }
+
+    const { total, messages } = inbox.query({ from, sessionId, since, until, limit, offset });
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: { total, limit, offset },
+    });
+  });
+
+  router.get("/:id", requireScope("read-messages"), (req, res) => {
+    const message = inbox.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found",
+        code: "message_not_found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,148 @@
+import express from "express";
+import { historyToCsv } from "../lib/messageHistory.js";
+
+const MAX_PAGE_SIZE = 200;
+const DIRECTIONS = ["inbound", "outbound"];
+
+// Filters shared by the list and export endpoints. Returns { filters }, or
+// { error } with a validation detail for invalid input.
+const parseFilters = (query) => {
+  const { direction, number, sessionId, status, client, templateId, q, since, until } = query;
+
+  if (direction !== undefined && !DIRECTIONS.includes(direction)) {
+    return {
+      error: {
+        field: "direction",
+        code: "invalid_value",
+        message: `"direction" must be one of: ${DIRECTIONS.join(", ")}`,
+      },
+    };
+  }
+  const invalidDate = [
+    ["since", since],
+    ["until", until],
+  ].find(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)));
+  if (invalidDate) {
+    return {
+      error: {
+        field: invalidDate[0],
+        code: "invalid_format",
+        message: `"${invalidDate[0]}" must be an ISO 8601 date-time`,
+      },
+    };
+  }
+
+  return {
+    filters: {
+      direction,
+      number,
+      sessionId,
+      status,
+      client,
+      templateId,
+      search: q,
+      since,
+      until,
+    },
+  };
+};
+
+// Message history and per-message delivery status lookups
+export const createMessagesRouter = ({
+  statusTracker,
+  history,
+  requireScope,
+  validator,
+  logger,
+}) => {
+  const router = express.Router();
+
+  router.get("/", requireScope("read-messages"), (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (error) {
+      return validator.reject(req, res, [error]);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return validator.reject(req, res, [
+        {
+          field: "limit",
+          code: "out_of_range",
+          message: `"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+        },
+      ]);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return validator.reject(req, res, [
+        {
+          field: "offset",
+          code: "out_of_range",
+          message: '"offset" must be a non-negative integer',
+        },
+      ]);
+    }
+
+    const { total, messages } = history.query({ ...filters, limit, offset });
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: { total, limit, offset },
+    });
+  });
+
+  // Everything matching the filters, as a download for customer support
+  router.get("/export", requireScope("read-messages"), (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    const format = req.query.format || "csv";
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (error) {
+      return validator.reject(req, res, [error]);
+    }
+    if (format !== "csv" && format !== "json") {
+      return validator.reject(req, res, [
+        { field: "format", code: "invalid_value", message: '"format" must be "csv" or "json"' },
+      ]);
+    }
+
+    const { total, messages } = history.query(filters);
+    logger.info("Message history exported", {
+      format: format,
+      filters: filters,
+      count: total,
+      client: req.apiClient.client,
+    });
+
+    res.set("Content-Disposition", `attachment; filename="messages-${stamp}.${format}"`);
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      return res.send(historyToCsv(messages));
+    }
+    res.json({
+      exportedAt: new Date().toISOString(),
+      filters: filters,
+      messages: messages,
+    });
+  });
+
+  router.get("/:id", requireScope("send", "read-status"), (req, res) => {
+    const entry = statusTracker.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Message not found",
+        code: "message_not_found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,135 @@
+import express from "express";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { SessionError } from "../lib/sessions.js";
+import { PhoneNumberError } from "../lib/phone.js";
+
+const publicDir = join(dirname(fileURLToPath(import.meta.url)), "..", "public");
+
+const HEARTBEAT_MS = 15 * 1000;
+
+// The number to request a pairing code for, as whatsapp-web.js wants it:
+// digits with country code and no "+". Returns { phoneNumber } or { error }.
+export const parsePairingNumber = (formatPhoneNumber, input) => {
+  let recipient;
+  try {
+    recipient = formatPhoneNumber(input);
+  } catch (error) {
+    if (error instanceof PhoneNumberError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+  if (recipient.type !== "user") {
+    return { error: "A pairing code needs the phone number of the WhatsApp account" };
+  }
+  return { phoneNumber: recipient.normalized.slice(1) };
+};
+
+// The pairing page behind a pairing link, with live status over
+// Server-Sent Events. The token in the path is the only credential.
+export const createPairingRouter = ({ sessions, pairingLinks, formatPhoneNumber, logger }) => {
+  const router = express.Router();
+
+  router.get("/assets/pair.js", (req, res) => {
+    res.sendFile(join(publicDir, "pair.js"));
+  });
+
+  // Resolve the link or answer 404, without saying which part was wrong
+  const withLink = (req, res, next) => {
+    const link = pairingLinks.resolve(req.params.token);
+    if (!link || !sessions.get(link.sessionId)) {
+      logger.warn("Pairing link rejected: Unknown or expired", { ip: req.ip });
+      return res.status(404).json({
+        success: false,
+        error: "This pairing link is invalid or has expired",
+        code: "pairing_link_not_found",
+      });
+    }
+    req.pairingLink = link;
+    res.set("Cache-Control", "no-store");
+    next();
+  };
+
+  router.get("/:token", withLink, (req, res) => {
+    res.sendFile(join(publicDir, "pair.html"));
+  });
+
+  router.get("/:token/events", withLink, (req, res) => {
+    const { sessionId, expiresAt } = req.pairingLink;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+    const expiry = setTimeout(() => {
+      send("expired", { expiresAt });
+      res.end();
+    }, Date.parse(expiresAt) - Date.now());
+    heartbeat.unref();
+    expiry.unref();
+
+    req.on("close", () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+
+    send("link", { sessionId, expiresAt });
+    unsubscribe = sessions.subscribe(sessionId, (status) => {
+      if (status) {
+        return send("status", status);
+      }
+      send("deleted", { sessionId });
+      res.end();
+    });
+  });
+
+  // Switch the session to a pairing code for the given phone number, or
+  // back to the QR code
+  const pairWith = (method) => async (req, res, next) => {
+    const { sessionId } = req.pairingLink;
+    try {
+      const { phoneNumber = null, error } =
+        method === "code" ? parsePairingNumber(formatPhoneNumber, req.body?.number) : {};
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error,
+          code: "invalid_number",
+          example: { number: "+919876543210" },
+        });
+      }
+      await sessions.pairWith(sessionId, { phoneNumber });
+    } catch (error) {
+      if (!(error instanceof SessionError)) {
+        return next(error);
+      }
+      return res
+        .status(error.status)
+        .json({ success: false, error: error.message, code: error.code });
+    }
+
+    logger.info("Pairing method changed via pairing link", {
+      sessionId: sessionId,
+      method: method,
+      createdBy: req.pairingLink.createdBy,
+    });
+    res.status(202).json({
+      success: true,
+      data: sessions.pairing(sessionId),
+    });
+  };
+
+  router.post("/:token/pairing-code", withLink, pairWith("code"));
+  router.post("/:token/qr", withLink, pairWith("qr"));
+
+  return router;
+};
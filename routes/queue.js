@@ -0,0 +1,77 @@
+import express from "express";
+import { hasScope } from "../lib/apiKeys.js";
+
+// Queue inspection and dead-letter management
+export const createQueueRouter = ({ queue, requireScope, logger }) => {
+  const router = express.Router();
+
+  router.get("/", requireScope("read-status"), (req, res) => {
+    res.json({
+      success: true,
+      data: queue.stats(),
+    });
+  });
+
+  // Callers only see their own jobs unless they are admins
+  router.get("/jobs/:id", requireScope("send", "read-status"), (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job || (!hasScope(req.apiClient, "admin") && job.client !== req.apiClient.client)) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+        code: "job_not_found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  });
+
+  router.get("/dead-letter", requireScope("admin"), (req, res) => {
+    res.json({
+      success: true,
+      data: queue.listDeadLetter(),
+    });
+  });
+
+  router.post("/dead-letter/:id/retry", requireScope("admin"), (req, res) => {
+    const job = queue.retryDeadLetter(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found in dead-letter list",
+        code: "job_not_found",
+      });
+    }
+
+    logger.info("🔁 Dead-letter job requeued", {
+      jobId: job.id,
+      client: req.apiClient.client,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+    });
+  });
+
+  router.delete("/dead-letter/:id", requireScope("admin"), (req, res) => {
+    const job = queue.removeDeadLetter(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found in dead-letter list",
+        code: "job_not_found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,110 @@
+import express from "express";
+import { hasScope } from "../lib/apiKeys.js";
+import { ScheduleError } from "../lib/schedule.js";
+
+// List, cancel and reschedule messages queued with "sendAt"
+export const createScheduledRouter = ({
+  queue,
+  resolveSendAt,
+  defaultTimezone,
+  requireScope,
+  logger,
+}) => {
+  const router = express.Router();
+
+  // Callers only see their own scheduled messages unless they are admins
+  const findScheduled = (req) => {
+    const job = queue
+      .listScheduled()
+      .find((candidate) => candidate.id === req.params.id);
+    const visible =
+      job &&
+      (hasScope(req.apiClient, "admin") || job.client === req.apiClient.client);
+    return visible ? job : null;
+  };
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Scheduled message not found or already sent",
+      code: "scheduled_message_not_found",
+    });
+
+  router.get("/", requireScope("send", "read-status"), (req, res) => {
+    res.json({
+      success: true,
+      data: queue.listScheduled({
+        client: hasScope(req.apiClient, "admin") ? undefined : req.apiClient.client,
+      }),
+    });
+  });
+
+  router.get("/:id", requireScope("send", "read-status"), (req, res) => {
+    const job = findScheduled(req);
+    if (!job) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  });
+
+  router.patch("/:id", requireScope("send"), (req, res) => {
+    if (!findScheduled(req)) {
+      return notFound(res);
+    }
+
+    const { sendAt, timezone } = req.body;
+    let date;
+    try {
+      date = resolveSendAt(sendAt, timezone);
+    } catch (error) {
+      if (!(error instanceof ScheduleError)) {
+        throw error;
+      }
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: "invalid_schedule",
+        example: { sendAt: "2024-05-01T09:00:00", timezone: "Asia/Kolkata" },
+      });
+    }
+
+    const job = queue.reschedule(req.params.id, date, timezone || defaultTimezone);
+    if (!job) {
+      return notFound(res);
+    }
+
+    logger.info("⏰ Scheduled message moved", {
+      jobId: job.id,
+      scheduledFor: job.scheduledFor,
+      client: req.apiClient.client,
+    });
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  });
+
+  router.delete("/:id", requireScope("send"), (req, res) => {
+    const job = findScheduled(req) && queue.cancel(req.params.id);
+    if (!job) {
+      return notFound(res);
+    }
+
+    logger.info("⏰ Scheduled message cancelled", {
+      jobId: job.id,
+      client: req.apiClient.client,
+    });
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,228 @@
+import express from "express";
+import { SessionError } from "../lib/sessions.js";
+import { parsePairingNumber } from "./pairing.js";
+
+// Create, start, stop, restart, log out, re-pair and delete WhatsApp
+// sessions, with per-session status, QR codes and pairing links
+export const createSessionsRouter = ({
+  sessions,
+  queue,
+  pairingLinks,
+  formatPhoneNumber,
+  requireScope,
+  validator,
+  logger,
+}) => {
+  const router = express.Router();
+
+  // Run a session manager call and turn SessionErrors into responses
+  const handle = (action) => async (req, res, next) => {
+    try {
+      await action(req, res);
+    } catch (error) {
+      if (!(error instanceof SessionError)) {
+        return next(error);
+      }
+      res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+  };
+
+  router.get("/", requireScope("read-status"), (req, res) => {
+    res.json({
+      success: true,
+      data: sessions.list(),
+    });
+  });
+
+  router.post(
+    "/",
+    requireScope("admin"),
+    validator.body("SessionRequest"),
+    handle((req, res) => {
+      const { id, label } = req.body;
+      const session = sessions.create({ id, label });
+      logger.info("Session created via admin API", {
+        sessionId: id,
+        client: req.apiClient.client,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...session,
+          qrUrl: `/sessions/${id}/qr`,
+        },
+      });
+    })
+  );
+
+  router.get(
+    "/:id/status",
+    requireScope("read-status"),
+    handle((req, res) => {
+      res.json({
+        success: true,
+        data: {
+          ...sessions.summary(req.params.id),
+          queue: queue.stats({ sessionId: req.params.id }),
+        },
+      });
+    })
+  );
+
+  router.get(
+    "/:id/qr",
+    requireScope("admin"),
+    handle((req, res) => {
+      const session = sessions.get(req.params.id);
+      if (!session) {
+        throw new SessionError(`Session "${req.params.id}" not found`, 404, "session_not_found");
+      }
+      if (!session.qrCodeDataUrl) {
+        return res.status(404).json({
+          success: false,
+          error: "QR code not available at the moment. It may have been scanned already or is not yet generated.",
+          code: "qr_not_available",
+        });
+      }
+
+      res.send(`<img src="${session.qrCodeDataUrl}" alt="Scan this QR code with WhatsApp">`);
+    })
+  );
+
+  // QR code or pairing code with their expiry, or the linked account
+  router.get(
+    "/:id/pairing",
+    requireScope("admin"),
+    handle((req, res) => {
+      res.json({
+        success: true,
+        data: sessions.pairing(req.params.id),
+      });
+    })
+  );
+
+  // A short-lived link to the live pairing page, which needs no API key
+  router.post(
+    "/:id/pairing-link",
+    requireScope("admin"),
+    handle((req, res) => {
+      sessions.summary(req.params.id); // 404 for an unknown session
+      const link = pairingLinks.create(req.params.id, { createdBy: req.apiClient.client });
+      logger.info("Pairing link created", {
+        sessionId: req.params.id,
+        expiresAt: link.expiresAt,
+        client: req.apiClient.client,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          sessionId: req.params.id,
+          url: `${req.protocol}://${req.get("host")}/pair/${link.token}`,
+          expiresAt: link.expiresAt,
+        },
+      });
+    })
+  );
+
+  // Link by phone number: restarts the session to get a pairing code
+  router.post(
+    "/:id/pairing-code",
+    requireScope("admin"),
+    validator.body("PairingCodeRequest"),
+    handle(async (req, res) => {
+      const { phoneNumber, error } = parsePairingNumber(formatPhoneNumber, req.body.number);
+      if (error) {
+        return validator.reject(
+          req,
+          res,
+          [{ field: "number", code: "invalid_value", message: error }],
+          { example: { number: "+919876543210" } }
+        );
+      }
+
+      await sessions.pairWith(req.params.id, { phoneNumber });
+      logger.info("Pairing code requested via admin API", {
+        sessionId: req.params.id,
+        client: req.apiClient.client,
+      });
+
+      res.status(202).json({
+        success: true,
+        data: sessions.pairing(req.params.id),
+      });
+    })
+  );
+
+  // Lifecycle actions. Each one answers with the session's new status.
+  const actions = {
+    start: sessions.start,
+    stop: sessions.stop,
+    restart: sessions.restart,
+    logout: sessions.logout,
+    "re-pair": sessions.repair,
+  };
+
+  Object.entries(actions).forEach(([name, action]) => {
+    router.post(
+      `/:id/${name}`,
+      requireScope("admin"),
+      handle(async (req, res) => {
+        const session = await action(req.params.id);
+        logger.info("Session action via admin API", {
+          sessionId: req.params.id,
+          action: name,
+          client: req.apiClient.client,
+        });
+
+        res.json({
+          success: true,
+          data: name === "re-pair" ? { ...session, qrUrl: `/sessions/${session.id}/qr` } : session,
+        });
+      })
+    );
+  });
+
+  // Forget the stored login of a stopped session
+  router.delete(
+    "/:id/auth",
+    requireScope("admin"),
+    handle(async (req, res) => {
+      const session = await sessions.clearAuth(req.params.id);
+      logger.info("Session login cleared via admin API", {
+        sessionId: req.params.id,
+        client: req.apiClient.client,
+      });
+
+      res.json({
+        success: true,
+        data: session,
+      });
+    })
+  );
+
+  router.delete(
+    "/:id",
+    requireScope("admin"),
+    handle(async (req, res) => {
+      const session = await sessions.remove(req.params.id);
+      pairingLinks.revokeSession(req.params.id);
+      logger.info("Session deleted via admin API", {
+        sessionId: req.params.id,
+        client: req.apiClient.client,
+      });
+
+      res.json({
+        success: true,
+        data: session,
+      });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,131 @@
+import express from "express";
+import { PhoneNumberError } from "../lib/phone.js";
+import { toCsv } from "../lib/suppression.js";
+
+// Admin management and compliance export of the opt-out list
+export const createSuppressionsRouter = ({
+  suppressions,
+  resolveRecipient,
+  validator,
+  logger,
+}) => {
+  const router = express.Router();
+
+  // Resolve a number from the request, or answer 400 and return null
+  const resolve = (res, number) => {
+    try {
+      return resolveRecipient(number);
+    } catch (error) {
+      if (!(error instanceof PhoneNumberError)) {
+        throw error;
+      }
+      res.status(400).json({
+        success: false,
+        error: error.message,
+        code: "invalid_number",
+      });
+      return null;
+    }
+  };
+
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: suppressions.list(),
+    });
+  });
+
+  // CSV lists who is suppressed today; JSON adds the full opt-out/opt-in history
+  router.get("/export", (req, res) => {
+    const format = req.query.format || "csv";
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    logger.info("Suppression list exported", {
+      format: format,
+      client: req.apiClient.client,
+    });
+
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="suppressions-${stamp}.csv"`);
+      return res.send(toCsv(suppressions.list()));
+    }
+    if (format === "json") {
+      res.set("Content-Disposition", `attachment; filename="suppressions-${stamp}.json"`);
+      return res.json({
+        exportedAt: new Date().toISOString(),
+        entries: suppressions.list(),
+        history: suppressions.history(),
+      });
+    }
+
+    validator.reject(req, res, [
+      { field: "format", code: "invalid_value", message: '"format" must be "csv" or "json"' },
+    ]);
+  });
+
+  router.get("/:number", (req, res) => {
+    const recipient = resolve(res, req.params.number);
+    if (!recipient) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        number: recipient.normalized,
+        chatId: recipient.chatId,
+        suppressed: suppressions.has(recipient.chatId),
+        entry: suppressions.get(recipient.chatId),
+        history: suppressions.history({ chatId: recipient.chatId }),
+      },
+    });
+  });
+
+  router.post("/", validator.body("SuppressionRequest"), (req, res) => {
+    const { number, reason } = req.body;
+    const recipient = resolve(res, number);
+    if (!recipient) {
+      return;
+    }
+
+    const { entry, created } = suppressions.add({
+      chatId: recipient.chatId,
+      number: recipient.normalized,
+      source: "admin",
+      reason,
+      client: req.apiClient.client,
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: entry,
+    });
+  });
+
+  router.delete("/:number", (req, res) => {
+    const recipient = resolve(res, req.params.number);
+    if (!recipient) {
+      return;
+    }
+
+    const entry = suppressions.remove(recipient.chatId, {
+      source: "admin",
+      client: req.apiClient.client,
+    });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Number is not on the suppression list",
+        code: "not_suppressed",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  });
+
+  return router;
+};
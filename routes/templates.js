@@ -0,0 +1,80 @@
+import express from "express";
+
+// CRUD endpoints for the message template registry
+export const createTemplatesRouter = ({ templates, requireScope, validator, logger }) => {
+  const router = express.Router();
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Template not found",
+      code: "template_not_found",
+    });
+
+  router.get("/", requireScope("send", "read-status"), (req, res) => {
+    res.json({
+      success: true,
+      data: templates.list(),
+    });
+  });
+
+  router.get("/:id", requireScope("send", "read-status"), (req, res) => {
+    const template = templates.get(req.params.id);
+    if (!template) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  });
+
+  router.post("/", requireScope("admin"), validator.body("TemplateRequest"), (req, res) => {
+    if (templates.get(req.body.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Template "${req.body.id}" already exists`,
+        code: "template_exists",
+      });
+    }
+
+    const { id, description, body, variants } = req.body;
+    const template = templates.create({ id, description, body, variants });
+    logger.info("Template created via admin API", {
+      templateId: id,
+      client: req.apiClient.client,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  });
+
+  router.put("/:id", requireScope("admin"), validator.body("TemplateUpdate"), (req, res) => {
+    const template = templates.update(req.params.id, req.body);
+    if (!template) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  });
+
+  router.delete("/:id", requireScope("admin"), (req, res) => {
+    const template = templates.remove(req.params.id);
+    if (!template) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  });
+
+  return router;
+};
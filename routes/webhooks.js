@@ -0,0 +1,104 @@
+import express from "express";
+import { WEBHOOK_EVENTS } from "../lib/webhooks.js";
+
+// Admin endpoints for webhook registration and the delivery log
+export const createWebhooksRouter = ({ webhooks, validator, logger }) => {
+  const router = express.Router();
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Webhook not found",
+      code: "webhook_not_found",
+    });
+
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: webhooks.list(),
+      events: WEBHOOK_EVENTS,
+    });
+  });
+
+  router.post("/", validator.body("WebhookRequest"), (req, res) => {
+    const { url, events, secret, description } = req.body;
+    const webhook = webhooks.register({ url, events, secret, description });
+    logger.info("Webhook registered via admin API", {
+      webhookId: webhook.id,
+      client: req.apiClient.client,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Store the secret now, it is needed to verify signatures",
+      data: webhook,
+    });
+  });
+
+  router.patch("/:id", validator.body("WebhookUpdate"), (req, res) => {
+    const webhook = webhooks.update(req.params.id, req.body);
+    if (!webhook) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  });
+
+  router.delete("/:id", (req, res) => {
+    const webhook = webhooks.remove(req.params.id);
+    if (!webhook) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+    });
+  });
+
+  router.post("/:id/test", (req, res) => {
+    const delivery = webhooks.ping(req.params.id);
+    if (!delivery) {
+      return notFound(res);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  });
+
+  router.get("/deliveries", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    res.json({
+      success: true,
+      data: webhooks.listDeliveries({
+        webhookId: req.query.webhookId,
+        status: req.query.status,
+        limit,
+      }),
+    });
+  });
+
+  router.post("/deliveries/:id/redeliver", (req, res) => {
+    const delivery = webhooks.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found or its webhook was removed",
+        code: "delivery_not_found",
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  });
+
+  return router;
+};
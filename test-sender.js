@@ -5,6 +5,7 @@ import fetch from "node-fetch";
 dotenv.config();
 
 const API_BASE_URL = `http://localhost:${process.env.PORT || 3000}`;
+const API_KEY = process.env.TEST_API_KEY || process.env.ADMIN_API_KEY || "";
 
 class WhatsAppTester {
   constructor() {
@@ -14,7 +15,9 @@ class WhatsAppTester {
   async checkServerStatus() {
     try {
       console.log("🔍 Checking server status...");
-      const response = await fetch(`${this.baseUrl}/status`);
+      const response = await fetch(`${this.baseUrl}/status`, {
+        headers: { "X-API-Key": API_KEY },
+      });
       const data = await response.json();
 
       if (data.success && data.whatsappConnected) {
@@ -40,6 +43,7 @@ class WhatsAppTester {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "X-API-Key": API_KEY,
         },
         body: JSON.stringify({
           number: phoneNumber,
@@ -50,7 +54,7 @@ class WhatsAppTester {
       const data = await response.json();
 
       if (response.ok && data.success) {
-        console.log("✅ Message sent successfully!");
+        console.log("✅ Message queued successfully!");
         console.log("📋 Response:", JSON.stringify(data, null, 2));
         return true;
       } else {
@@ -134,6 +138,7 @@ Timestamp: ${new Date().toISOString()}`;
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "X-API-Key": API_KEY,
         },
         body: JSON.stringify({
           number: process.env.TEST_PHONE_NUMBER,
@@ -156,6 +161,7 @@ Timestamp: ${new Date().toISOString()}`;
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "X-API-Key": API_KEY,
         },
         body: JSON.stringify({
           number: process.env.TEST_PHONE_NUMBER,
@@ -188,7 +194,7 @@ Usage:
   node test-sender.js --help       Show this help
 
 Configuration:
-  Update .env file with your TEST_PHONE_NUMBER before running tests.
+  Update .env file with your TEST_PHONE_NUMBER and TEST_API_KEY before running tests.
   Make sure the server is running (npm start) before testing.
     `);
   } else {